@@ -0,0 +1,110 @@
+// backend/lib/analytics.js
+// Time bucketing helpers for /api/stats. Periods are computed in Las Piñas
+// local time (Asia/Manila, UTC+8 year-round, no DST).
+import { entryKilograms } from "./quantity.js";
+
+export const GROUP_BY = ["day", "week", "month"];
+
+const MANILA_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Local (Asia/Manila) calendar date "YYYY-MM-DD" of an ISO timestamp.
+ */
+export function toManilaDate(iso) {
+  return new Date(new Date(iso).getTime() + MANILA_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Period key for a local date: the date itself (day), the Monday starting its
+ * week (week) or "YYYY-MM" (month).
+ */
+export function periodKey(date, groupBy) {
+  if (groupBy === "month") return date.slice(0, 7);
+  if (groupBy === "week") {
+    const d = new Date(`${date}T00:00:00Z`);
+    const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+    return new Date(d.getTime() - daysSinceMonday * DAY_MS).toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+// The period key following `key`
+function nextPeriod(key, groupBy) {
+  if (groupBy === "month") {
+    const [year, month] = key.split("-").map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, "0")}`;
+  }
+  const step = groupBy === "week" ? 7 : 1;
+  return new Date(new Date(`${key}T00:00:00Z`).getTime() + step * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Groups measured entries into a continuous series of periods (empty periods
+ * included, so charts don't skip gaps). Each point carries the total kg, the
+ * number of entries and the kg per waste type.
+ */
+export function buildSeries(entries, groupBy) {
+  const buckets = new Map();
+  entries.forEach((e) => {
+    const key = periodKey(toManilaDate(e.createdAt), groupBy);
+    const bucket = buckets.get(key) || { totalKg: 0, entries: 0, byType: {} };
+    const kg = entryKilograms(e);
+    const type = e.type || "Unknown";
+    bucket.totalKg += kg;
+    bucket.entries += 1;
+    bucket.byType[type] = (bucket.byType[type] || 0) + kg;
+    buckets.set(key, bucket);
+  });
+  if (buckets.size === 0) return [];
+
+  const keys = [...buckets.keys()].sort();
+  const series = [];
+  for (let key = keys[0]; key <= keys[keys.length - 1]; key = nextPeriod(key, groupBy)) {
+    const bucket = buckets.get(key) || { totalKg: 0, entries: 0, byType: {} };
+    series.push({
+      period: key,
+      totalKg: round(bucket.totalKg),
+      entries: bucket.entries,
+      byType: Object.fromEntries(Object.entries(bucket.byType).map(([t, kg]) => [t, round(kg)])),
+    });
+  }
+  return series;
+}
+
+/**
+ * Kilograms per barangay, broken down by waste type.
+ */
+export function breakdownByBarangay(entries) {
+  const result = {};
+  entries.forEach((e) => {
+    const barangay = e.location || "Unknown";
+    const type = e.type || "Unknown";
+    result[barangay] = result[barangay] || {};
+    result[barangay][type] = round((result[barangay][type] || 0) + entryKilograms(e));
+  });
+  return result;
+}
+
+/**
+ * Compares the 7 days ending at `now` with the 7 days before that.
+ * `changePct` is null when there is nothing to compare against.
+ */
+export function weekOverWeek(entries, now = new Date()) {
+  const end = now.getTime();
+  let thisWeekKg = 0;
+  let lastWeekKg = 0;
+  entries.forEach((e) => {
+    const age = end - new Date(e.createdAt).getTime();
+    if (age < 0) return;
+    if (age < 7 * DAY_MS) thisWeekKg += entryKilograms(e);
+    else if (age < 14 * DAY_MS) lastWeekKg += entryKilograms(e);
+  });
+  return {
+    thisWeekKg: round(thisWeekKg),
+    lastWeekKg: round(lastWeekKg),
+    changePct: lastWeekKg > 0 ? round(((thisWeekKg - lastWeekKg) / lastWeekKg) * 100) : null,
+  };
+}
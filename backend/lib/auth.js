@@ -0,0 +1,112 @@
+// backend/lib/auth.js
+import { getAuth } from "firebase-admin/auth";
+
+/**
+ * Express middleware that verifies the Firebase ID token sent as
+ * `Authorization: Bearer <idToken>` and attaches the decoded user to `req.user`.
+ * Responds with 401 when the header is missing or the token is invalid, expired
+ * or revoked.
+ */
+export async function requireAuth(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, idToken] = header.split(" ");
+
+  if (scheme !== "Bearer" || !idToken) {
+    return res.status(401).json({ error: "Missing Authorization bearer token" });
+  }
+
+  try {
+    const decoded = await getAuth().verifyIdToken(idToken, true);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      claims: decoded,
+    };
+    next();
+  } catch (err) {
+    if (err.code === "auth/id-token-expired") {
+      return res.status(401).json({ error: "Token expired" });
+    }
+    if (err.code === "auth/id-token-revoked") {
+      return res.status(401).json({ error: "Token revoked" });
+    }
+    console.error("Token verification failed:", err.code || err.message);
+    res.status(401).json({ error: "Invalid token" });
+  }
+}
+
+/**
+ * Like requireAuth, but lets requests without an Authorization header through
+ * with `req.user` set to null. A token that is sent must still be valid.
+ */
+export function optionalAuth(req, res, next) {
+  if (!req.headers.authorization) {
+    req.user = null;
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
+// Roles are stored as the `role` custom claim; users without one are volunteers.
+export const ROLES = ["admin", "organizer", "volunteer"];
+export const DEFAULT_ROLE = "volunteer";
+
+/**
+ * The role of a verified user (as attached by requireAuth).
+ */
+export function roleOf(user) {
+  const role = user?.claims?.role;
+  return ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Whether a verified user (as attached by requireAuth) has the admin role.
+ */
+export function isAdmin(user) {
+  return roleOf(user) === "admin";
+}
+
+/**
+ * Whether a verified user (or null, see optionalAuth) is an organizer or an
+ * admin, who can do everything organizers can.
+ */
+export function isOrganizer(user) {
+  return ["organizer", "admin"].includes(roleOf(user));
+}
+
+/**
+ * Express middleware (after requireAuth) allowing only users with one of `roles`.
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(roleOf(req.user))) {
+      return res.status(403).json({ error: `Requires the ${roles.join(" or ")} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Checks a role change made by `actor` (an admin, as attached by requireAuth)
+ * on user `uid`. Returns an error message or null. Admins can't demote
+ * themselves, so the acting admin always stays able to manage roles.
+ */
+export function roleChangeError(actor, uid, role) {
+  if (!ROLES.includes(role)) return `role must be one of: ${ROLES.join(", ")}`;
+  if (uid === actor.uid && role !== "admin") return "You cannot remove your own admin role";
+  return null;
+}
+
+/**
+ * Sets a user's role custom claim, keeping any other claims. The volunteer
+ * role is stored as no claim at all. The user's ID token picks up the change
+ * the next time it is refreshed (at most an hour, or on sign-in).
+ */
+export async function setUserRole(uid, role) {
+  if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+  const auth = getAuth();
+  const { customClaims } = await auth.getUser(uid);
+  const otherClaims = { ...customClaims };
+  delete otherClaims.role;
+  await auth.setCustomUserClaims(uid, role === DEFAULT_ROLE ? otherClaims : { ...otherClaims, role });
+}
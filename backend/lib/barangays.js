@@ -0,0 +1,62 @@
+// backend/lib/barangays.js
+// Canonical registry of Las Piñas barangays (data/barangays.json) and
+// normalization of the free-text spellings volunteers type in.
+import fs from "fs";
+
+export const BARANGAYS = JSON.parse(
+  fs.readFileSync(new URL("../data/barangays.json", import.meta.url), "utf8")
+);
+
+export const BARANGAY_NAMES = BARANGAYS.map((b) => b.name);
+
+// "Talon 1", "Talon I" and "Talon One" all mean Talon Uno
+const NUMERALS = {
+  1: "uno", i: "uno", one: "uno", uno: "uno",
+  2: "dos", ii: "dos", two: "dos", dos: "dos",
+  3: "tres", iii: "tres", three: "tres", tres: "tres",
+  4: "kuatro", iv: "kuatro", four: "kuatro", kuatro: "kuatro", cuatro: "kuatro",
+  5: "singko", v: "singko", five: "singko", singko: "singko", cinco: "singko",
+};
+
+// Prefixes that don't change which barangay is meant
+const NOISE_WORDS = new Set(["brgy", "bgy", "barangay", "las", "pinas", "city"]);
+
+/**
+ * Reduces a place name to a comparable key: lowercase, no accents or
+ * punctuation, "Brgy." prefixes dropped and numerals spelled the same way.
+ */
+export function barangayKey(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/b\.\s*f\./g, "bf")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !NOISE_WORDS.has(word))
+    .map((word) => NUMERALS[word] || word)
+    .join(" ");
+}
+
+// Every known spelling -> canonical name, longest keys first so "talon dos"
+// wins over any shorter key when searching inside longer text
+const LOOKUP = BARANGAYS
+  .flatMap((b) => [b.name, ...b.aliases].map((spelling) => [barangayKey(spelling), b.name]))
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Maps free text ("zapote ", "Brgy. Zapote", "Talon 1, near the creek") to a
+ * canonical barangay name, or null when no barangay can be recognized.
+ */
+export function normalizeBarangay(text) {
+  if (typeof text !== "string") return null;
+  const key = barangayKey(text);
+  if (!key) return null;
+
+  const exact = LOOKUP.find(([k]) => k === key);
+  if (exact) return exact[1];
+
+  const padded = ` ${key} `;
+  const contained = LOOKUP.find(([k]) => padded.includes(` ${k} `));
+  return contained ? contained[1] : null;
+}
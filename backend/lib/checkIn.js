@@ -0,0 +1,68 @@
+// backend/lib/checkIn.js
+// QR-code check-in. The organizer's screen shows a short code (also encoded
+// in a QR link) that changes every minute; it's an HMAC of the event id and
+// the current minute under a per-event secret, so nothing needs storing per
+// code. A code is accepted during its own minute and the one after, so a scan
+// just before it rotates still works. Check-in is only open around the event.
+import crypto from "crypto";
+import { eventStartsAt } from "./eventTimes.js";
+import { DEFAULT_DURATION_HOURS } from "./ical.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CHECK_IN_CODE_TTL_MS = 60 * 1000;
+export const CHECK_IN_OPENS_BEFORE_MS = HOUR_MS;
+export const CHECK_IN_CLOSES_AFTER_MS = 2 * HOUR_MS;
+
+// No 0/O or 1/I, so codes can be typed from the organizer's screen
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CHECK_IN_CODE_LENGTH = 6;
+
+export const newCheckInSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * When an event ends, as a Date. Events without an end time are assumed to
+ * last DEFAULT_DURATION_HOURS.
+ */
+export function eventEndsAt(event) {
+  if (event.endTime) return new Date(`${event.date}T${event.endTime}:00+08:00`);
+  return new Date(eventStartsAt(event).getTime() + DEFAULT_DURATION_HOURS * HOUR_MS);
+}
+
+/**
+ * When check-in opens and closes for an event: from an hour before it starts
+ * until two hours after it ends. Returns { opensAt, closesAt } as Dates.
+ */
+export function checkInWindow(event) {
+  return {
+    opensAt: new Date(eventStartsAt(event).getTime() - CHECK_IN_OPENS_BEFORE_MS),
+    closesAt: new Date(eventEndsAt(event).getTime() + CHECK_IN_CLOSES_AFTER_MS),
+  };
+}
+
+// The code for one TTL-long slot
+function codeForSlot(secret, eventId, slot) {
+  const digest = crypto.createHmac("sha256", secret).update(`${eventId}:${slot}`).digest();
+  return Array.from(digest.subarray(0, CHECK_IN_CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join("");
+}
+
+/**
+ * The current check-in code for an event and when it expires.
+ */
+export function currentCheckInCode(secret, eventId, now = new Date()) {
+  const slot = Math.floor(now.getTime() / CHECK_IN_CODE_TTL_MS);
+  return { code: codeForSlot(secret, eventId, slot), expiresAt: new Date((slot + 1) * CHECK_IN_CODE_TTL_MS) };
+}
+
+/**
+ * Whether `code` (case-insensitive) is the event's current or previous code.
+ */
+export function isValidCheckInCode(secret, eventId, code, now = new Date()) {
+  if (typeof code !== "string") return false;
+  const given = Buffer.from(code.trim().toUpperCase());
+  const slot = Math.floor(now.getTime() / CHECK_IN_CODE_TTL_MS);
+  return [slot, slot - 1].some((s) => {
+    const expected = Buffer.from(codeForSlot(secret, eventId, s));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
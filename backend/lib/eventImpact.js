@@ -0,0 +1,31 @@
+// backend/lib/eventImpact.js
+// Waste entries can name the clean-up they were collected at (eventId), as
+// long as the submitter went to it; an event's impact report sums up the
+// entries linked to it.
+import { toManilaDate } from "./analytics.js";
+
+// Whether `uid` went to an event: checked in, or signed up as going
+async function attendedEvent(eventRef, uid) {
+  const [attendanceSnap, participantSnap] = await Promise.all([
+    eventRef.collection("attendance").doc(uid).get(),
+    eventRef.collection("participants").doc(uid).get(),
+  ]);
+  return attendanceSnap.exists || (participantSnap.exists && participantSnap.data().status === "going");
+}
+
+/**
+ * Checks that a waste entry of `uid` may be linked to `eventId` in the
+ * `events` collection: the event isn't cancelled or still to come, and they
+ * attended it. Returns an error message or null.
+ */
+export async function eventLinkError(events, eventId, uid, now = new Date()) {
+  if (typeof eventId !== "string" || !eventId || eventId.includes("/")) return "eventId must be an event id";
+  const eventRef = events.doc(eventId);
+  const eventSnap = await eventRef.get();
+  if (!eventSnap.exists) return "eventId must be an existing event";
+  const event = eventSnap.data();
+  if (event.status === "cancelled") return "Entries can't be linked to a cancelled event";
+  if (event.date > toManilaDate(now.toISOString())) return "Entries can't be linked to an event that hasn't happened yet";
+  if (!(await attendedEvent(eventRef, uid))) return "Entries can only be linked to events you attended";
+  return null;
+}
@@ -0,0 +1,23 @@
+// backend/lib/eventTimes.js
+// Event dates and times are Manila local times ("YYYY-MM-DD", "HH:MM"); the
+// Philippines keeps UTC+8 all year.
+
+// Older events have no start time; clean-ups are assumed to start in the morning
+export const DEFAULT_EVENT_START_TIME = "08:00";
+
+/**
+ * When an event starts, as a Date (Manila time).
+ */
+export function eventStartsAt(event) {
+  return new Date(`${event.date}T${event.startTime || DEFAULT_EVENT_START_TIME}:00+08:00`);
+}
+
+/**
+ * Whether `value` is a "YYYY-MM-DD" date that exists on the calendar (so not
+ * 2026-02-30 or 2025-13-45).
+ */
+export function isCalendarDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
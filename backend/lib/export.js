@@ -0,0 +1,69 @@
+// backend/lib/export.js
+// Streams rows to the response as CSV or XLSX for the /export endpoints.
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * One CSV cell: RFC 4180 quoting, and text that spreadsheet apps would run as
+ * a formula (starting with = + - @, a tab or a CR) gets a leading '.
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === "string") text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves true once `res` can take more data, or false if the client went
+// away first (a closed connection never drains)
+function drained(res) {
+  if (res.destroyed) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    const done = (writable) => () => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onClose);
+      resolve(writable);
+    };
+    const onDrain = done(true);
+    const onClose = done(false);
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onClose);
+  });
+}
+
+/**
+ * Writes `rows` (an async iterable of plain objects) to `res` as a file
+ * download. `columns` is a list of { key, header } in output order. Stops
+ * reading `rows` (closing it, and so its Firestore stream) if the client
+ * disconnects mid-download.
+ */
+export async function streamExport(res, { format, filename, columns, rows }) {
+  res.set("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+
+  if (format === "csv") {
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    // BOM so Excel opens the UTF-8 file with "ñ" intact
+    res.write("\uFEFF" + columns.map((c) => csvCell(c.header)).join(",") + "\r\n");
+    for await (const row of rows) {
+      if (!res.write(columns.map((c) => csvCell(row[c.key])).join(",") + "\r\n") && !(await drained(res))) {
+        return;
+      }
+    }
+    res.end();
+    return;
+  }
+
+  res.set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(filename);
+  sheet.columns = columns.map((c) => ({ header: c.header, key: c.key, width: Math.max(12, c.header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  for await (const row of rows) {
+    if (res.destroyed) return;
+    sheet.addRow(row).commit();
+  }
+  await workbook.commit();
+}
@@ -0,0 +1,51 @@
+// backend/lib/firebase.js
+// Shared Firebase Admin initialization for the server and the scripts/ tools.
+import dotenv from "dotenv";
+import { initializeApp, cert } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import fs from "fs";
+import path from "path";
+
+dotenv.config();
+
+// === FIREBASE ADMIN SDK (Deployment Ready) ===
+let serviceAccount;
+
+// Check if the service account key is in an environment variable (for production)
+if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+  // Parse the env variable string back into a JSON object
+  serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+} else if (process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+  // Local development against the Firebase emulators: no credentials needed,
+  // the Admin SDK picks up FIREBASE_AUTH_EMULATOR_HOST on its own.
+  serviceAccount = null;
+} else {
+  // Fallback for local development (reading the file)
+  const serviceAccountPath = path.join(process.cwd(), "serviceAccountKey.json");
+  if (!fs.existsSync(serviceAccountPath)) {
+    console.error("Missing serviceAccountKey.json. For local development, add it to the backend/ folder.");
+    process.exit(1);
+  }
+  serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, "utf8"));
+}
+
+export const projectId = serviceAccount?.project_id || process.env.FIREBASE_PROJECT_ID || "clean-up-tracker-cc0f1";
+
+initializeApp({
+  ...(serviceAccount ? { credential: cert(serviceAccount) } : { projectId }),
+  // Default bucket for STORAGE_DRIVER=firebase (see lib/storage.js)
+  storageBucket: process.env.FIREBASE_STORAGE_BUCKET || `${projectId}.firebasestorage.app`,
+});
+// ============================================
+
+export const db = getFirestore();
+
+/**
+ * Returns a reference to one of the app's public collections
+ * (artifacts/{projectId}/public/data/{name}), mirroring the frontend layout.
+ */
+export function getCollection(name) {
+  return db.collection("artifacts").doc(projectId)
+    .collection("public").doc("data")
+    .collection(name);
+}
@@ -0,0 +1,38 @@
+// backend/lib/geo.js
+// Optional coordinates on waste entries and events, and GeoJSON output.
+
+/**
+ * Validates optional latitude/longitude from a request body: both must be
+ * given together (or both omitted/null). Returns an error message or null.
+ */
+export function validateCoordinates(latitude, longitude) {
+  const given = [latitude, longitude].filter((v) => v !== undefined && v !== null);
+  if (given.length === 0) return null;
+  if (given.length === 1) return "latitude and longitude must be given together";
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return "latitude must be a number between -90 and 90";
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return "longitude must be a number between -180 and 180";
+  }
+  return null;
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection of point features from documents that
+ * have coordinates; `propertiesOf(doc)` picks the public properties.
+ */
+export function toFeatureCollection(docs, propertiesOf) {
+  return {
+    type: "FeatureCollection",
+    features: docs
+      .filter((d) => typeof d.latitude === "number" && typeof d.longitude === "number")
+      .map((d) => ({
+        type: "Feature",
+        id: d.id,
+        // GeoJSON positions are [longitude, latitude]
+        geometry: { type: "Point", coordinates: [d.longitude, d.latitude] },
+        properties: propertiesOf(d),
+      })),
+  };
+}
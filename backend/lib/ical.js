@@ -0,0 +1,115 @@
+// backend/lib/ical.js
+// iCalendar (RFC 5545) feeds of clean-up events. Times are written as local
+// Asia/Manila times with a VTIMEZONE block (UTC+8 year-round, no DST), so
+// calendar apps show them correctly wherever the phone is.
+
+export const TIME_ZONE = "Asia/Manila";
+const PRODUCT_ID = "-//Las Pinas Clean-up Tracker//Events//EN";
+const UID_DOMAIN = "clean-up-tracker";
+// Events with a start but no end time are assumed to last this long
+export const DEFAULT_DURATION_HOURS = 3;
+
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TIME_ZONE}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0800",
+  "TZOFFSETTO:+0800",
+  "TZNAME:PST",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// Backslashes, semicolons, commas and newlines must be escaped in TEXT values
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+const compactDate = (date) => date.replace(/-/g, "");
+const compactTime = (time) => `${time.replace(":", "")}00`;
+const utcStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// "YYYY-MM-DD" of the day after `date`
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// "HH:MM" `hours` after `time`, capped at the end of the day
+function addHours(time, hours) {
+  const [h, m] = time.split(":").map(Number);
+  return h + hours >= 24 ? "23:59" : `${String(h + hours).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+/**
+ * The VEVENT lines of an event ({ id, ...data }). Events without a start
+ * time are all-day events. `url` links back to the event in the app.
+ */
+function eventLines(event, { url, now }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${utcStamp(now)}`,
+  ];
+  if (event.startTime) {
+    const endTime = event.endTime || addHours(event.startTime, DEFAULT_DURATION_HOURS);
+    lines.push(`DTSTART;TZID=${TIME_ZONE}:${compactDate(event.date)}T${compactTime(event.startTime)}`);
+    lines.push(`DTEND;TZID=${TIME_ZONE}:${compactDate(event.date)}T${compactTime(endTime)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${compactDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${compactDate(nextDay(event.date))}`);
+  }
+  const place = [event.location, event.barangay, "Las Piñas"].filter(Boolean).join(", ");
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  lines.push(`LOCATION:${escapeText(place)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.latitude != null && event.longitude != null) lines.push(`GEO:${event.latitude};${event.longitude}`);
+  if (url) lines.push(`URL:${url}`);
+  lines.push(`STATUS:${event.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`);
+  if (event.updatedAt || event.createdAt) lines.push(`LAST-MODIFIED:${utcStamp(event.updatedAt || event.createdAt)}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR document for `events` ({ id, ...data } each).
+ * `urlFor(event)` gives each event's link in the app.
+ */
+export function toICalendar(events, { name, urlFor = () => null, now = new Date().toISOString() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...VTIMEZONE,
+    ...events.flatMap((event) => eventLines(event, { url: urlFor(event), now })),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,56 @@
+// backend/lib/imports.js
+// Normalization of rows from imported paper tally sheets (CSV). Values arrive
+// as text in whatever form volunteers wrote them down.
+import { normalizeUnit, parseVolume } from "./quantity.js";
+import { WASTE_TYPES, validateWasteEntry } from "./wasteEntries.js";
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/; // MM/DD/YYYY, as on most local forms
+
+// "2025-3-7" or "3/7/2025" -> "2025-03-07", or null when not a real date
+function parseDate(text) {
+  const value = String(text ?? "").trim();
+  let year, month, day;
+  if (ISO_DATE.test(value)) [, year, month, day] = value.match(ISO_DATE);
+  else if (US_DATE.test(value)) [, month, day, year] = value.match(US_DATE);
+  else return null;
+
+  const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+}
+
+/**
+ * Normalizes one mapped CSV row ({ type, quantity, unit, barangay, date }, all
+ * text) into waste entry fields. Returns { errors, fields } like
+ * validateWasteEntry, with `createdAt` set to the collection date (Manila time).
+ */
+export function normalizeImportRow(row) {
+  const typeText = String(row.type ?? "").trim().toLowerCase();
+  const type = WASTE_TYPES.find((t) => t.toLowerCase() === typeText) || row.type;
+
+  // Either separate quantity/unit columns, or one column like "10 bags"
+  let quantity = Number(String(row.quantity ?? "").trim().replace(",", "."));
+  let unit = normalizeUnit(row.unit);
+  if (!row.unit) {
+    const parsed = parseVolume(row.quantity);
+    if (parsed) ({ quantity, unit } = parsed);
+  }
+
+  const { errors, fields } = validateWasteEntry({ type, quantity, unit: unit || row.unit, location: row.barangay });
+
+  const date = parseDate(row.date);
+  if (!date) {
+    errors.push("date must be YYYY-MM-DD or MM/DD/YYYY");
+  } else if (date > new Date().toISOString().slice(0, 10)) {
+    errors.push("date is in the future");
+  }
+
+  if (errors.length > 0) return { errors, fields: null };
+  return {
+    errors,
+    fields: { ...fields, createdAt: new Date(`${date}T00:00:00+08:00`).toISOString() },
+  };
+}
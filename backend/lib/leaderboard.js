@@ -0,0 +1,33 @@
+// backend/lib/leaderboard.js
+// Rankings for /api/leaderboard. Periods are calendar periods in Las Piñas
+// local time, so "this week" starts on Monday 00:00 Manila time.
+import { toManilaDate, periodKey } from "./analytics.js";
+
+export const LEADERBOARD_PERIODS = ["week", "month", "year", "all"];
+export const DEFAULT_LEADERBOARD_SIZE = 10;
+
+/**
+ * First local date "YYYY-MM-DD" of the period containing `now`, or null for
+ * "all" (no lower bound).
+ */
+export function periodStart(period, now = new Date()) {
+  const today = toManilaDate(now.toISOString());
+  if (period === "week") return periodKey(today, "week");
+  if (period === "month") return `${today.slice(0, 7)}-01`;
+  if (period === "year") return `${today.slice(0, 4)}-01-01`;
+  return null;
+}
+
+/**
+ * Sorts `rows` by `key` (descending) and keeps the top `limit`, numbering
+ * them with standard competition ranks: ties share a rank and the next rank
+ * skips accordingly (1, 1, 3). Rows with nothing to count are left out.
+ */
+export function rankBy(rows, key, limit = DEFAULT_LEADERBOARD_SIZE) {
+  const sorted = rows.filter((row) => row[key] > 0).sort((a, b) => b[key] - a[key]);
+  return sorted.slice(0, limit).map((row, i) => {
+    let rank = i + 1;
+    while (rank > 1 && sorted[rank - 2][key] === row[key]) rank -= 1;
+    return { rank, ...row };
+  });
+}
@@ -0,0 +1,43 @@
+// backend/lib/mailer.js
+// Pluggable email delivery for notifications. MAIL_TRANSPORT selects:
+//  - "log" (default): messages are printed to the console, nothing is sent
+//  - "smtp": sent through SMTP_HOST:SMTP_PORT, e.g. a local catcher such as
+//    Mailpit or MailHog (localhost:1025) in development
+//  - "none": email is switched off
+import nodemailer from "nodemailer";
+
+function createLogTransport() {
+  return {
+    async send({ to, subject, text }) {
+      console.log(`✉️  To: ${to}\n    Subject: ${subject}\n    ${text.replace(/\n/g, "\n    ")}`);
+    },
+  };
+}
+
+function createSmtpTransport(env) {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST || "localhost",
+    port: Number(env.SMTP_PORT) || 1025,
+    secure: env.SMTP_SECURE === "true",
+    ...(env.SMTP_USER ? { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } } : {}),
+  });
+  const from = env.MAIL_FROM || "Las Piñas Clean-up Tracker <no-reply@localhost>";
+
+  return {
+    async send({ to, subject, text }) {
+      await transporter.sendMail({ from, to, subject, text });
+    },
+  };
+}
+
+/**
+ * Creates the mail transport selected by the environment. Every transport
+ * exposes send({ to, subject, text }).
+ */
+export function createMailer(env = process.env) {
+  const transport = env.MAIL_TRANSPORT || "log";
+  if (transport === "smtp") return createSmtpTransport(env);
+  if (transport === "log") return createLogTransport();
+  if (transport === "none") return { async send() {} };
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "log", "smtp" or "none")`);
+}
@@ -0,0 +1,164 @@
+// backend/lib/notifications.js
+// In-app notifications (the notifications collection, one document per
+// recipient) and their email copies. Event reminders go out 24h and 2h
+// before an event starts; organizers' edits and cancellations notify the
+// event's participants. Users can mute categories and email in their
+// preferences (see lib/preferences.js).
+import { FieldValue } from "firebase-admin/firestore";
+import { toManilaDate } from "./analytics.js";
+import { DEFAULT_PREFERENCES } from "./preferences.js";
+import { eventStartsAt } from "./eventTimes.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest first; only the latest one that's due is sent
+export const REMINDERS = [
+  { key: "24h", before: 24 * HOUR_MS },
+  { key: "2h", before: 2 * HOUR_MS },
+];
+
+// Event fields whose changes are worth telling participants about
+export const NOTIFIED_EVENT_FIELDS = ["title", "date", "startTime", "endTime", "location", "barangay"];
+
+const CLIENT_URL = (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+// "2026-10-20, 07:30" (or just the date) for email text
+const when = (p) => (p.startTime ? `${p.date}, ${p.startTime}` : p.date);
+
+// Series-wide changes (p.series) are sent once, about the first affected occurrence
+
+const EMAILS = {
+  en: {
+    reminder: (p) => ({
+      subject: `Reminder: ${p.title} ${p.when === "2h" ? "starts in 2 hours" : "is tomorrow"}`,
+      text: `${p.title} starts ${p.when === "2h" ? "in about 2 hours" : "in about 24 hours"}, on ${when(p)} at ${p.location}.`,
+    }),
+    eventChanged: (p) => ({
+      subject: `Event updated: ${p.title}`,
+      text: p.series
+        ? `The organizer changed the upcoming ${p.title} events. The next one is on ${when(p)} at ${p.location}.`
+        : `The organizer changed ${p.title}. It is now on ${when(p)} at ${p.location}.`,
+    }),
+    eventCancelled: (p) => ({
+      subject: `Event cancelled: ${p.title}`,
+      text: `${p.title} on ${p.date}${p.series ? " and all later dates" : ""} has been cancelled.${p.reason ? ` Reason: ${p.reason}` : ""}`,
+    }),
+    footer: "You can mute these notifications on your profile page.",
+  },
+  fil: {
+    reminder: (p) => ({
+      subject: `Paalala: ${p.title} ${p.when === "2h" ? "magsisimula sa loob ng 2 oras" : "bukas na"}`,
+      text: `Magsisimula ang ${p.title} ${p.when === "2h" ? "sa loob ng mga 2 oras" : "sa loob ng mga 24 oras"}, sa ${when(p)} sa ${p.location}.`,
+    }),
+    eventChanged: (p) => ({
+      subject: `Binago ang event: ${p.title}`,
+      text: p.series
+        ? `Binago ng organizer ang mga susunod na ${p.title}. Ang susunod ay sa ${when(p)} sa ${p.location}.`
+        : `Binago ng organizer ang ${p.title}. Gaganapin na ito sa ${when(p)} sa ${p.location}.`,
+    }),
+    eventCancelled: (p) => ({
+      subject: `Kinansela ang event: ${p.title}`,
+      text: `Kinansela ang ${p.title} sa ${p.date}${p.series ? " at ang lahat ng susunod na petsa" : ""}.${p.reason ? ` Dahilan: ${p.reason}` : ""}`,
+    }),
+    footer: "Maaari mong i-mute ang mga abisong ito sa iyong profile page.",
+  },
+};
+
+/**
+ * The key of the reminder due for `event` at `now` that hasn't been sent yet,
+ * or null. Once the event has started nothing is due.
+ */
+export function dueReminder(event, now = new Date()) {
+  const startsAt = eventStartsAt(event).getTime();
+  if (now.getTime() >= startsAt) return null;
+  const due = REMINDERS.filter((r) => now.getTime() >= startsAt - r.before).pop();
+  if (!due || (event.remindersSent || []).includes(due.key)) return null;
+  return due.key;
+}
+
+/**
+ * The event details quoted in notifications about it.
+ */
+export function eventParams(event) {
+  return { title: event.title, date: event.date, startTime: event.startTime || null, location: event.location };
+}
+
+/**
+ * The notification senders, over Firestore (`db` and the app's
+ * `getCollection`) and a mailer from lib/mailer.js. Returns
+ * { notify, sendDueReminders }.
+ */
+export function createNotifier({ db, getCollection, mailer }) {
+  /**
+   * Notifies `recipients` ({ uid, email } each) unless they muted the category.
+   * With a `dedupeKey`, a recipient gets at most one notification for that key
+   * (e.g. one 24h reminder per event), however many times this runs. Email
+   * failures are logged rather than thrown. Returns how many were notified.
+   */
+  async function notify(recipients, { category, eventId = null, params, dedupeKey = null }) {
+    if (recipients.length === 0) return 0;
+    const prefsCol = getCollection("userPreferences");
+    const prefSnaps = await db.getAll(...recipients.map((r) => prefsCol.doc(r.uid)));
+    const col = getCollection("notifications");
+    const createdAt = new Date().toISOString();
+    let notified = 0;
+
+    await Promise.all(recipients.map(async (recipient, i) => {
+      const prefs = { ...DEFAULT_PREFERENCES, ...(prefSnaps[i].exists ? prefSnaps[i].data() : {}) };
+      if (prefs.mutedNotifications.includes(category)) return;
+
+      const docRef = dedupeKey ? col.doc(`${dedupeKey}-${recipient.uid}`) : col.doc();
+      try {
+        await docRef.create({ uid: recipient.uid, category, eventId, params, read: false, createdAt });
+      } catch (err) {
+        // gRPC ALREADY_EXISTS: this recipient was already notified
+        if (err.code === 6) return;
+        throw err;
+      }
+      notified += 1;
+
+      if (!prefs.emailNotifications || !recipient.email) return;
+      const templates = EMAILS[prefs.language] || EMAILS.en;
+      const { subject, text } = templates[category](params);
+      const link = eventId ? `\n\n${CLIENT_URL}/events/${eventId}` : "";
+      try {
+        await mailer.send({ to: recipient.email, subject, text: `${text}${link}\n\n${templates.footer}` });
+      } catch (err) {
+        console.error(`Could not email notification ${docRef.id}:`, err.message);
+      }
+    }));
+
+    return notified;
+  }
+
+  /**
+   * Sends the reminders that are due for upcoming events to everyone going.
+   * Safe to run as often as needed; returns how many reminders were sent.
+   */
+  async function sendDueReminders(now = new Date()) {
+    const today = toManilaDate(now.toISOString());
+    const horizon = toManilaDate(new Date(now.getTime() + REMINDERS[0].before + 24 * HOUR_MS).toISOString());
+    const snapshot = await getCollection("events").where("date", ">=", today).where("date", "<=", horizon).get();
+
+    let sent = 0;
+    for (const doc of snapshot.docs) {
+      const event = doc.data();
+      if (event.status === "cancelled") continue;
+      const reminder = dueReminder(event, now);
+      if (!reminder) continue;
+
+      const going = await doc.ref.collection("participants").where("status", "==", "going").get();
+      sent += await notify(going.docs.map((d) => d.data()), {
+        category: "reminder",
+        eventId: doc.id,
+        params: { ...eventParams(event), when: reminder },
+        // A rescheduled event gets its reminders again
+        dedupeKey: `reminder-${reminder}-${doc.id}-${eventStartsAt(event).getTime()}`,
+      });
+      await doc.ref.update({ remindersSent: FieldValue.arrayUnion(reminder) });
+    }
+    return sent;
+  }
+
+  return { notify, sendDueReminders };
+}
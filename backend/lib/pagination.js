@@ -0,0 +1,77 @@
+// backend/lib/pagination.js
+// Shared parsing of list query parameters and Firestore cursor pagination.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const DATE_PREFIX = /^\d{4}-\d{2}-\d{2}/;
+// Bare dates are days in Las Piñas local time (Asia/Manila, no DST)
+const MANILA_OFFSET = "+08:00";
+
+/**
+ * Parses ?limit, ?cursor, ?order, ?from and ?to from a request query.
+ * Returns { error } when a parameter is malformed.
+ */
+export function parseListParams(query) {
+  const { cursor, order = "desc", from, to } = query;
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc" };
+  }
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value !== undefined && (!DATE_PREFIX.test(value) || Number.isNaN(Date.parse(value)))) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+
+  return { limit, cursor: cursor || null, order, from: from || null, to: to || null };
+}
+
+/**
+ * Lower bound for a `from` date compared against ISO timestamps: a bare
+ * "YYYY-MM-DD" starts at local midnight (Asia/Manila, UTC+8).
+ */
+export function startOfDay(from) {
+  return from.length === 10 ? new Date(`${from}T00:00:00${MANILA_OFFSET}`).toISOString() : from;
+}
+
+/**
+ * Upper bound for an inclusive `to` date compared against ISO timestamps:
+ * a bare "YYYY-MM-DD" covers the whole local (Asia/Manila) day.
+ */
+export function endOfDay(to) {
+  return to.length === 10 ? new Date(`${to}T23:59:59.999${MANILA_OFFSET}`).toISOString() : to;
+}
+
+/**
+ * Runs one page of `query`. The cursor is the id of the last document of the
+ * previous page (looked up in `col`). Returns { items, nextCursor }, or null
+ * when the cursor doesn't refer to an existing document. With `keep`, only
+ * items it accepts are returned; the query is read further to fill the page.
+ */
+export async function paginate(col, query, { limit, cursor }, keep = null) {
+  let pageQuery = query;
+  if (cursor) {
+    const cursorSnap = await col.doc(cursor).get();
+    if (!cursorSnap.exists) return null;
+    pageQuery = pageQuery.startAfter(cursorSnap);
+  }
+
+  const items = [];
+  for (;;) {
+    // Fetch one extra document to know whether another page exists
+    const snapshot = await pageQuery.limit(limit + 1).get();
+    for (const d of snapshot.docs) {
+      const item = { id: d.id, ...d.data() };
+      if (keep && !keep(item)) continue;
+      if (items.length === limit) return { items, nextCursor: items[limit - 1].id };
+      items.push(item);
+    }
+    if (snapshot.docs.length <= limit) return { items, nextCursor: null };
+    pageQuery = query.startAfter(snapshot.docs[snapshot.docs.length - 1]);
+  }
+}
@@ -0,0 +1,30 @@
+// backend/lib/photos.js
+// Image processing for photo evidence. Re-encoding through sharp drops all
+// metadata (EXIF GPS, camera serials, ...) since we never call withMetadata().
+import sharp from "sharp";
+
+const FULL_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+/**
+ * Produces a privacy-safe JPEG (longest side <= 1600px) and a 320px
+ * thumbnail from an uploaded image buffer.
+ */
+export async function processPhoto(buffer) {
+  // rotate() with no arguments bakes the EXIF orientation into the pixels
+  // before the metadata is discarded
+  const base = sharp(buffer, { failOn: "error" }).rotate();
+
+  const [image, thumbnail] = await Promise.all([
+    base.clone()
+      .resize(FULL_SIZE, FULL_SIZE, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer(),
+    base.clone()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+      .jpeg({ quality: 75 })
+      .toBuffer(),
+  ]);
+
+  return { image, thumbnail };
+}
@@ -0,0 +1,39 @@
+// backend/lib/preferences.js
+// Per-user settings that follow the user across devices, stored in the
+// userPreferences collection under the user's uid.
+
+// UI languages; must match the catalogs in frontend/src/locales
+export const LANGUAGES = ["en", "fil"];
+// Notification categories a user can mute (in the app and by email)
+export const NOTIFICATION_CATEGORIES = ["reminder", "eventChanged", "eventCancelled"];
+export const DEFAULT_PREFERENCES = { language: "en", mutedNotifications: [], emailNotifications: true };
+
+/**
+ * Checks a preferences update; only the fields present are validated.
+ * Returns { errors, fields } with the values to merge into the stored ones.
+ */
+export function validatePreferences(body) {
+  const errors = [];
+  const fields = {};
+
+  if (body.language !== undefined) {
+    if (!LANGUAGES.includes(body.language)) errors.push(`language must be one of: ${LANGUAGES.join(", ")}`);
+    fields.language = body.language;
+  }
+
+  if (body.mutedNotifications !== undefined) {
+    const muted = body.mutedNotifications;
+    if (!Array.isArray(muted) || muted.some((c) => !NOTIFICATION_CATEGORIES.includes(c))) {
+      errors.push(`mutedNotifications must be a list of: ${NOTIFICATION_CATEGORIES.join(", ")}`);
+    } else {
+      fields.mutedNotifications = [...new Set(muted)];
+    }
+  }
+
+  if (body.emailNotifications !== undefined) {
+    if (typeof body.emailNotifications !== "boolean") errors.push("emailNotifications must be true or false");
+    fields.emailNotifications = body.emailNotifications;
+  }
+
+  return { errors, fields };
+}
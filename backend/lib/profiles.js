@@ -0,0 +1,77 @@
+// backend/lib/profiles.js
+// Public-facing user profiles, stored in the profiles collection under the
+// user's uid. Other users only ever see a profile's public fields, and only
+// when its owner made it public; emails are never part of a profile.
+import { normalizeBarangay } from "./barangays.js";
+
+// "private" profiles show up as "Anonymous volunteer" everywhere
+export const VISIBILITIES = ["public", "private"];
+export const DEFAULT_PROFILE = {
+  displayName: null,
+  avatar: null,
+  homeBarangay: null,
+  organization: null,
+  visibility: "private",
+};
+
+const MAX_LENGTHS = { displayName: 40, organization: 80 };
+
+// Fields holding email addresses (`email` on roster and attendance records).
+// They stay in the stored documents but are stripped from API responses; the
+// app shows public display names instead.
+const EMAIL_FIELDS = ["submitterEmail", "reviewedByEmail", "creatorEmail", "createdByEmail", "email"];
+
+/**
+ * Checks a profile update; only the fields present are validated. Blank text
+ * clears a field. Returns { errors, fields } with the values to merge.
+ */
+export function validateProfile(body) {
+  const errors = [];
+  const fields = {};
+
+  for (const name of ["displayName", "organization"]) {
+    if (body[name] === undefined) continue;
+    const value = typeof body[name] === "string" ? body[name].trim() : body[name];
+    if (value !== null && typeof value !== "string") errors.push(`${name} must be a string`);
+    else if (value && value.length > MAX_LENGTHS[name]) {
+      errors.push(`${name} must be at most ${MAX_LENGTHS[name]} characters`);
+    }
+    fields[name] = value || null;
+  }
+
+  if (body.homeBarangay !== undefined) {
+    const barangay = body.homeBarangay ? normalizeBarangay(body.homeBarangay) : null;
+    if (body.homeBarangay && !barangay) errors.push("homeBarangay must be a Las Piñas barangay");
+    fields.homeBarangay = barangay;
+  }
+
+  if (body.visibility !== undefined) {
+    if (!VISIBILITIES.includes(body.visibility)) errors.push(`visibility must be one of: ${VISIBILITIES.join(", ")}`);
+    fields.visibility = body.visibility;
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * What other users may see of a stored profile: its public fields when the
+ * owner made it public and gave a display name, otherwise null (anonymous).
+ */
+export function publicProfile(profile) {
+  if (!profile || profile.visibility !== "public" || !profile.displayName) return null;
+  return {
+    displayName: profile.displayName,
+    avatar: profile.avatar?.path || null,
+    homeBarangay: profile.homeBarangay || null,
+    organization: profile.organization || null,
+  };
+}
+
+/**
+ * A copy of a document without its email fields.
+ */
+export function withoutEmails(doc) {
+  const copy = { ...doc };
+  EMAIL_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+}
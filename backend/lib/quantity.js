@@ -0,0 +1,92 @@
+// backend/lib/quantity.js
+// Waste quantities: allowed units, unit -> kg conversion and parsing of the
+// legacy free-text `volume` field ("10 bags", "5 kg", ...).
+
+export const UNITS = ["kg", "bags", "sacks", "pieces"];
+
+// Rough field estimates used when a quantity isn't weighed directly.
+// Override with KG_PER_BAG / KG_PER_SACK / KG_PER_PIECE in the environment.
+const DEFAULT_KG_PER_UNIT = {
+  kg: 1,
+  bags: 5,
+  sacks: 25,
+  pieces: 0.05,
+};
+
+function envFactor(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export const KG_PER_UNIT = {
+  kg: 1,
+  bags: envFactor("KG_PER_BAG", DEFAULT_KG_PER_UNIT.bags),
+  sacks: envFactor("KG_PER_SACK", DEFAULT_KG_PER_UNIT.sacks),
+  pieces: envFactor("KG_PER_PIECE", DEFAULT_KG_PER_UNIT.pieces),
+};
+
+// Spellings volunteers actually type, mapped to a canonical unit
+const UNIT_ALIASES = {
+  kg: "kg", kgs: "kg", kilo: "kg", kilos: "kg", kilogram: "kg", kilograms: "kg",
+  bag: "bags", bags: "bags",
+  sack: "sacks", sacks: "sacks", sako: "sacks",
+  pc: "pieces", pcs: "pieces", piece: "pieces", pieces: "pieces",
+};
+
+/**
+ * Maps a unit as typed ("kilos", "sako", "pcs") to its canonical unit, or null.
+ */
+export function normalizeUnit(text) {
+  if (typeof text !== "string") return null;
+  return UNIT_ALIASES[text.trim().toLowerCase().replace(/\.$/, "")] || null;
+}
+
+/**
+ * Rounds an estimated weight for storage and display (2 decimal places).
+ */
+export const roundKg = (kg) => Math.round(kg * 100) / 100;
+
+/**
+ * Validates a quantity/unit pair from a request body.
+ * Returns an error message, or null when the pair is valid.
+ */
+export function validateQuantity(quantity, unit) {
+  if (typeof quantity !== "number" || !Number.isFinite(quantity)) {
+    return "quantity must be a number";
+  }
+  if (quantity <= 0) return "quantity must be greater than 0";
+  if (!UNITS.includes(unit)) return `unit must be one of: ${UNITS.join(", ")}`;
+  return null;
+}
+
+/**
+ * Estimated weight of a quantity in kilograms.
+ */
+export function toKilograms(quantity, unit) {
+  const factor = KG_PER_UNIT[unit];
+  if (!factor || !Number.isFinite(quantity)) return 0;
+  return quantity * factor;
+}
+
+/**
+ * Estimated weight of a stored waste entry, or 0 for entries without a
+ * structured quantity (legacy entries the migration couldn't parse).
+ */
+export function entryKilograms(entry) {
+  return toKilograms(entry.quantity, entry.unit);
+}
+
+/**
+ * Parses a legacy free-text volume like "10 bags", "5kg" or "3 sako".
+ * Returns { quantity, unit } or null when the text can't be understood.
+ */
+export function parseVolume(text) {
+  if (typeof text !== "string") return null;
+  const match = text.trim().toLowerCase().match(/^(\d+(?:[.,]\d+)?)\s*([a-z]+)\.?$/);
+  if (!match) return null;
+
+  const quantity = Number(match[1].replace(",", "."));
+  const unit = UNIT_ALIASES[match[2]];
+  if (!unit || !(quantity > 0)) return null;
+  return { quantity, unit };
+}
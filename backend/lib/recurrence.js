@@ -0,0 +1,97 @@
+// backend/lib/recurrence.js
+// Recurring events. A series is stored as one event document per occurrence
+// (sharing a seriesId), so joining, reminders and calendar feeds work on
+// occurrences exactly as on one-off events. Rules repeat from the first
+// occurrence's date:
+//  - "weekly" / "biweekly": same weekday every 1 / 2 weeks
+//  - "monthly": same nth weekday of the month (e.g. 2nd Saturday); a fifth
+//    weekday (a start on the 29th-31st) means the month's last such weekday
+// and end after `count` occurrences or on an `until` date.
+import { isCalendarDate } from "./eventTimes.js";
+
+export const FREQUENCIES = ["weekly", "biweekly", "monthly"];
+export const MAX_OCCURRENCES = 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parse = (date) => new Date(`${date}T00:00:00Z`);
+const format = (d) => d.toISOString().slice(0, 10);
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Which weekday of its month a date is: { weekday (0 = Sunday), nth (1-4,
+ * or -1 for a fifth weekday, which not every month has) }.
+ */
+export function monthlyPosition(date) {
+  const d = parse(date);
+  const day = d.getUTCDate();
+  return { weekday: d.getUTCDay(), nth: day > 28 ? -1 : Math.ceil(day / 7) };
+}
+
+// The date of the nth (or last, -1) `weekday` in a month
+function nthWeekday(year, month, weekday, nth) {
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, month, daysInMonth(year, month)));
+    return new Date(last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS);
+  }
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (nth - 1) * 7));
+}
+
+/**
+ * Checks a recurrence rule { frequency, count?, until? } for a series
+ * starting on `startDate`. Returns an error message or null.
+ */
+export function validateRecurrence(rule, startDate) {
+  if (!rule || typeof rule !== "object") return "recurrence must be an object";
+  if (!FREQUENCIES.includes(rule.frequency)) return `recurrence.frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  const hasCount = rule.count !== undefined && rule.count !== null;
+  const hasUntil = rule.until !== undefined && rule.until !== null;
+  if (hasCount === hasUntil) return "recurrence needs either a count or an until date";
+  if (hasCount && (!Number.isInteger(rule.count) || rule.count < 2 || rule.count > MAX_OCCURRENCES)) {
+    return `recurrence.count must be a whole number between 2 and ${MAX_OCCURRENCES}`;
+  }
+  if (hasUntil && (!isCalendarDate(rule.until) || rule.until <= startDate)) {
+    return "recurrence.until must be a date (YYYY-MM-DD) after the first occurrence";
+  }
+  return null;
+}
+
+/**
+ * The dates ("YYYY-MM-DD") of every occurrence of a validated rule, starting
+ * with `startDate`, capped at MAX_OCCURRENCES.
+ */
+export function expandOccurrences(startDate, rule) {
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const start = parse(startDate);
+  const { weekday, nth } = monthlyPosition(startDate);
+  const dates = [];
+
+  for (let i = 0; dates.length < limit; i++) {
+    let d;
+    if (rule.frequency === "monthly") {
+      d = nthWeekday(start.getUTCFullYear(), start.getUTCMonth() + i, weekday, nth);
+    } else {
+      d = new Date(start.getTime() + i * (rule.frequency === "biweekly" ? 14 : 7) * DAY_MS);
+    }
+    const date = format(d);
+    if (rule.until && date > rule.until) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * The rule as stored on each occurrence: the request's fields plus the
+ * weekday it repeats on (and, for monthly series, which one of the month)
+ * so the app can describe it.
+ */
+export function storedRecurrence(rule, startDate) {
+  return {
+    frequency: rule.frequency,
+    count: rule.count ?? null,
+    until: rule.until ?? null,
+    ...(rule.frequency === "monthly" ? monthlyPosition(startDate) : { weekday: parse(startDate).getUTCDay() }),
+  };
+}
@@ -0,0 +1,24 @@
+// backend/lib/rsvp.js
+// Joining and leaving events. An event with a capacity takes participants as
+// "going" until it's full, then puts them on a waitlist; spots that free up
+// go to the earliest waitlisted participant.
+
+/**
+ * The status a new participant gets: "going", or "waitlisted" once the event
+ * is full.
+ */
+export function joinStatus(event) {
+  const isFull = event.capacity != null && (event.attendeeCount || 0) >= event.capacity;
+  return isFull ? "waitlisted" : "going";
+}
+
+/**
+ * Whether the earliest waitlisted participant takes the spot of a "going"
+ * participant who leaves. Not while the event is still over capacity after
+ * the leave (an organizer may have lowered the capacity below the number
+ * going).
+ */
+export function promotesOnLeave(event, hasWaitlisted) {
+  if (!hasWaitlisted) return false;
+  return event.capacity == null || (event.attendeeCount || 0) - 1 < event.capacity;
+}
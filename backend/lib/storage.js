@@ -0,0 +1,72 @@
+// backend/lib/storage.js
+// Pluggable file storage for uploaded photos. STORAGE_DRIVER selects:
+//  - "local" (default): files under UPLOAD_DIR (default backend/uploads)
+//  - "firebase": the project's Cloud Storage bucket; honours
+//    FIREBASE_STORAGE_EMULATOR_HOST for local development
+import fs from "fs";
+import path from "path";
+import { getStorage } from "firebase-admin/storage";
+
+function createLocalStorage(rootDir) {
+  const resolve = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    // Keys come from our own code, but never let one escape the upload directory
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async exists(key) {
+      return fs.existsSync(resolve(key));
+    },
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+function createFirebaseStorage(bucketName) {
+  const bucket = getStorage().bucket(bucketName);
+
+  return {
+    async save(key, buffer, contentType) {
+      await bucket.file(key).save(buffer, { contentType, resumable: false });
+    },
+    async exists(key) {
+      const [exists] = await bucket.file(key).exists();
+      return exists;
+    },
+    createReadStream(key) {
+      return bucket.file(key).createReadStream();
+    },
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+  };
+}
+
+/**
+ * Creates the storage backend selected by the environment. Every backend
+ * exposes save(key, buffer, contentType), exists(key), createReadStream(key)
+ * and remove(key).
+ */
+export function createStorage(env = process.env) {
+  const driver = env.STORAGE_DRIVER || "local";
+  if (driver === "firebase") {
+    return createFirebaseStorage(env.FIREBASE_STORAGE_BUCKET || undefined);
+  }
+  if (driver === "local") {
+    return createLocalStorage(env.UPLOAD_DIR || path.join(process.cwd(), "uploads"));
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "local" or "firebase")`);
+}
@@ -0,0 +1,92 @@
+// backend/lib/tips.js
+// Awareness tips shown on the app's Awareness page. Content is Markdown,
+// rendered by the frontend; admins manage tips through the /api/tips routes.
+// A tip's own title and content are English; `translations` holds the same
+// text in other languages, e.g. { fil: { title, content } }.
+
+export const TIP_CATEGORIES = ["segregation", "flooding", "composting", "mrf", "general"];
+// Languages a tip can be translated into (English is the tip itself)
+export const TIP_TRANSLATION_LANGUAGES = ["fil"];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_CONTENT_LENGTH = 10000;
+
+/**
+ * Checks the editable fields of a tip. With `partial`, absent fields are
+ * skipped (PATCH); otherwise title, content and category are required.
+ * Translations replace the tip's previous ones as a whole.
+ * Returns { errors, fields } with the normalized values present in `body`.
+ */
+export function validateTipFields(body, { partial = false } = {}) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has("title") || !partial) {
+    const title = typeof body.title === "string" ? body.title.trim() : "";
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      errors.push(`title is required (at most ${MAX_TITLE_LENGTH} characters)`);
+    }
+    fields.title = title;
+  }
+  if (has("content") || !partial) {
+    const content = typeof body.content === "string" ? body.content.trim() : "";
+    if (!content || content.length > MAX_CONTENT_LENGTH) {
+      errors.push(`content is required (at most ${MAX_CONTENT_LENGTH} characters of Markdown)`);
+    }
+    fields.content = content;
+  }
+  if (has("category") || !partial) {
+    if (!TIP_CATEGORIES.includes(body.category)) {
+      errors.push(`category must be one of: ${TIP_CATEGORIES.join(", ")}`);
+    }
+    fields.category = body.category;
+  }
+  if (has("translations") || !partial) {
+    const translations = body.translations ?? {};
+    fields.translations = {};
+    if (typeof translations !== "object" || Array.isArray(translations)) {
+      errors.push("translations must be an object keyed by language");
+    } else {
+      for (const [language, text] of Object.entries(translations)) {
+        if (!TIP_TRANSLATION_LANGUAGES.includes(language)) {
+          errors.push(`translations may only be given for: ${TIP_TRANSLATION_LANGUAGES.join(", ")}`);
+          continue;
+        }
+        const title = typeof text?.title === "string" ? text.title.trim() : "";
+        const content = typeof text?.content === "string" ? text.content.trim() : "";
+        // A blank translation is the same as none
+        if (!title && !content) continue;
+        if (!title || title.length > MAX_TITLE_LENGTH || !content || content.length > MAX_CONTENT_LENGTH) {
+          errors.push(`translations.${language} needs both a title and content, within the same limits`);
+        }
+        fields.translations[language] = { title, content };
+      }
+    }
+  }
+  if (has("published")) {
+    if (typeof body.published !== "boolean") errors.push("published must be true or false");
+    fields.published = body.published;
+  }
+  if (has("order")) {
+    if (!Number.isInteger(body.order)) errors.push("order must be an integer");
+    fields.order = body.order;
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * Whether a tip is shown to everyone. Tips added before publishing existed
+ * have no `published` field and count as published.
+ */
+export function isPublishedTip(tip) {
+  return tip.published !== false;
+}
+
+/**
+ * Sorts tips for display: by `order`, then oldest first.
+ */
+export function sortTips(tips) {
+  return [...tips].sort((a, b) => (a.order ?? 0) - (b.order ?? 0) || (a.createdAt || "").localeCompare(b.createdAt || ""));
+}
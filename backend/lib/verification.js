@@ -0,0 +1,66 @@
+// backend/lib/verification.js
+// Review workflow for waste entries: new entries start "pending" until an
+// organizer approves, corrects or rejects them, and unusually large ones are
+// flagged for attention by comparing them with earlier entries.
+
+export const ENTRY_STATUSES = ["pending", "approved", "rejected"];
+export const REVIEW_ACTIONS = ["approve", "reject", "correct"];
+
+// An entry is flagged when it is this many times the median of the history
+const OUTLIER_RATIO = Number(process.env.OUTLIER_RATIO) || 5;
+// ...or heavier than this in absolute terms, whatever the history
+const OUTLIER_MAX_KG = Number(process.env.OUTLIER_MAX_KG) || 500;
+// Fewer earlier entries than this is too little history to compare against
+const MIN_HISTORY = 5;
+
+/**
+ * Review status of an entry. Entries from before the workflow existed have
+ * no status and count as approved.
+ */
+export function entryStatus(entry) {
+  return entry.status || "approved";
+}
+
+/**
+ * Whether anyone may see an entry. Pending and rejected entries are only
+ * shown to organizers and to the volunteer who submitted them.
+ */
+export function isPublicEntry(entry) {
+  return entryStatus(entry) === "approved";
+}
+
+/**
+ * Whether an entry counts towards totals: approved ones, plus pending ones
+ * when `includePending` is set. Rejected entries never count.
+ */
+export function countsTowardsTotals(entry, includePending = false) {
+  const status = entryStatus(entry);
+  return status === "approved" || (includePending && status === "pending");
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Reasons an entry of `kg` kilograms looks like an outlier (e.g. "500 bags"
+ * typed instead of "5 bags"), or [] when it looks normal. The histories are
+ * the estimated kg of the submitter's and the barangay's earlier approved entries.
+ */
+export function detectOutliers(kg, { userHistory = [], barangayHistory = [], barangay } = {}) {
+  const flags = [];
+  if (kg > OUTLIER_MAX_KG) flags.push(`More than ${OUTLIER_MAX_KG} kg in a single entry`);
+
+  const check = (history, description) => {
+    if (history.length < MIN_HISTORY) return;
+    const typical = median(history);
+    if (typical > 0 && kg > typical * OUTLIER_RATIO) {
+      flags.push(`${Math.round(kg / typical)}× ${description} (median ${typical} kg)`);
+    }
+  };
+  check(userHistory, "this volunteer's usual entry");
+  check(barangayHistory, `the usual entry in ${barangay}`);
+  return flags;
+}
@@ -0,0 +1,43 @@
+// backend/lib/wasteEntries.js
+// Validation and normalization of new waste entries, shared by POST /api/waste
+// and the CSV import.
+import { validateQuantity, toKilograms, roundKg } from "./quantity.js";
+import { normalizeBarangay } from "./barangays.js";
+import { validateCoordinates } from "./geo.js";
+
+export const WASTE_TYPES = ["Mixed", "Plastic", "Paper", "Glass", "Organic", "Other"];
+
+/**
+ * Checks the user-supplied fields of a waste entry. Returns { errors, fields }:
+ * `errors` lists every problem found; when it's empty, `fields` holds the
+ * normalized values to store (canonical barangay, estimated kg, ...).
+ */
+export function validateWasteEntry({ type, quantity, unit, location, latitude = null, longitude = null }) {
+  const errors = [];
+
+  if (!WASTE_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${WASTE_TYPES.join(", ")}`);
+  }
+  const quantityError = validateQuantity(quantity, unit);
+  if (quantityError) errors.push(quantityError);
+  // Free-text variants ("zapote ", "Brgy. Zapote") are stored under the canonical name
+  const barangay = normalizeBarangay(location);
+  if (!barangay) errors.push("location must be a Las Piñas barangay");
+  // Coordinates are optional (picked on a map or from browser geolocation)
+  const coordinatesError = validateCoordinates(latitude, longitude);
+  if (coordinatesError) errors.push(coordinatesError);
+
+  if (errors.length > 0) return { errors, fields: null };
+  return {
+    errors,
+    fields: {
+      type,
+      quantity,
+      unit,
+      estimatedKg: roundKg(toKilograms(quantity, unit)),
+      location: barangay,
+      latitude,
+      longitude,
+    },
+  };
+}
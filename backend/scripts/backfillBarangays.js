@@ -0,0 +1,67 @@
+// backend/scripts/backfillBarangays.js
+// One-off backfill: re-tags existing documents with canonical barangay names.
+//  - wasteEntries: `location` is replaced by the canonical barangay; the
+//    original text is kept in `locationRaw`.
+//  - events: a `barangay` field is derived from the free-text `location`.
+// Documents whose text can't be matched are flagged with `barangayUnmatched: true`.
+//
+// Usage: node scripts/backfillBarangays.js [--dry-run]
+import { db, getCollection } from "../lib/firebase.js";
+import { normalizeBarangay } from "../lib/barangays.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const BATCH_LIMIT = 500;
+
+/**
+ * Applies `updateFor(data)` to every document of a collection in batched
+ * writes. `updateFor` returns the fields to update, or null to skip.
+ */
+async function backfill(name, updateFor) {
+  const snapshot = await getCollection(name).get();
+  let updated = 0;
+  let unmatched = 0;
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of snapshot.docs) {
+    const update = updateFor(doc.data());
+    if (!update) continue;
+
+    if (update.barangayUnmatched) {
+      unmatched += 1;
+      console.log(`✘ ${name}/${doc.id}: no barangay found in "${doc.data().location}"`);
+    }
+    updated += 1;
+    batch.update(doc.ref, update);
+    pending += 1;
+    if (pending === BATCH_LIMIT) {
+      if (!dryRun) await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0 && !dryRun) await batch.commit();
+  console.log(`${dryRun ? "[dry run] " : ""}${name}: ${updated} updated, ${unmatched} unmatched.`);
+}
+
+async function main() {
+  await backfill("wasteEntries", (entry) => {
+    const barangay = normalizeBarangay(entry.location);
+    if (barangay === entry.location) return null;
+    if (!barangay) return { barangayUnmatched: true };
+    return { location: barangay, locationRaw: entry.location ?? null, barangayUnmatched: false };
+  });
+
+  await backfill("events", (event) => {
+    if (event.barangay) return null;
+    const barangay = normalizeBarangay(event.location);
+    if (!barangay) return { barangayUnmatched: true };
+    return { barangay, barangayUnmatched: false };
+  });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// backend/scripts/migrateVolumes.js
+// One-off migration: converts legacy free-text `volume` values on wasteEntries
+// into structured `quantity` + `unit`. Entries that can't be parsed are
+// flagged with `needsReview: true` so an organizer can fix them by hand.
+//
+// Usage: node scripts/migrateVolumes.js [--dry-run]
+import { db, getCollection } from "../lib/firebase.js";
+import { parseVolume, toKilograms, roundKg } from "../lib/quantity.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const BATCH_LIMIT = 500;
+
+async function main() {
+  const snapshot = await getCollection("wasteEntries").get();
+  const legacy = snapshot.docs.filter((d) => !d.data().unit);
+
+  let parsed = 0;
+  let flagged = 0;
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of legacy) {
+    const { volume } = doc.data();
+    const result = parseVolume(volume);
+
+    if (result) {
+      parsed += 1;
+      console.log(`✔ ${doc.id}: "${volume}" -> ${result.quantity} ${result.unit}`);
+      batch.update(doc.ref, {
+        quantity: result.quantity,
+        unit: result.unit,
+        estimatedKg: roundKg(toKilograms(result.quantity, result.unit)),
+        needsReview: false,
+      });
+    } else {
+      flagged += 1;
+      console.log(`✘ ${doc.id}: could not parse "${volume}", flagging for review`);
+      batch.update(doc.ref, { needsReview: true });
+    }
+
+    pending += 1;
+    if (pending === BATCH_LIMIT) {
+      if (!dryRun) await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0 && !dryRun) await batch.commit();
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}${legacy.length} legacy entries: ${parsed} migrated, ${flagged} flagged for review.`
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
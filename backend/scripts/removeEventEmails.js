@@ -0,0 +1,36 @@
+// backend/scripts/removeEventEmails.js
+// One-off cleanup: deletes the `creatorEmail` field from existing events.
+// Event documents are readable by every signed-in user straight from
+// Firestore, so organizers' emails must not be stored on them; the app now
+// shows the organizer's public profile name instead.
+//
+// Usage: node scripts/removeEventEmails.js [--dry-run]
+import { FieldValue } from "firebase-admin/firestore";
+import { db, getCollection } from "../lib/firebase.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const BATCH_LIMIT = 500;
+
+async function main() {
+  const snapshot = await getCollection("events").where("creatorEmail", "!=", null).get();
+  let batch = db.batch();
+  let pending = 0;
+
+  for (const doc of snapshot.docs) {
+    batch.update(doc.ref, { creatorEmail: FieldValue.delete() });
+    pending += 1;
+    if (pending === BATCH_LIMIT) {
+      if (!dryRun) await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0 && !dryRun) await batch.commit();
+  console.log(`${dryRun ? "[dry run] " : ""}events: ${snapshot.size} updated.`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
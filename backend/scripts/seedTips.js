@@ -0,0 +1,78 @@
+// backend/scripts/seedTips.js
+// Seeds the starter awareness tips (the ones the app used to hard-code) as
+// published tips, with Filipino translations. Starter tips already present
+// (matched by title) are left alone, so it is safe to run again; new ones go
+// after the existing tips.
+//
+// Usage: node scripts/seedTips.js
+import { getCollection } from "../lib/firebase.js";
+
+const STARTER_TIPS = [
+  {
+    title: "Segregate Your Waste",
+    category: "segregation",
+    content: "Properly separate **biodegradables** (*nabubulok*) from **non-biodegradables** (*di-nabubulok*) to help waste collection and recycling.",
+    translations: {
+      fil: {
+        title: "Ihiwalay ang Inyong Basura",
+        content: "Paghiwalayin nang maayos ang **nabubulok** at **di-nabubulok** para mapadali ang pangongolekta at pag-recycle ng basura.",
+      },
+    },
+  },
+  {
+    title: "Reduce Single-Use Plastics",
+    category: "general",
+    content: "Bring your own eco-bag when shopping and use a reusable water bottle instead of buying bottled water.",
+    translations: {
+      fil: {
+        title: "Bawasan ang Single-Use na Plastik",
+        content: "Magdala ng sariling eco-bag sa pamimili at gumamit ng reusable na lalagyan ng tubig sa halip na bumili ng bottled water.",
+      },
+    },
+  },
+  {
+    title: "Keep Esteros Clear",
+    category: "flooding",
+    content: "Trash thrown in canals and esteros clogs drainage and makes flooding worse during the rainy season. Never dump waste in waterways.",
+    translations: {
+      fil: {
+        title: "Panatilihing Malinis ang mga Estero",
+        content: "Ang basurang itinatapon sa kanal at estero ay bumabara sa daluyan ng tubig at nagpapalala ng baha tuwing tag-ulan. Huwag magtapon ng basura sa mga daluyan ng tubig.",
+      },
+    },
+  },
+  {
+    title: "Know Your Local MRF",
+    category: "mrf",
+    content: "Find your local Materials Recovery Facility (MRF) in Las Piñas to dispose of recyclables properly.",
+    translations: {
+      fil: {
+        title: "Alamin ang Inyong MRF",
+        content: "Hanapin ang Materials Recovery Facility (MRF) sa inyong lugar sa Las Piñas para maitapon nang tama ang mga recyclable.",
+      },
+    },
+  },
+];
+
+async function main() {
+  const col = getCollection("tips");
+  const existing = (await col.get()).docs.map((d) => d.data());
+  const titles = new Set(existing.map((tip) => tip.title));
+  const missing = STARTER_TIPS.filter((tip) => !titles.has(tip.title));
+  if (missing.length === 0) {
+    console.log("All starter tips already exist; nothing to seed.");
+    return;
+  }
+
+  let order = Math.max(-1, ...existing.map((tip) => tip.order ?? 0)) + 1;
+  const now = new Date().toISOString();
+  for (const tip of missing) {
+    await col.add({ ...tip, order: order++, published: true, image: null, createdBy: null, createdAt: now, updatedAt: now });
+  }
+  console.log(`Seeded ${missing.length} of ${STARTER_TIPS.length} starter tips.`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
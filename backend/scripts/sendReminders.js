@@ -0,0 +1,21 @@
+// backend/scripts/sendReminders.js
+// Sends the event reminders that are due, once. The server already does this
+// every few minutes; use this from cron (with REMINDER_INTERVAL_MINUTES=0 on
+// the server) when running several instances or on a platform that sleeps.
+//
+// Usage: node scripts/sendReminders.js
+import { db, getCollection } from "../lib/firebase.js";
+import { createMailer } from "../lib/mailer.js";
+import { createNotifier } from "../lib/notifications.js";
+
+const { sendDueReminders } = createNotifier({ db, getCollection, mailer: createMailer() });
+
+async function main() {
+  const sent = await sendDueReminders();
+  console.log(`Sent ${sent} reminder${sent === 1 ? "" : "s"}.`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
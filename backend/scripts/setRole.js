@@ -0,0 +1,31 @@
+// backend/scripts/setRole.js
+// Grants or revokes a role (admin, organizer, volunteer) via custom claims.
+// Use it to create the first admin; after that, admins can manage roles
+// from the app's admin page.
+//
+// Usage: node scripts/setRole.js <email|uid> <role>
+//        ("volunteer" removes the role claim)
+import { getAuth } from "firebase-admin/auth";
+import "../lib/firebase.js";
+import { ROLES, setUserRole } from "../lib/auth.js";
+
+async function main() {
+  const [identifier, role] = process.argv.slice(2);
+  if (!identifier || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/setRole.js <email|uid> <${ROLES.join("|")}>`);
+    process.exit(1);
+  }
+
+  const user = identifier.includes("@")
+    ? await getAuth().getUserByEmail(identifier)
+    : await getAuth().getUser(identifier);
+  await setUserRole(user.uid, role);
+
+  console.log(`${user.email || user.uid} now has the ${role} role.`);
+  console.log("It applies once their ID token refreshes (signing out and in applies it immediately).");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,37 +1,43 @@
 // backend/server.js
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
-import { initializeApp, cert } from "firebase-admin/app";
-import { getFirestore } from "firebase-admin/firestore";
-import fs from "fs";
-import path from "path";
+import multer from "multer";
+import crypto from "crypto";
+import { FieldValue } from "firebase-admin/firestore";
+import { getAuth } from "firebase-admin/auth";
+import { db, getCollection } from "./lib/firebase.js";
+import { requireAuth, optionalAuth, requireRole, isAdmin, isOrganizer, roleOf, roleChangeError, setUserRole } from "./lib/auth.js";
+import { GROUP_BY, toManilaDate, buildSeries, breakdownByBarangay, weekOverWeek } from "./lib/analytics.js";
+import { BARANGAY_NAMES, normalizeBarangay } from "./lib/barangays.js";
+import { validateCoordinates, toFeatureCollection } from "./lib/geo.js";
+import { createStorage } from "./lib/storage.js";
+import { processPhoto } from "./lib/photos.js";
+import { EXPORT_FORMATS, streamExport } from "./lib/export.js";
+import { TIP_CATEGORIES, validateTipFields, isPublishedTip, sortTips } from "./lib/tips.js";
+import { DEFAULT_PREFERENCES, validatePreferences } from "./lib/preferences.js";
+import { toICalendar } from "./lib/ical.js";
+import { FREQUENCIES, MAX_OCCURRENCES, validateRecurrence, expandOccurrences, storedRecurrence } from "./lib/recurrence.js";
+import { CHECK_IN_OPENS_BEFORE_MS, newCheckInSecret, eventEndsAt, checkInWindow, currentCheckInCode, isValidCheckInCode } from "./lib/checkIn.js";
+import { NOTIFIED_EVENT_FIELDS, eventParams, createNotifier } from "./lib/notifications.js";
+import { createMailer } from "./lib/mailer.js";
+import { DEFAULT_PROFILE, validateProfile, publicProfile, withoutEmails } from "./lib/profiles.js";
+import { LEADERBOARD_PERIODS, DEFAULT_LEADERBOARD_SIZE, periodStart, rankBy } from "./lib/leaderboard.js";
+import { parseListParams, startOfDay, endOfDay, paginate } from "./lib/pagination.js";
+import { UNITS, KG_PER_UNIT, entryKilograms, roundKg } from "./lib/quantity.js";
+import { validateWasteEntry } from "./lib/wasteEntries.js";
+import { eventLinkError } from "./lib/eventImpact.js";
+import { joinStatus, promotesOnLeave } from "./lib/rsvp.js";
+import { isCalendarDate } from "./lib/eventTimes.js";
+import { MAX_IMPORT_ROWS, normalizeImportRow } from "./lib/imports.js";
+import {
+  ENTRY_STATUSES,
+  REVIEW_ACTIONS,
+  entryStatus,
+  isPublicEntry,
+  countsTowardsTotals,
+  detectOutliers,
+} from "./lib/verification.js";
 
-dotenv.config();
-
-// === FIREBASE ADMIN SDK (Deployment Ready) ===
-let serviceAccount;
-
-// Check if the service account key is in an environment variable (for production)
-if (process.env.FIREBASE_SERVICE_ACCOUNT) {
-  // Parse the env variable string back into a JSON object
-  serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-} else {
-  // Fallback for local development (reading the file)
-  const serviceAccountPath = path.join(process.cwd(), "serviceAccountKey.json");
-  if (!fs.existsSync(serviceAccountPath)) {
-    console.error("Missing serviceAccountKey.json. For local development, add it to the backend/ folder.");
-    process.exit(1);
-  }
-  serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, "utf8"));
-}
-
-initializeApp({
-  credential: cert(serviceAccount),
-});
-// ============================================
-
-const db = getFirestore();
 const app = express();
 
 // === CORS CONFIGURATION (Deployment Ready) ===
@@ -42,120 +48,2294 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(express.json());
+// Large enough for CSV imports (up to MAX_IMPORT_ROWS rows)
+app.use(express.json({ limit: "2mb" }));
+
+// Role guards (use after requireAuth). Organizers run events and imports;
+// admins can additionally manage anyone's data and users' roles.
+const requireOrganizer = requireRole("organizer", "admin");
+const requireAdmin = requireRole("admin");
 
 // === WASTE ===
+// GET /api/waste/units
+// Allowed units and the kg conversion factors used for estimates
+app.get("/api/waste/units", (req, res) => {
+  res.status(200).json({ units: UNITS, kgPerUnit: KG_PER_UNIT });
+});
+
+// Offline clients retry submissions with an Idempotency-Key header. The key
+// (scoped to the user) determines the entry's document id, so a replayed
+// request finds the entry it already created instead of adding a duplicate.
+const IDEMPOTENCY_KEY_PATTERN = /^[\w-]{8,128}$/;
+const idempotentDocId = (uid, key) => crypto.createHash("sha256").update(`${uid}:${key}`).digest("hex").slice(0, 40);
+
+// Entries queued offline may be synced days later; how far back their recording time may go
+const MAX_RECORDED_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// How many recent entries of the submitter / barangay new entries are compared with
+const OUTLIER_HISTORY_SIZE = 50;
+
+// Outlier flags for a new entry, based on the submitter's and barangay's approved history
+async function flagOutliers(col, uid, fields) {
+  const recentKg = async (field, value) => {
+    const snapshot = await col.where(field, "==", value).orderBy("createdAt", "desc").limit(OUTLIER_HISTORY_SIZE).get();
+    return snapshot.docs
+      .map((d) => d.data())
+      .filter((e) => e.unit && entryStatus(e) === "approved")
+      .map((e) => roundKg(entryKilograms(e)));
+  };
+  const [userHistory, barangayHistory] = await Promise.all([
+    recentKg("submitterId", uid),
+    recentKg("location", fields.location),
+  ]);
+  return detectOutliers(fields.estimatedKg, { userHistory, barangayHistory, barangay: fields.location });
+}
+
 // POST /api/waste
-app.post("/api/waste", async (req, res) => {
+// New entries are "pending" until reviewed (see POST /api/waste/:id/review).
+// Optional body.recordedAt (ISO) is when an offline-queued entry was logged,
+// and body.eventId the clean-up it was collected at (see EVENT IMPACT).
+app.post("/api/waste", requireAuth, async (req, res) => {
   try {
-    const { type, volume, location, user } = req.body;
-    if (!user?.uid) return res.status(401).json({ error: "Unauthorized" });
+    const user = req.user;
+    const { errors, fields } = validateWasteEntry(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+    const eventId = req.body.eventId ?? null;
+    if (eventId !== null) {
+      const linkError = await eventLinkError(getCollection("events"), eventId, user.uid);
+      if (linkError) return res.status(400).json({ error: linkError });
+    }
+
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({ error: "Idempotency-Key must be 8-128 letters, digits, - or _" });
+    }
 
-    const docRef = await db.collection("artifacts").doc(serviceAccount.project_id)
-      .collection("public").doc("data")
-      .collection("wasteEntries").add({
-        type,
-        volume,
-        location,
+    const now = new Date();
+    let createdAt = now.toISOString();
+    if (req.body.recordedAt !== undefined) {
+      const recordedAt = new Date(req.body.recordedAt);
+      const age = now - recordedAt;
+      if (Number.isNaN(recordedAt.getTime()) || age < -CLOCK_SKEW_MS || age > MAX_RECORDED_AGE_MS) {
+        return res.status(400).json({ error: "recordedAt must be a date within the last 30 days" });
+      }
+      createdAt = recordedAt.toISOString();
+    }
+
+    const col = getCollection("wasteEntries");
+    const docRef = idempotencyKey ? col.doc(idempotentDocId(user.uid, idempotencyKey)) : col.doc();
+    // A replayed request needs no outlier check; its entry is already stored
+    if (idempotencyKey && (await docRef.get()).exists) {
+      return res.status(200).json({ message: "Waste entry already recorded", id: docRef.id });
+    }
+    const flags = await flagOutliers(col, user.uid, fields);
+    try {
+      await docRef.create({
+        ...fields,
+        eventId,
         submitterId: user.uid,
         submitterEmail: user.email || null,
-        createdAt: new Date().toISOString()
+        createdAt,
+        status: "pending",
+        flags,
+        flagged: flags.length > 0,
+        // Queued entries also record when they actually reached the server
+        ...(req.body.recordedAt !== undefined ? { syncedAt: now.toISOString() } : {}),
       });
+    } catch (err) {
+      // gRPC ALREADY_EXISTS: this key was already used, so the entry is in place
+      if (err.code === 6) return res.status(200).json({ message: "Waste entry already recorded", id: docRef.id });
+      throw err;
+    }
 
-    res.status(200).json({ message: "Waste entry added", id: docRef.id });
+    res.status(200).json({ message: "Waste entry submitted for review", id: docRef.id, status: "pending", flags });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Builds the wasteEntries query for the list filters shared by the waste
+ * endpoints: ?submitterId, ?type, ?location, ?status, ?from/?to (on createdAt), ?order.
+ */
+function buildWasteQuery(col, query, { from, to, order }) {
+  let q = col;
+  if (query.submitterId) q = q.where("submitterId", "==", query.submitterId);
+  if (query.status) q = q.where("status", "==", query.status);
+  if (query.type) q = q.where("type", "==", query.type);
+  if (query.location) q = q.where("location", "==", normalizeBarangay(query.location) || query.location);
+  if (from) q = q.where("createdAt", ">=", startOfDay(from));
+  if (to) q = q.where("createdAt", "<=", endOfDay(to));
+  return q.orderBy("createdAt", order);
+}
+
+/**
+ * Which entries a caller (or null when signed out) may list with these
+ * filters. Organizers, and volunteers listing their own entries, see every
+ * status; everyone else only approved entries. Returns { error } when the
+ * caller asks for a status they can't see, else { keep } for paginate
+ * (null when nothing needs filtering out).
+ */
+function entryVisibility(user, query) {
+  if (isOrganizer(user) || (user && query.submitterId === user.uid)) return { keep: null };
+  if (query.status && query.status !== "approved") {
+    return { error: "Only organizers and the submitter can list pending or rejected entries" };
+  }
+  return { keep: isPublicEntry };
+}
+
+/**
+ * Whether pending entries count towards a caller's map or stats totals with
+ * these filters: only when asked for (?includePending=true) by someone who
+ * may list them (see entryVisibility). Returns { error } or { includePending }.
+ */
+function pendingInclusion(user, filters, requested) {
+  const includePending = requested === "true";
+  if (includePending && entryVisibility(user, { ...filters, status: "pending" }).error) {
+    return { error: "Only organizers and the submitter can include pending entries" };
+  }
+  return { includePending };
+}
+
 // GET /api/waste
-app.get("/api/waste", async (req, res) => {
+// Paginated: returns { items, nextCursor }; pass nextCursor as ?cursor for the next page.
+// Signed-out callers and volunteers only get approved entries (see entryVisibility).
+app.get("/api/waste", optionalAuth, async (req, res) => {
   try {
-    const col = db.collection("artifacts").doc(serviceAccount.project_id)
-      .collection("public").doc("data")
-      .collection("wasteEntries");
-    const snapshot = await col.get();
-    const entries = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-    res.status(200).json(entries);
+    const params = parseListParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    if (req.query.status && !ENTRY_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of: ${ENTRY_STATUSES.join(", ")}` });
+    }
+    const visibility = entryVisibility(req.user, req.query);
+    if (visibility.error) return res.status(403).json({ error: visibility.error });
+
+    const col = getCollection("wasteEntries");
+    const page = await paginate(col, buildWasteQuery(col, req.query, params), params, visibility.keep);
+    if (!page) return res.status(400).json({ error: "Invalid cursor" });
+    res.status(200).json({ ...page, items: page.items.map(withoutEmails) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/waste.geojson
+// Approved entries with coordinates as GeoJSON points for the map (pending
+// ones too with ?includePending=true, for organizers or a submitter's own
+// entries). Accepts the same filters as GET /api/waste (no pagination).
+app.get("/api/waste.geojson", optionalAuth, async (req, res) => {
+  try {
+    const params = parseListParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    const { error, includePending } = pendingInclusion(req.user, req.query, req.query.includePending);
+    if (error) return res.status(403).json({ error });
+
+    const snapshot = await buildWasteQuery(getCollection("wasteEntries"), req.query, params).get();
+    const entries = snapshot.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((e) => countsTowardsTotals(e, includePending));
+    res.status(200).type("application/geo+json").json(toFeatureCollection(entries, (e) => ({
+      type: e.type,
+      quantity: e.quantity ?? null,
+      unit: e.unit ?? null,
+      estimatedKg: roundKg(entryKilograms(e)),
+      location: e.location,
+      createdAt: e.createdAt,
+    })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === REVIEW ===
+// POST /api/waste/:id/review
+// Body { action: "approve" | "reject" | "correct", reason?, corrections? }.
+// Rejections need a reason; corrections ({ type, quantity, unit, location })
+// are applied and approved at once, keeping the submitted values in `original`.
+app.post("/api/waste/:id/review", requireAuth, requireOrganizer, async (req, res) => {
+  try {
+    const { action, reason, corrections } = req.body;
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${REVIEW_ACTIONS.join(", ")}` });
+    }
+    const note = typeof reason === "string" ? reason.trim() : "";
+    if (action === "reject" && !note) return res.status(400).json({ error: "A reason is required to reject an entry" });
+    if (note.length > 500) return res.status(400).json({ error: "reason must be at most 500 characters" });
+
+    const entryRef = getCollection("wasteEntries").doc(req.params.id);
+    const entrySnap = await entryRef.get();
+    if (!entrySnap.exists) return res.status(404).json({ error: "Waste entry not found" });
+    const entry = entrySnap.data();
+    if (entry.submitterId === req.user.uid && !isAdmin(req.user)) {
+      return res.status(403).json({ error: "Your own entries must be reviewed by someone else" });
+    }
+
+    const updates = {
+      status: action === "reject" ? "rejected" : "approved",
+      reviewNote: note || null,
+      reviewedBy: req.user.uid,
+      reviewedByEmail: req.user.email || null,
+      reviewedAt: new Date().toISOString(),
+    };
+
+    if (action === "correct") {
+      if (!corrections || typeof corrections !== "object") {
+        return res.status(400).json({ error: "corrections must be an object" });
+      }
+      const { errors, fields } = validateWasteEntry({
+        type: entry.type,
+        quantity: entry.quantity,
+        unit: entry.unit,
+        location: entry.location,
+        latitude: entry.latitude ?? null,
+        longitude: entry.longitude ?? null,
+        ...corrections,
+      });
+      if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+      Object.assign(updates, fields);
+      // Only the first correction keeps the values as submitted
+      if (!entry.original) {
+        updates.original = {
+          type: entry.type,
+          quantity: entry.quantity ?? null,
+          unit: entry.unit ?? null,
+          location: entry.location,
+        };
+      }
+    }
+
+    await entryRef.update(updates);
+    res.status(200).json({ message: "Entry reviewed", id: entryRef.id, ...updates });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === PHOTOS ===
+// Before/after photo evidence for waste entries. Uploads are re-encoded (which
+// strips EXIF) and thumbnailed, then kept in the configured storage backend.
+const storage = createStorage();
+const MAX_PHOTOS_PER_STAGE = 4;
+const PHOTO_STAGES = ["before", "after"];
+const PHOTO_FILE_PATTERN = /^[0-9a-f-]{36}(_thumb)?\.jpg$/;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 8 * 1024 * 1024, files: MAX_PHOTOS_PER_STAGE * PHOTO_STAGES.length },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith("image/")),
+});
+const photoFields = upload.fields(PHOTO_STAGES.map((name) => ({ name, maxCount: MAX_PHOTOS_PER_STAGE })));
+
+// Turns multer's limit errors into 400s instead of generic 500s
+function handlePhotoUpload(req, res, next) {
+  photoFields(req, res, (err) => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
+    next(err);
+  });
+}
+
+// Single images (tip illustrations, avatars), stored under random file names
+const IMAGE_FILE_PATTERN = /^[0-9a-f-]{36}\.jpg$/;
+const imageUpload = upload.single("image");
+
+// Accepts a single image in the "image" field, answering 400 for upload errors
+function handleImageUpload(req, res, next) {
+  imageUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
+    next(err);
+  });
+}
+
+// POST /api/waste/:id/photos
+// multipart/form-data with image files in the "before" and/or "after" fields
+app.post("/api/waste/:id/photos", requireAuth, handlePhotoUpload, async (req, res) => {
+  try {
+    const entryId = req.params.id;
+    const entryRef = getCollection("wasteEntries").doc(entryId);
+    const entrySnap = await entryRef.get();
+    if (!entrySnap.exists) return res.status(404).json({ error: "Waste entry not found" });
+    const entry = entrySnap.data();
+    if (entry.submitterId !== req.user.uid && !isAdmin(req.user)) {
+      return res.status(403).json({ error: "Only the submitter can add photos to this entry" });
+    }
+
+    // A retried upload (same Idempotency-Key) returns the photos stored the first time
+    const uploadKey = req.get("Idempotency-Key");
+    if (uploadKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(uploadKey)) {
+      return res.status(400).json({ error: "Idempotency-Key must be 8-128 letters, digits, - or _" });
+    }
+    if (uploadKey && (entry.photoUploadKeys || []).includes(uploadKey)) {
+      const photos = (entry.photos || []).filter((p) => p.uploadKey === uploadKey);
+      return res.status(200).json({ message: "Photos already uploaded", photos });
+    }
+
+    const uploads = PHOTO_STAGES.flatMap((stage) => (req.files?.[stage] || []).map((file) => ({ stage, file })));
+    if (uploads.length === 0) {
+      return res.status(400).json({ error: "Attach at least one image as \"before\" or \"after\"" });
+    }
+    for (const stage of PHOTO_STAGES) {
+      const count = (entry.photos || []).filter((p) => p.stage === stage).length
+        + uploads.filter((u) => u.stage === stage).length;
+      if (count > MAX_PHOTOS_PER_STAGE) {
+        return res.status(400).json({ error: `At most ${MAX_PHOTOS_PER_STAGE} ${stage} photos per entry` });
+      }
+    }
+
+    // Process everything first so one unreadable file doesn't leave a partial upload
+    const processed = [];
+    for (const { stage, file } of uploads) {
+      try {
+        processed.push({ stage, ...(await processPhoto(file.buffer)) });
+      } catch {
+        return res.status(400).json({ error: `${file.originalname} is not a readable image` });
+      }
+    }
+
+    const uploadedAt = new Date().toISOString();
+    const photos = [];
+    for (const { stage, image, thumbnail } of processed) {
+      const photoId = crypto.randomUUID();
+      await storage.save(`waste/${entryId}/${photoId}.jpg`, image, "image/jpeg");
+      await storage.save(`waste/${entryId}/${photoId}_thumb.jpg`, thumbnail, "image/jpeg");
+      photos.push({
+        id: photoId,
+        stage,
+        path: `/api/photos/${entryId}/${photoId}.jpg`,
+        thumbnailPath: `/api/photos/${entryId}/${photoId}_thumb.jpg`,
+        uploadedAt,
+        ...(uploadKey ? { uploadKey } : {}),
+      });
+    }
+
+    await entryRef.update({
+      photos: FieldValue.arrayUnion(...photos),
+      ...(uploadKey ? { photoUploadKeys: FieldValue.arrayUnion(uploadKey) } : {}),
+    });
+    res.status(200).json({ message: "Photos uploaded", photos });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/photos/:entryId/:file
+// Serves stored photos and thumbnails (public, so they work in <img> tags)
+app.get("/api/photos/:entryId/:file", async (req, res) => {
+  try {
+    const { entryId, file } = req.params;
+    if (!PHOTO_FILE_PATTERN.test(file) || !/^[\w-]+$/.test(entryId)) {
+      return res.status(404).json({ error: "Photo not found" });
+    }
+    const key = `waste/${entryId}/${file}`;
+    if (!(await storage.exists(key))) return res.status(404).json({ error: "Photo not found" });
+
+    res.set("Content-Type", "image/jpeg");
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    storage.createReadStream(key)
+      .on("error", (err) => {
+        console.error(err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === IMPORTS ===
+// Bulk import of paper tally sheets. The client parses the CSV and maps its
+// columns; rows arrive as { type, quantity, unit, barangay, date } text.
+// Every imported entry carries its importBatchId so a bad import can be
+// rolled back as a whole.
+const WRITE_BATCH_LIMIT = 500;
+
+// Validates the `rows` array of an import request. Returns { error } or { results }.
+function checkImportRows(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) return { error: "rows must be a non-empty array" };
+  if (rows.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+  return { results: rows.map((row, index) => ({ index, ...normalizeImportRow(row || {}) })) };
+}
+
+// POST /api/imports/preview
+// Validates rows without writing anything; returns per-row errors.
+app.post("/api/imports/preview", requireAuth, requireOrganizer, (req, res) => {
+  const { error, results } = checkImportRows(req.body.rows);
+  if (error) return res.status(400).json({ error });
+
+  const invalidCount = results.filter((r) => r.errors.length > 0).length;
+  res.status(200).json({ rows: results, validCount: results.length - invalidCount, invalidCount });
+});
+
+// POST /api/imports
+// Commits an import. All rows must be valid; nothing is written otherwise.
+app.post("/api/imports", requireAuth, requireOrganizer, async (req, res) => {
+  try {
+    const user = req.user;
+    const { error, results } = checkImportRows(req.body.rows);
+    if (error) return res.status(400).json({ error });
+
+    const invalid = results.filter((r) => r.errors.length > 0);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `${invalid.length} rows have errors`, rows: invalid });
+    }
+
+    const now = new Date().toISOString();
+    const batchRef = getCollection("importBatches").doc();
+    // Marked "importing" until every write lands, so a failed import can still be rolled back
+    await batchRef.set({
+      filename: typeof req.body.filename === "string" ? req.body.filename : null,
+      createdBy: user.uid,
+      createdByEmail: user.email || null,
+      createdAt: now,
+      rowCount: results.length,
+      status: "importing",
+    });
+
+    const entriesCol = getCollection("wasteEntries");
+    for (let start = 0; start < results.length; start += WRITE_BATCH_LIMIT) {
+      const batch = db.batch();
+      results.slice(start, start + WRITE_BATCH_LIMIT).forEach(({ fields }) => {
+        batch.set(entriesCol.doc(), {
+          ...fields,
+          submitterId: user.uid,
+          submitterEmail: user.email || null,
+          importBatchId: batchRef.id,
+          importedAt: now,
+          // Imports are done by organizers from checked tally sheets
+          status: "approved",
+          reviewedBy: user.uid,
+          reviewedAt: now,
+        });
+      });
+      await batch.commit();
+    }
+
+    await batchRef.update({ status: "committed", entryCount: results.length });
+    res.status(200).json({ message: "Import committed", id: batchRef.id, entryCount: results.length });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// GET /api/imports
+// The current user's import batches (all batches for admins), newest first
+app.get("/api/imports", requireAuth, requireOrganizer, async (req, res) => {
+  try {
+    let query = getCollection("importBatches");
+    if (!isAdmin(req.user)) query = query.where("createdBy", "==", req.user.uid);
+    const snapshot = await query.orderBy("createdAt", "desc").limit(50).get();
+    res.status(200).json(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/imports/:id
+// Rolls back an import: deletes every entry it created.
+app.delete("/api/imports/:id", requireAuth, requireOrganizer, async (req, res) => {
+  try {
+    const batchRef = getCollection("importBatches").doc(req.params.id);
+    const batchSnap = await batchRef.get();
+    if (!batchSnap.exists) return res.status(404).json({ error: "Import not found" });
+    if (batchSnap.data().createdBy !== req.user.uid && !isAdmin(req.user)) {
+      return res.status(403).json({ error: "Only the importer or an admin can roll back this import" });
+    }
+
+    const entries = getCollection("wasteEntries")
+      .where("importBatchId", "==", batchRef.id)
+      .limit(WRITE_BATCH_LIMIT);
+    let deleted = 0;
+    for (let snapshot = await entries.get(); !snapshot.empty; snapshot = await entries.get()) {
+      const batch = db.batch();
+      snapshot.docs.forEach((d) => batch.delete(d.ref));
+      await batch.commit();
+      deleted += snapshot.size;
+    }
+
+    await batchRef.update({
+      status: "rolledBack",
+      rolledBackAt: new Date().toISOString(),
+      rolledBackBy: req.user.uid,
+    });
+    res.status(200).json({ message: "Import rolled back", deleted });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === BARANGAYS ===
+// GET /api/barangays
+// The canonical list used by the location pickers
+app.get("/api/barangays", (req, res) => {
+  res.status(200).json({ barangays: BARANGAY_NAMES });
+});
+
 // === EVENTS ===
+// Cancelled events stay listed (with a banner) instead of disappearing
+const EVENT_STATUSES = ["scheduled", "cancelled"];
+const EDITABLE_EVENT_FIELDS = [
+  "title", "description", "location", "barangay", "date", "startTime", "endTime",
+  "capacity", "latitude", "longitude", "status", "cancelReason",
+];
+// Local Las Piñas time, 24-hour "HH:MM"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Start and end times are optional, but an end time needs a later start time
+function timeRangeError(startTime, endTime) {
+  if (endTime && !startTime) return "endTime needs a startTime";
+  if (startTime && endTime && endTime <= startTime) return "endTime must be after startTime";
+  return null;
+}
+
+/**
+ * Validates event fields from a request body. With `partial` (PATCH), only
+ * the fields present in the body are checked. Returns an error message or null.
+ */
+function validateEventFields(body, { partial = false } = {}) {
+  const has = (field) => body[field] !== undefined;
+  for (const field of ["title", "location"]) {
+    if ((has(field) || !partial) && (typeof body[field] !== "string" || !body[field].trim())) {
+      return `${field} is required`;
+    }
+  }
+  if ((has("barangay") || !partial) && !normalizeBarangay(body.barangay)) {
+    return "barangay must be a Las Piñas barangay";
+  }
+  if ((has("description") || !partial) && typeof body.description !== "string") {
+    return "description must be text";
+  }
+  if ((has("date") || !partial) && !isCalendarDate(body.date)) {
+    return "date must be a valid date in YYYY-MM-DD format";
+  }
+  for (const field of ["startTime", "endTime"]) {
+    if (has(field) && body[field] !== null && !TIME_PATTERN.test(body[field])) {
+      return `${field} must be a time in HH:MM format`;
+    }
+  }
+  // On PATCH the other time may be stored already; that's checked against the event
+  if (!partial || (has("startTime") && has("endTime"))) {
+    const rangeError = timeRangeError(body.startTime, body.endTime);
+    if (rangeError) return rangeError;
+  }
+  // Capacity is optional; when set, extra sign-ups go to the waitlist
+  if (has("capacity") && body.capacity !== null && (!Number.isInteger(body.capacity) || body.capacity < 1)) {
+    return "capacity must be a positive whole number";
+  }
+  if (has("latitude") || has("longitude") || !partial) {
+    const coordinatesError = validateCoordinates(body.latitude, body.longitude);
+    if (coordinatesError) return coordinatesError;
+  }
+  if (has("status") && !EVENT_STATUSES.includes(body.status)) {
+    return `status must be one of: ${EVENT_STATUSES.join(", ")}`;
+  }
+  return null;
+}
+
+// Participants live in events/{id}/participants/{uid} with status "going" or
+// "waitlisted". The event keeps attendeeCount/waitlistCount in sync so cards
+// can show live numbers without reading the subcollection.
+const participantsOf = (eventRef) => eventRef.collection("participants");
+
+// Only the event's creator or an admin may change or delete it
+const canManageEvent = (user, event) => event.creatorId === user.uid || isAdmin(user);
+
+// Everyone on an event's roster (going or waitlisted) except `user`
+async function participantRecipients(eventRef, user) {
+  const snapshot = await participantsOf(eventRef).get();
+  return snapshot.docs.map((d) => d.data()).filter((p) => p.uid !== user.uid);
+}
+
+// In-app and email notifications to participants (see lib/notifications.js)
+const { notify, sendDueReminders } = createNotifier({ db, getCollection, mailer: createMailer() });
+
+// Sends notifications without holding up the response; failures are only logged
+function notifyLater(recipients, notification) {
+  Promise.resolve(recipients)
+    .then((list) => notify(list, notification))
+    .catch((err) => console.error("Could not send notifications:", err));
+}
+
+// GET /api/events/recurrence
+// The recurrence options for the event form: { frequencies, maxOccurrences }.
+// Given ?date and ?frequency (plus ?count or ?until), it also previews the
+// series as POST /api/events would create it: { preview: { recurrence, dates } }.
+app.get("/api/events/recurrence", (req, res) => {
+  const options = { frequencies: FREQUENCIES, maxOccurrences: MAX_OCCURRENCES };
+  const { date, frequency, count, until } = req.query;
+  if (date === undefined && frequency === undefined) return res.status(200).json(options);
+
+  if (!isCalendarDate(date)) return res.status(400).json({ error: "date must be a valid date in YYYY-MM-DD format" });
+  const rule = { frequency, count: count === undefined ? undefined : Number(count), until };
+  const validationError = validateRecurrence(rule, date);
+  if (validationError) return res.status(400).json({ error: validationError });
+  res.status(200).json({
+    ...options,
+    preview: { recurrence: storedRecurrence(rule, date), dates: expandOccurrences(date, rule) },
+  });
+});
+
 // POST /api/events
-app.post("/api/events", async (req, res) => {
-  try {
-    const { title, description, location, date, user } = req.body;
-    if (!user?.uid) return res.status(401).json({ error: "Unauthorized" });
-
-    const docRef = await db.collection("artifacts").doc(serviceAccount.project_id)
-      .collection("public").doc("data")
-      .collection("events").add({
-        title,
-        description,
-        location,
-        date,
-        creatorId: user.uid,
-        creatorEmail: user.email || null,
-        createdAt: new Date().toISOString()
-      });
+// With a `recurrence` rule ({ frequency, count | until }, see lib/recurrence.js)
+// every occurrence of the series is created as its own event, sharing a seriesId.
+app.post("/api/events", requireAuth, requireOrganizer, async (req, res) => {
+  try {
+    const { title, description, location, barangay, date, startTime = null, endTime = null, capacity, latitude = null, longitude = null, recurrence = null } = req.body;
+    const user = req.user;
+
+    const validationError = validateEventFields(req.body)
+      || (recurrence !== null ? validateRecurrence(recurrence, date) : null);
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    const event = {
+      title: title.trim(),
+      description,
+      location: location.trim(),
+      barangay: normalizeBarangay(barangay),
+      latitude,
+      longitude,
+      date,
+      startTime,
+      endTime,
+      capacity: capacity ?? null,
+      status: "scheduled",
+      attendeeCount: 0,
+      waitlistCount: 0,
+      checkedInCount: 0,
+      creatorId: user.uid,
+      createdAt: new Date().toISOString()
+    };
+
+    if (recurrence === null) {
+      const docRef = await getCollection("events").add(event);
+      return res.status(200).json({ message: "Event created", id: docRef.id });
+    }
 
-    res.status(200).json({ message: "Event created", id: docRef.id });
+    const col = getCollection("events");
+    const seriesId = crypto.randomUUID();
+    const rule = storedRecurrence(recurrence, date);
+    const dates = expandOccurrences(date, recurrence);
+    const batch = db.batch();
+    const refs = dates.map((occurrenceDate, i) => {
+      const ref = col.doc();
+      batch.set(ref, { ...event, date: occurrenceDate, seriesId, recurrence: rule, occurrence: i + 1 });
+      return ref;
+    });
+    await batch.commit();
+
+    res.status(200).json({ message: "Event series created", id: refs[0].id, seriesId, count: refs.length });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * Builds the events query for the list filters: ?creatorId, ?barangay,
+ * ?status, ?from/?to (on the event date), ?order (by date).
+ */
+function buildEventsQuery(col, query, { from, to, order }) {
+  let q = col;
+  if (query.creatorId) q = q.where("creatorId", "==", query.creatorId);
+  if (query.barangay) q = q.where("barangay", "==", normalizeBarangay(query.barangay) || query.barangay);
+  if (query.status) q = q.where("status", "==", query.status);
+  if (from) q = q.where("date", ">=", from.slice(0, 10));
+  if (to) q = q.where("date", "<=", to.slice(0, 10));
+  return q.orderBy("date", order);
+}
+
 // GET /api/events
+// Paginated: returns { items, nextCursor }; pass nextCursor as ?cursor for the next page.
 app.get("/api/events", async (req, res) => {
   try {
-    const col = db.collection("artifacts").doc(serviceAccount.project_id)
-      .collection("public").doc("data")
-      .collection("events");
-    const snapshot = await col.get();
+    const params = parseListParams({ order: "asc", ...req.query });
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const col = getCollection("events");
+    const page = await paginate(col, buildEventsQuery(col, req.query, params), params);
+    if (!page) return res.status(400).json({ error: "Invalid cursor" });
+    res.status(200).json({ ...page, items: page.items.map(withoutEmails) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events.geojson
+// Events with coordinates as GeoJSON points. Accepts the same filters as GET /api/events.
+app.get("/api/events.geojson", async (req, res) => {
+  try {
+    const params = parseListParams({ order: "asc", ...req.query });
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const snapshot = await buildEventsQuery(getCollection("events"), req.query, params).get();
     const events = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-    res.status(200).json(events);
+    res.status(200).type("application/geo+json").json(toFeatureCollection(events, (e) => ({
+      title: e.title,
+      date: e.date,
+      barangay: e.barangay ?? null,
+      location: e.location,
+      status: e.status || "scheduled",
+      attendeeCount: e.attendeeCount || 0,
+    })));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// === STATS ===
-// GET /api/stats
-app.get("/api/stats", async (req, res) => {
+// Series edits and deletions apply to every occurrence from today on; past
+// occurrences keep their history
+const EVENT_SCOPES = ["occurrence", "series"];
+
+// The series' occurrences from today on, in date order
+async function upcomingOccurrences(seriesId) {
+  const snapshot = await getCollection("events")
+    .where("seriesId", "==", seriesId)
+    .where("date", ">=", toManilaDate(new Date().toISOString()))
+    .orderBy("date", "asc")
+    .get();
+  return snapshot.docs;
+}
+
+/**
+ * Applies validated `updates` to one event in a transaction. Raising or
+ * removing the capacity promotes waitlisted participants into the freed spots.
+ * Returns { promoted, before } or { code, error }.
+ */
+async function applyEventUpdate(eventRef, updates, user) {
+  const waitlist = participantsOf(eventRef)
+    .where("status", "==", "waitlisted")
+    .orderBy("joinedAt", "asc");
+
+  return db.runTransaction(async (tx) => {
+    const eventSnap = await tx.get(eventRef);
+    if (!eventSnap.exists) return { code: 404, error: "Event not found" };
+    const event = eventSnap.data();
+    if (!canManageEvent(user, event)) {
+      return { code: 403, error: "Only the organizer or an admin can edit this event" };
+    }
+    if ("startTime" in updates || "endTime" in updates) {
+      const merged = { ...event, ...updates };
+      const rangeError = timeRangeError(merged.startTime, merged.endTime);
+      if (rangeError) return { code: 400, error: rangeError };
+    }
+
+    let promoted = [];
+    if ("capacity" in updates && event.waitlistCount > 0) {
+      const openSpots = updates.capacity === null
+        ? event.waitlistCount
+        : updates.capacity - (event.attendeeCount || 0);
+      if (openSpots > 0) {
+        promoted = (await tx.get(waitlist.limit(openSpots))).docs;
+      }
+    }
+
+    const now = new Date().toISOString();
+    promoted.forEach((d) => tx.update(d.ref, { status: "going", promotedAt: now }));
+    tx.update(eventRef, {
+      ...updates,
+      ...(updates.status === "cancelled" && event.status !== "cancelled" ? { cancelledAt: now } : {}),
+      // Reminders go out again for the new date or time
+      ...((updates.date && updates.date !== event.date) || ("startTime" in updates && updates.startTime !== event.startTime)
+        ? { remindersSent: [] } : {}),
+      ...(promoted.length > 0 ? {
+        attendeeCount: FieldValue.increment(promoted.length),
+        waitlistCount: FieldValue.increment(-promoted.length),
+      } : {}),
+      updatedAt: now,
+    });
+    return { promoted: promoted.length, before: event };
+  });
+}
+
+// The notification (if any) participants get about an event going from `before` to `after`
+function updateNotification(eventId, before, after) {
+  if (after.status === "cancelled" && before.status !== "cancelled") {
+    return { category: "eventCancelled", eventId, params: { ...eventParams(after), reason: after.cancelReason || null } };
+  }
+  if (after.status !== "cancelled" && (
+    before.status === "cancelled" || NOTIFIED_EVENT_FIELDS.some((field) => after[field] !== before[field])
+  )) {
+    return { category: "eventChanged", eventId, params: eventParams(after) };
+  }
+  return null;
+}
+
+/**
+ * Notifies the participants of a series change once each, about the first
+ * changed occurrence they're on, rather than once per occurrence.
+ * `changes` is [{ ref, notification }] in date order.
+ */
+async function notifySeriesChange(changes, user) {
+  const notified = new Set();
+  for (const { ref, notification } of changes) {
+    const recipients = (await participantRecipients(ref, user)).filter((r) => !notified.has(r.uid));
+    recipients.forEach((r) => notified.add(r.uid));
+    await notify(recipients, { ...notification, params: { ...notification.params, series: true } });
+  }
+}
+
+// PATCH /api/events/:id
+// Edits an event or cancels it (status: "cancelled"). With scope: "series",
+// the same changes apply to all upcoming occurrences of the event's series
+// (except the date, which is set per occurrence). Participants are notified
+// of cancellations and of changes to the title, date, time or place.
+app.patch("/api/events/:id", requireAuth, async (req, res) => {
   try {
-    const wasteCol = db.collection("artifacts").doc(serviceAccount.project_id)
-      .collection("public").doc("data")
-      .collection("wasteEntries");
-    const snapshot = await wasteCol.get();
-    const entries = snapshot.docs.map(d => d.data());
+    const validationError = validateEventFields(req.body, { partial: true });
+    if (validationError) return res.status(400).json({ error: validationError });
+    const scope = req.body.scope ?? "occurrence";
+    if (!EVENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EVENT_SCOPES.join(", ")}` });
+    }
 
-    const totalsByType = {};
-    const totalsByUser = {};
-    let totalEntries = 0;
+    const updates = {};
+    EDITABLE_EVENT_FIELDS.forEach((field) => {
+      const value = req.body[field];
+      if (value !== undefined) updates[field] = typeof value === "string" ? value.trim() : value;
+    });
+    if (updates.barangay) updates.barangay = normalizeBarangay(updates.barangay);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No editable fields provided" });
+    }
 
-    entries.forEach((e) => {
-      totalEntries += 1;
-      const t = e.type || "Unknown";
-      totalsByType[t] = (totalsByType[t] || 0) + 1;
-      const uid = e.submitterId || "unknown";
-      totalsByUser[uid] = (totalsByUser[uid] || 0) + 1;
+    const eventRef = getCollection("events").doc(req.params.id);
+
+    if (scope === "occurrence") {
+      const outcome = await applyEventUpdate(eventRef, updates, req.user);
+      if (outcome.error) return res.status(outcome.code).json({ error: outcome.error });
+      res.status(200).json({ message: "Event updated", promoted: outcome.promoted });
+
+      const notification = updateNotification(eventRef.id, outcome.before, { ...outcome.before, ...updates });
+      if (notification) notifyLater(participantRecipients(eventRef, req.user), notification);
+      return;
+    }
+
+    if ("date" in updates) {
+      return res.status(400).json({ error: "The date can only be changed one occurrence at a time" });
+    }
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    const { seriesId } = eventSnap.data();
+    if (!seriesId) return res.status(400).json({ error: "This event is not part of a series" });
+    if (!canManageEvent(req.user, eventSnap.data())) {
+      return res.status(403).json({ error: "Only the organizer or an admin can edit this event" });
+    }
+
+    const occurrences = await upcomingOccurrences(seriesId);
+    if (occurrences.length === 0) {
+      return res.status(400).json({ error: "This series has no upcoming occurrences" });
+    }
+
+    const changes = [];
+    let promoted = 0;
+    for (const doc of occurrences) {
+      const outcome = await applyEventUpdate(doc.ref, updates, req.user);
+      // An occurrence's own times may clash with a series-wide change; it's left as is
+      if (outcome.error) continue;
+      promoted += outcome.promoted;
+      const notification = updateNotification(doc.id, outcome.before, { ...outcome.before, ...updates });
+      if (notification) changes.push({ ref: doc.ref, notification });
+    }
+
+    res.status(200).json({ message: "Event series updated", updated: changes.length, promoted });
+    notifySeriesChange(changes, req.user).catch((err) => console.error("Could not send notifications:", err));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/events/:id
+// Permanently removes an event together with its participants, who are told
+// it was cancelled. With ?scope=series, all upcoming occurrences of its series
+// go as well.
+app.delete("/api/events/:id", requireAuth, async (req, res) => {
+  try {
+    const scope = req.query.scope ?? "occurrence";
+    if (!EVENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of: ${EVENT_SCOPES.join(", ")}` });
+    }
+
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    const event = eventSnap.data();
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({ error: "Only the organizer or an admin can delete this event" });
+    }
+
+    if (scope === "occurrence") {
+      const recipients = await participantRecipients(eventRef, req.user);
+      await db.recursiveDelete(eventRef);
+      res.status(200).json({ message: "Event deleted" });
+      notifyLater(recipients, { category: "eventCancelled", params: eventParams(event) });
+      return;
+    }
+
+    if (!event.seriesId) return res.status(400).json({ error: "This event is not part of a series" });
+    const upcoming = await upcomingOccurrences(event.seriesId);
+    // The occurrence the request names goes too, even when it's already past
+    const occurrences = upcoming.some((doc) => doc.id === eventRef.id) ? upcoming : [eventSnap, ...upcoming];
+
+    const notified = new Set();
+    const notices = [];
+    for (const doc of occurrences) {
+      // Participants of an already cancelled occurrence were told back then
+      if (doc.data().status !== "cancelled") {
+        const recipients = (await participantRecipients(doc.ref, req.user)).filter((r) => !notified.has(r.uid));
+        recipients.forEach((r) => notified.add(r.uid));
+        if (recipients.length > 0) {
+          notices.push([recipients, { category: "eventCancelled", params: { ...eventParams(doc.data()), series: true } }]);
+        }
+      }
+      await db.recursiveDelete(doc.ref);
+    }
+
+    res.status(200).json({ message: "Event series deleted", deleted: occurrences.length });
+    notices.forEach(([recipients, notification]) => notifyLater(recipients, notification));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === EVENT PARTICIPANTS ===
+
+// POST /api/events/:id/join
+app.post("/api/events/:id/join", requireAuth, async (req, res) => {
+  try {
+    const user = req.user;
+    const eventRef = getCollection("events").doc(req.params.id);
+    const participantRef = participantsOf(eventRef).doc(user.uid);
+
+    const status = await db.runTransaction(async (tx) => {
+      const [eventSnap, participantSnap] = await Promise.all([tx.get(eventRef), tx.get(participantRef)]);
+      if (!eventSnap.exists) return null;
+      if (participantSnap.exists) return participantSnap.data().status;
+
+      const event = eventSnap.data();
+      if (event.status === "cancelled") return "cancelled";
+      const newStatus = joinStatus(event);
+
+      tx.set(participantRef, {
+        uid: user.uid,
+        email: user.email || null,
+        status: newStatus,
+        joinedAt: new Date().toISOString(),
+      });
+      tx.update(eventRef, newStatus === "going"
+        ? { attendeeCount: FieldValue.increment(1) }
+        : { waitlistCount: FieldValue.increment(1) });
+      return newStatus;
     });
 
-    res.status(200).json({ totalEntries, totalsByType, totalsByUser });
+    if (!status) return res.status(404).json({ error: "Event not found" });
+    if (status === "cancelled") return res.status(409).json({ error: "This event has been cancelled" });
+    res.status(200).json({ message: status === "going" ? "Joined event" : "Added to waitlist", status });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Health check
-app.get("/", (req, res) => res.send({ status: "ok" }));
+// POST /api/events/:id/leave
+// Leaving frees a spot, which is handed to the earliest waitlisted participant
+// unless the event is still over capacity (see lib/rsvp.js).
+app.post("/api/events/:id/leave", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const participantRef = participantsOf(eventRef).doc(req.user.uid);
+    const nextInLine = participantsOf(eventRef)
+      .where("status", "==", "waitlisted")
+      .orderBy("joinedAt", "asc")
+      .limit(1);
+
+    const outcome = await db.runTransaction(async (tx) => {
+      const [eventSnap, participantSnap, waitlistSnap] = await Promise.all([
+        tx.get(eventRef),
+        tx.get(participantRef),
+        tx.get(nextInLine),
+      ]);
+      if (!eventSnap.exists) return { error: "Event not found" };
+      if (!participantSnap.exists) return { error: "You have not joined this event" };
+
+      tx.delete(participantRef);
+
+      if (participantSnap.data().status === "waitlisted") {
+        tx.update(eventRef, { waitlistCount: FieldValue.increment(-1) });
+        return { promoted: null };
+      }
+
+      const next = waitlistSnap.docs[0];
+      if (promotesOnLeave(eventSnap.data(), Boolean(next))) {
+        tx.update(next.ref, { status: "going", promotedAt: new Date().toISOString() });
+        tx.update(eventRef, { waitlistCount: FieldValue.increment(-1) });
+        return { promoted: next.id };
+      }
+      tx.update(eventRef, { attendeeCount: FieldValue.increment(-1) });
+      return { promoted: null };
+    });
+
+    if (outcome.error) return res.status(404).json({ error: outcome.error });
+    res.status(200).json({ message: "Left event", promoted: outcome.promoted });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/:id/participants/me
+// The current user's RSVP status ("going", "waitlisted" or null) and whether they checked in
+app.get("/api/events/:id/participants/me", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const [snap, attendanceSnap] = await Promise.all([
+      participantsOf(eventRef).doc(req.user.uid).get(),
+      attendanceOf(eventRef).doc(req.user.uid).get(),
+    ]);
+    res.status(200).json({ status: snap.exists ? snap.data().status : null, checkedIn: attendanceSnap.exists });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/:id/participants
+// Full roster; only the event's organizer may see it.
+app.get("/api/events/:id/participants", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    if (!canManageEvent(req.user, eventSnap.data())) {
+      return res.status(403).json({ error: "Only the organizer or an admin can view the roster" });
+    }
+
+    const snapshot = await participantsOf(eventRef).orderBy("joinedAt", "asc").get();
+    const participants = snapshot.docs.map((d) => withoutEmails(d.data()));
+    res.status(200).json({
+      attendees: participants.filter((p) => p.status === "going"),
+      waitlist: participants.filter((p) => p.status === "waitlisted"),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === CHECK-IN ===
+// Attendance is kept apart from RSVPs in events/{id}/attendance/{uid}: signing
+// up doesn't count as showing up, and walk-ins can check in without one. The
+// event keeps checkedInCount in sync. Volunteers check in with the rotating
+// code from the organizer's QR screen (see lib/checkIn.js); organizers can
+// also mark people present or absent by hand, at any time.
+const attendanceOf = (eventRef) => eventRef.collection("attendance");
+
+// The event's code secret lives in a subcollection, which clients can't read
+async function checkInSecret(eventRef) {
+  const secretRef = eventRef.collection("secrets").doc("checkIn");
+  const snap = await secretRef.get();
+  if (snap.exists) return snap.data().secret;
+  try {
+    await secretRef.create({ secret: newCheckInSecret(), createdAt: new Date().toISOString() });
+  } catch (err) {
+    // gRPC ALREADY_EXISTS: created by a concurrent request
+    if (err.code !== 6) throw err;
+  }
+  return (await secretRef.get()).data().secret;
+}
+
+// Records someone as present. Returns { recorded: false } if they already were.
+async function recordAttendance(eventRef, record) {
+  const attendanceRef = attendanceOf(eventRef).doc(record.uid);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(attendanceRef);
+    if (snap.exists) return { recorded: false, checkedInAt: snap.data().checkedInAt };
+    tx.set(attendanceRef, record);
+    tx.update(eventRef, { checkedInCount: FieldValue.increment(1) });
+    return { recorded: true, checkedInAt: record.checkedInAt };
+  });
+}
+
+// GET /api/events/:id/check-in-code
+// The current code for the organizer's QR screen: { code, expiresAt, opensAt, closesAt }.
+app.get("/api/events/:id/check-in-code", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    const event = eventSnap.data();
+    if (!canManageEvent(req.user, event)) {
+      return res.status(403).json({ error: "Only the organizer or an admin can show the check-in code" });
+    }
+    if (event.status === "cancelled") return res.status(409).json({ error: "This event has been cancelled" });
+
+    const { code, expiresAt } = currentCheckInCode(await checkInSecret(eventRef), eventRef.id);
+    const { opensAt, closesAt } = checkInWindow(event);
+    res.status(200).json({
+      code,
+      expiresAt: expiresAt.toISOString(),
+      opensAt: opensAt.toISOString(),
+      closesAt: closesAt.toISOString(),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/events/:id/check-in
+// Checks the current user in with the code from the organizer's screen ({ code }).
+app.post("/api/events/:id/check-in", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    const event = eventSnap.data();
+    if (event.status === "cancelled") return res.status(409).json({ error: "This event has been cancelled" });
+
+    const now = new Date();
+    const { opensAt, closesAt } = checkInWindow(event);
+    if (now < opensAt) {
+      return res.status(409).json({ error: `Check-in opens at ${opensAt.toISOString()}`, opensAt: opensAt.toISOString() });
+    }
+    if (now > closesAt) return res.status(409).json({ error: "Check-in for this event has closed" });
+
+    if (!isValidCheckInCode(await checkInSecret(eventRef), eventRef.id, req.body.code, now)) {
+      return res.status(400).json({ error: "Invalid or expired check-in code" });
+    }
+
+    const outcome = await recordAttendance(eventRef, {
+      uid: req.user.uid,
+      email: req.user.email || null,
+      method: "qr",
+      checkedInAt: now.toISOString(),
+      recordedBy: req.user.uid,
+    });
+    res.status(200).json({
+      message: outcome.recorded ? "Checked in" : "Already checked in",
+      checkedInAt: outcome.checkedInAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/:id/attendance
+// Everyone checked in, earliest first; only the event's organizer may see it.
+app.get("/api/events/:id/attendance", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    if (!canManageEvent(req.user, eventSnap.data())) {
+      return res.status(403).json({ error: "Only the organizer or an admin can view attendance" });
+    }
+
+    const snapshot = await attendanceOf(eventRef).orderBy("checkedInAt", "asc").get();
+    res.status(200).json({ records: snapshot.docs.map((d) => withoutEmails(d.data())) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/events/:id/attendance/:uid
+// Marks someone on the event's roster as present by hand.
+app.put("/api/events/:id/attendance/:uid", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const eventSnap = await eventRef.get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    if (!canManageEvent(req.user, eventSnap.data())) {
+      return res.status(403).json({ error: "Only the organizer or an admin can edit attendance" });
+    }
+    const participantSnap = await participantsOf(eventRef).doc(req.params.uid).get();
+    if (!participantSnap.exists) return res.status(404).json({ error: "This person is not on the event's roster" });
+
+    const outcome = await recordAttendance(eventRef, {
+      uid: req.params.uid,
+      email: participantSnap.data().email || null,
+      method: "manual",
+      checkedInAt: new Date().toISOString(),
+      recordedBy: req.user.uid,
+    });
+    res.status(200).json({
+      message: outcome.recorded ? "Marked as present" : "Already checked in",
+      checkedInAt: outcome.checkedInAt,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/events/:id/attendance/:uid
+// Removes an attendance record (e.g. a check-in by someone who then didn't stay).
+app.delete("/api/events/:id/attendance/:uid", requireAuth, async (req, res) => {
+  try {
+    const eventRef = getCollection("events").doc(req.params.id);
+    const attendanceRef = attendanceOf(eventRef).doc(req.params.uid);
+
+    const outcome = await db.runTransaction(async (tx) => {
+      const [eventSnap, attendanceSnap] = await Promise.all([tx.get(eventRef), tx.get(attendanceRef)]);
+      if (!eventSnap.exists) return { code: 404, error: "Event not found" };
+      if (!canManageEvent(req.user, eventSnap.data())) {
+        return { code: 403, error: "Only the organizer or an admin can edit attendance" };
+      }
+      if (!attendanceSnap.exists) return { code: 404, error: "This person is not checked in" };
+      tx.delete(attendanceRef);
+      tx.update(eventRef, { checkedInCount: FieldValue.increment(-1) });
+      return {};
+    });
+
+    if (outcome.error) return res.status(outcome.code).json({ error: outcome.error });
+    res.status(200).json({ message: "Marked as absent" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === EVENT IMPACT ===
+// Waste entries can name the clean-up they were collected at (eventId), as
+// long as the submitter went to it (see lib/eventImpact.js). Once an event is
+// over, its impact report is public so organizers can share it; it only holds
+// approved entries, and people appear by their public names.
+
+// Entries can be linked to events this recent, as old as a queued entry may be
+const ATTENDED_EVENTS_DAYS = 30;
+
+// GET /api/me/attended-events
+// Events of the last 30 days the user signed up for or checked in at, newest
+// first: the choices for linking a waste entry.
+app.get("/api/me/attended-events", requireAuth, async (req, res) => {
+  try {
+    const { uid } = req.user;
+    const [joined, checkedIn] = await Promise.all([
+      db.collectionGroup("participants").where("uid", "==", uid).get(),
+      db.collectionGroup("attendance").where("uid", "==", uid).get(),
+    ]);
+
+    // Both are named by uid under each event; other apps' events are skipped
+    const eventsPath = getCollection("events").path;
+    const refs = new Map();
+    [...joined.docs.filter((d) => d.data().status === "going"), ...checkedIn.docs]
+      .map((d) => d.ref.parent.parent)
+      .filter((ref) => ref.parent.path === eventsPath)
+      .forEach((ref) => refs.set(ref.id, ref));
+
+    const today = toManilaDate(new Date().toISOString());
+    const earliest = toManilaDate(new Date(Date.now() - ATTENDED_EVENTS_DAYS * 24 * 60 * 60 * 1000).toISOString());
+    const eventSnaps = refs.size > 0 ? await db.getAll(...refs.values()) : [];
+    const events = eventSnaps
+      .filter((snap) => snap.exists)
+      .map((snap) => ({ id: snap.id, ...snap.data() }))
+      .filter((e) => e.status !== "cancelled" && e.date >= earliest && e.date <= today)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map(({ id, title, date, startTime, barangay, location }) => ({ id, title, date, startTime: startTime || null, barangay, location }));
+    res.status(200).json({ events });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/:id/impact
+// What a clean-up achieved, from its approved waste entries: total and per-type
+// weight, contributors and photos. Available once the event is over.
+app.get("/api/events/:id/impact", async (req, res) => {
+  try {
+    const eventSnap = await getCollection("events").doc(req.params.id).get();
+    if (!eventSnap.exists) return res.status(404).json({ error: "Event not found" });
+    const event = eventSnap.data();
+    if (event.status === "cancelled") return res.status(409).json({ error: "This event was cancelled" });
+    const endsAt = eventEndsAt(event);
+    if (new Date() < endsAt) {
+      return res.status(409).json({ error: "The impact report is available once the event is over", endsAt: endsAt.toISOString() });
+    }
+
+    const snapshot = await getCollection("wasteEntries").where("eventId", "==", eventSnap.id).get();
+    const entries = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const counted = entries.filter((e) => countsTowardsTotals(e));
+
+    const byType = new Map();
+    counted.forEach((e) => {
+      const row = byType.get(e.type) || { type: e.type, kg: 0, entries: 0 };
+      row.kg += entryKilograms(e);
+      row.entries += 1;
+      byType.set(e.type, row);
+    });
+
+    res.status(200).json({
+      event: {
+        id: eventSnap.id,
+        title: event.title,
+        date: event.date,
+        startTime: event.startTime || null,
+        endTime: event.endTime || null,
+        location: event.location,
+        barangay: event.barangay ?? null,
+        creatorId: event.creatorId,
+      },
+      totalKg: roundKg(counted.reduce((sum, e) => sum + entryKilograms(e), 0)),
+      byType: [...byType.values()]
+        .map((row) => ({ ...row, kg: roundKg(row.kg) }))
+        .sort((a, b) => b.kg - a.kg),
+      entryCount: counted.length,
+      pendingCount: entries.filter((e) => entryStatus(e) === "pending").length,
+      contributorCount: new Set(counted.map((e) => e.submitterId)).size,
+      checkedInCount: event.checkedInCount || 0,
+      attendeeCount: event.attendeeCount || 0,
+      photos: counted.flatMap((e) => (e.photos || []).map(({ id, stage, path, thumbnailPath, uploadedAt }) => ({
+        id, entryId: e.id, stage, path, thumbnailPath, uploadedAt,
+      }))),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === CALENDAR FEEDS ===
+// iCalendar (.ics) versions of the events for phone and desktop calendars:
+// a public feed of upcoming events, one file per event, and a personal feed
+// of the events a user joined, reached through a secret token instead of a
+// login (calendar apps can't send ID tokens).
+const CLIENT_URL = (process.env.CLIENT_URL || "http://localhost:3000").replace(/\/+$/, "");
+const eventLink = (event) => `${CLIENT_URL}/events/${event.id}`;
+const FEED_TOKEN_PATTERN = /^[\w-]{32}$/;
+
+function sendCalendar(res, events, { name, filename }) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.status(200).send(toICalendar(events, { name, urlFor: eventLink }));
+}
+
+// Returns the user's feed token, creating one on first use (or always with `renew`)
+async function calendarFeedToken(uid, { renew = false } = {}) {
+  const ref = getCollection("calendarFeeds").doc(uid);
+  if (!renew) {
+    const snap = await ref.get();
+    if (snap.exists) return snap.data().token;
+  }
+  const token = crypto.randomBytes(24).toString("base64url");
+  await ref.set({ uid, token, createdAt: new Date().toISOString() });
+  return token;
+}
+
+// GET /api/events.ics
+// Upcoming events (from today, Manila time), optionally ?barangay=...
+app.get("/api/events.ics", async (req, res) => {
+  try {
+    const from = toManilaDate(new Date().toISOString());
+    const query = buildEventsQuery(getCollection("events"), { barangay: req.query.barangay }, { from, order: "asc" });
+    const snapshot = await query.get();
+    const events = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const barangay = req.query.barangay && (normalizeBarangay(req.query.barangay) || req.query.barangay);
+    sendCalendar(res, events, { name: barangay ? `Clean-ups in ${barangay}` : "Las Piñas clean-ups" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/:id.ics
+// A single event as a downloadable .ics file
+app.get("/api/events/:id.ics", async (req, res) => {
+  try {
+    const snap = await getCollection("events").doc(req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ error: "Event not found" });
+    sendCalendar(res, [{ id: snap.id, ...snap.data() }], { filename: `clean-up-${snap.id}.ics` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/me/calendar
+// The path of the user's personal feed: { path }. Anyone with it can read the feed.
+app.get("/api/me/calendar", requireAuth, async (req, res) => {
+  try {
+    const token = await calendarFeedToken(req.user.uid);
+    res.status(200).json({ path: `/api/calendar/${token}.ics` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/me/calendar/reset
+// Replaces the feed token, so the old feed URL stops working
+app.post("/api/me/calendar/reset", requireAuth, async (req, res) => {
+  try {
+    const token = await calendarFeedToken(req.user.uid, { renew: true });
+    res.status(200).json({ path: `/api/calendar/${token}.ics` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/calendar/:token.ics
+// The personal feed: every event the token's owner is going to or waitlisted for
+app.get("/api/calendar/:token.ics", async (req, res) => {
+  try {
+    const { token } = req.params;
+    if (!FEED_TOKEN_PATTERN.test(token)) return res.status(404).json({ error: "Calendar not found" });
+    const feedSnap = await getCollection("calendarFeeds").where("token", "==", token).limit(1).get();
+    if (feedSnap.empty) return res.status(404).json({ error: "Calendar not found" });
+    const { uid } = feedSnap.docs[0].data();
+
+    // Participant documents are named by uid under each event
+    const eventsPath = getCollection("events").path;
+    const joined = await db.collectionGroup("participants").where("uid", "==", uid).get();
+    const eventRefs = joined.docs
+      .map((d) => d.ref.parent.parent)
+      .filter((ref) => ref.parent.path === eventsPath);
+    const eventSnaps = eventRefs.length > 0 ? await db.getAll(...eventRefs) : [];
+    const events = eventSnaps
+      .filter((snap) => snap.exists)
+      .map((snap) => ({ id: snap.id, ...snap.data() }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    sendCalendar(res, events, { name: "My clean-ups" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === EXPORTS ===
+// Spreadsheet exports for LGU reporting. They accept the same filters as the
+// list endpoints, plus ?format=csv|xlsx, and stream documents as they're read.
+const WASTE_EXPORT_COLUMNS = [
+  { key: "id", header: "Entry ID" },
+  { key: "createdAt", header: "Logged At" },
+  { key: "type", header: "Waste Type" },
+  { key: "quantity", header: "Quantity" },
+  { key: "unit", header: "Unit" },
+  { key: "estimatedKg", header: "Estimated kg" },
+  { key: "location", header: "Barangay" },
+  { key: "latitude", header: "Latitude" },
+  { key: "longitude", header: "Longitude" },
+  { key: "photoCount", header: "Photos" },
+  { key: "eventId", header: "Event ID" },
+  { key: "status", header: "Review Status" },
+  { key: "reviewNote", header: "Review Note" },
+  { key: "submitterName", header: "Submitted By" },
+];
+
+const EVENT_EXPORT_COLUMNS = [
+  { key: "id", header: "Event ID" },
+  { key: "date", header: "Date" },
+  { key: "startTime", header: "Start Time" },
+  { key: "endTime", header: "End Time" },
+  { key: "title", header: "Title" },
+  { key: "barangay", header: "Barangay" },
+  { key: "location", header: "Meeting Point" },
+  { key: "status", header: "Status" },
+  { key: "capacity", header: "Capacity" },
+  { key: "attendeeCount", header: "Going" },
+  { key: "waitlistCount", header: "Waitlisted" },
+  { key: "checkedInCount", header: "Checked In" },
+  { key: "creatorName", header: "Organizer" },
+  { key: "createdAt", header: "Created At" },
+];
+
+// Streams a query's documents, mapped to export rows, without loading them all.
+// With `keep`, only the documents it accepts are exported.
+async function* exportRows(query, toRow, keep = null) {
+  for await (const doc of query.stream()) {
+    const item = { id: doc.id, ...doc.data() };
+    if (keep && !keep(item)) continue;
+    yield await toRow(item);
+  }
+}
+
+// Public display names for export rows, looked up once per user
+function displayNameLookup() {
+  const names = new Map();
+  return (uid) => {
+    if (!uid) return null;
+    if (!names.has(uid)) {
+      names.set(uid, publicProfiles([uid]).then((profiles) => profiles.get(uid)?.displayName || ANONYMOUS_NAME));
+    }
+    return names.get(uid);
+  };
+}
+
+// Validates ?format and the list filters shared by both export endpoints
+function parseExportParams(query) {
+  const { format = "csv" } = query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` };
+  }
+  const params = parseListParams({ order: "asc", ...query });
+  return params.error ? params : { ...params, format };
+}
+
+// GET /api/waste/export
+// Volunteers only get approved entries, unless exporting their own (see entryVisibility)
+app.get("/api/waste/export", requireAuth, async (req, res) => {
+  try {
+    const params = parseExportParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    const visibility = entryVisibility(req.user, req.query);
+    if (visibility.error) return res.status(403).json({ error: visibility.error });
+
+    const query = buildWasteQuery(getCollection("wasteEntries"), req.query, params);
+    const displayName = displayNameLookup();
+    await streamExport(res, {
+      format: params.format,
+      filename: `waste-entries-${new Date().toISOString().slice(0, 10)}`,
+      columns: WASTE_EXPORT_COLUMNS,
+      rows: exportRows(query, async (e) => ({
+        ...e,
+        submitterName: await displayName(e.submitterId),
+        quantity: e.quantity ?? e.volume ?? null,
+        estimatedKg: e.unit ? roundKg(entryKilograms(e)) : null,
+        photoCount: (e.photos || []).length,
+        status: entryStatus(e),
+      }), visibility.keep),
+    });
+  } catch (err) {
+    console.error(err);
+    // Once streaming has started the status line is gone; just cut the download short
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/events/export
+app.get("/api/events/export", requireAuth, async (req, res) => {
+  try {
+    const params = parseExportParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const query = buildEventsQuery(getCollection("events"), req.query, params);
+    const displayName = displayNameLookup();
+    await streamExport(res, {
+      format: params.format,
+      filename: `events-${new Date().toISOString().slice(0, 10)}`,
+      columns: EVENT_EXPORT_COLUMNS,
+      rows: exportRows(query, async (e) => ({
+        ...e,
+        creatorName: await displayName(e.creatorId),
+        status: e.status || "scheduled",
+        attendeeCount: e.attendeeCount || 0,
+        waitlistCount: e.waitlistCount || 0,
+        checkedInCount: e.checkedInCount || 0,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === WASTE ENTRY DETAILS ===
+// Registered after GET /api/waste/export so "export" is never read as an id.
+// GET /api/waste/:id
+// A single entry, e.g. for a link shared from the dashboard. Pending and
+// rejected entries are only found by organizers and their submitter.
+app.get("/api/waste/:id", optionalAuth, async (req, res) => {
+  try {
+    const snap = await getCollection("wasteEntries").doc(req.params.id).get();
+    const entry = snap.exists ? snap.data() : null;
+    const visible = entry && (isPublicEntry(entry) || isOrganizer(req.user) || entry.submitterId === req.user?.uid);
+    if (!visible) return res.status(404).json({ error: "Waste entry not found" });
+    res.status(200).json(withoutEmails({ id: snap.id, ...entry }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === TIPS ===
+// Awareness tips. Everyone reads published tips; admins manage all of them.
+const tipFromDoc = (d) => {
+  const tip = { id: d.id, ...d.data() };
+  return { ...tip, published: isPublishedTip(tip) };
+};
+
+// GET /api/tips
+// Published tips in display order; optional ?category filter
+app.get("/api/tips", async (req, res) => {
+  try {
+    const { category } = req.query;
+    if (category && !TIP_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: `category must be one of: ${TIP_CATEGORIES.join(", ")}` });
+    }
+    // Read them all: older tips without a `published` field count as published
+    const snapshot = await getCollection("tips").get();
+    const tips = snapshot.docs.map(tipFromDoc).filter((t) => t.published && (!category || t.category === category));
+    res.status(200).json({ tips: sortTips(tips), categories: TIP_CATEGORIES });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/admin/tips
+// Every tip, published or not, in display order
+app.get("/api/admin/tips", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const snapshot = await getCollection("tips").get();
+    res.status(200).json({ tips: sortTips(snapshot.docs.map(tipFromDoc)), categories: TIP_CATEGORIES });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/tips
+// Body { title, content (Markdown), category, translations?, published?, order? }. New tips
+// are unpublished and go last unless stated otherwise.
+app.post("/api/tips", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { errors, fields } = validateTipFields(req.body);
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+
+    const col = getCollection("tips");
+    let { order } = fields;
+    if (order === undefined) {
+      const last = await col.orderBy("order", "desc").limit(1).get();
+      order = last.empty ? 0 : (last.docs[0].data().order ?? 0) + 1;
+    }
+    const now = new Date().toISOString();
+    const tip = {
+      published: false,
+      ...fields,
+      order,
+      image: null,
+      createdBy: req.user.uid,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const docRef = await col.add(tip);
+    res.status(200).json({ id: docRef.id, ...tip });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/tips/order
+// Body { ids: [...] }: sets each listed tip's order to its position
+app.put("/api/tips/order", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500 || !ids.every((id) => typeof id === "string")) {
+      return res.status(400).json({ error: "ids must be a non-empty array of tip ids" });
+    }
+    const col = getCollection("tips");
+    const snaps = await db.getAll(...ids.map((id) => col.doc(id)));
+    const missing = snaps.filter((snap) => !snap.exists).map((snap) => snap.id);
+    if (missing.length > 0) return res.status(404).json({ error: `Tips not found: ${missing.join(", ")}` });
+
+    const batch = db.batch();
+    const now = new Date().toISOString();
+    snaps.forEach((snap, index) => batch.update(snap.ref, { order: index, updatedAt: now }));
+    await batch.commit();
+    res.status(200).json({ message: "Tips reordered" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/tips/:id
+// Any of title, content, category, translations, published, order
+app.patch("/api/tips/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { errors, fields } = validateTipFields(req.body, { partial: true });
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: "No editable fields given" });
+
+    const tipRef = getCollection("tips").doc(req.params.id);
+    const tipSnap = await tipRef.get();
+    if (!tipSnap.exists) return res.status(404).json({ error: "Tip not found" });
+
+    const updates = { ...fields, updatedAt: new Date().toISOString() };
+    await tipRef.update(updates);
+    res.status(200).json({ ...tipSnap.data(), id: tipRef.id, ...updates });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Removes a tip's stored image file, if it has one
+async function removeTipImage(tipId, image) {
+  if (!image) return;
+  await storage.remove(`tips/${tipId}/${image.file}`);
+}
+
+// DELETE /api/tips/:id
+app.delete("/api/tips/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tipRef = getCollection("tips").doc(req.params.id);
+    const tipSnap = await tipRef.get();
+    if (!tipSnap.exists) return res.status(404).json({ error: "Tip not found" });
+
+    await tipRef.delete();
+    await removeTipImage(tipRef.id, tipSnap.data().image);
+    res.status(200).json({ message: "Tip deleted" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/tips/:id/image
+// multipart/form-data with one image in the "image" field; replaces any previous image
+app.put("/api/tips/:id/image", requireAuth, requireAdmin, handleImageUpload, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "Attach an image in the \"image\" field" });
+    const tipRef = getCollection("tips").doc(req.params.id);
+    const tipSnap = await tipRef.get();
+    if (!tipSnap.exists) return res.status(404).json({ error: "Tip not found" });
+
+    let processed;
+    try {
+      processed = await processPhoto(req.file.buffer);
+    } catch {
+      return res.status(400).json({ error: `${req.file.originalname} is not a readable image` });
+    }
+
+    const file = `${crypto.randomUUID()}.jpg`;
+    await storage.save(`tips/${tipRef.id}/${file}`, processed.image, "image/jpeg");
+    const image = { file, path: `/api/tips/${tipRef.id}/image/${file}` };
+    await tipRef.update({ image, updatedAt: new Date().toISOString() });
+    await removeTipImage(tipRef.id, tipSnap.data().image);
+    res.status(200).json({ message: "Image uploaded", image });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/tips/:id/image
+app.delete("/api/tips/:id/image", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tipRef = getCollection("tips").doc(req.params.id);
+    const tipSnap = await tipRef.get();
+    if (!tipSnap.exists) return res.status(404).json({ error: "Tip not found" });
+
+    await tipRef.update({ image: null, updatedAt: new Date().toISOString() });
+    await removeTipImage(tipRef.id, tipSnap.data().image);
+    res.status(200).json({ message: "Image removed" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/tips/:id/image/:file
+// Serves a tip's image (public, so it works in <img> tags)
+app.get("/api/tips/:id/image/:file", async (req, res) => {
+  try {
+    const { id, file } = req.params;
+    if (!IMAGE_FILE_PATTERN.test(file) || !/^[\w-]+$/.test(id)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    const key = `tips/${id}/${file}`;
+    if (!(await storage.exists(key))) return res.status(404).json({ error: "Image not found" });
+
+    res.set("Content-Type", "image/jpeg");
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    storage.createReadStream(key)
+      .on("error", (err) => {
+        console.error(err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === ADMIN: USERS & ROLES ===
+// GET /api/admin/users
+// Firebase Auth users with their roles, 100 per page: returns { users, nextPageToken }
+app.get("/api/admin/users", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await getAuth().listUsers(100, req.query.pageToken || undefined);
+    const users = result.users.map((u) => ({
+      uid: u.uid,
+      email: u.email || null,
+      displayName: u.displayName || null,
+      role: roleOf({ claims: u.customClaims || {} }),
+      disabled: u.disabled,
+      createdAt: u.metadata.creationTime,
+      lastSignInAt: u.metadata.lastSignInTime || null,
+    }));
+    res.status(200).json({ users, nextPageToken: result.pageToken || null });
+  } catch (err) {
+    if (err.code === "auth/invalid-page-token") return res.status(400).json({ error: "Invalid pageToken" });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/admin/users/:uid/role
+// Body { role }: grants a role ("volunteer" revokes organizer/admin)
+app.put("/api/admin/users/:uid/role", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+    const roleError = roleChangeError(req.user, req.params.uid, role);
+    if (roleError) return res.status(400).json({ error: roleError });
+
+    await setUserRole(req.params.uid, role);
+    res.status(200).json({ message: "Role updated", uid: req.params.uid, role });
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return res.status(404).json({ error: "User not found" });
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === USER PREFERENCES ===
+// GET /api/me/preferences
+// The signed-in user's preferences, with defaults for anything never set
+app.get("/api/me/preferences", requireAuth, async (req, res) => {
+  try {
+    const snap = await getCollection("userPreferences").doc(req.user.uid).get();
+    const { updatedAt, ...stored } = snap.exists ? snap.data() : {};
+    res.status(200).json({ ...DEFAULT_PREFERENCES, ...stored });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/me/preferences
+// Body { language?, mutedNotifications?, emailNotifications? }: merged into the stored preferences
+app.put("/api/me/preferences", requireAuth, async (req, res) => {
+  try {
+    const { errors, fields } = validatePreferences(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: "No preferences given" });
+
+    const prefRef = getCollection("userPreferences").doc(req.user.uid);
+    await prefRef.set({ ...fields, updatedAt: new Date().toISOString() }, { merge: true });
+    const { updatedAt, ...stored } = (await prefRef.get()).data();
+    res.status(200).json({ ...DEFAULT_PREFERENCES, ...stored });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === NOTIFICATIONS ===
+// The signed-in user's notifications, newest first. Categories and email
+// delivery are controlled through /api/me/preferences.
+
+// GET /api/me/notifications
+// Paginated: returns { items, nextCursor, unreadCount }
+app.get("/api/me/notifications", requireAuth, async (req, res) => {
+  try {
+    const params = parseListParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const col = getCollection("notifications");
+    const mine = col.where("uid", "==", req.user.uid);
+    const [page, unread] = await Promise.all([
+      paginate(col, mine.orderBy("createdAt", "desc"), params),
+      mine.where("read", "==", false).count().get(),
+    ]);
+    if (!page) return res.status(400).json({ error: "Invalid cursor" });
+    res.status(200).json({ ...page, unreadCount: unread.data().count });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/me/notifications/read-all
+app.post("/api/me/notifications/read-all", requireAuth, async (req, res) => {
+  try {
+    const snapshot = await getCollection("notifications")
+      .where("uid", "==", req.user.uid)
+      .where("read", "==", false)
+      .get();
+    const readAt = new Date().toISOString();
+    for (let start = 0; start < snapshot.size; start += WRITE_BATCH_LIMIT) {
+      const batch = db.batch();
+      snapshot.docs.slice(start, start + WRITE_BATCH_LIMIT).forEach((d) => batch.update(d.ref, { read: true, readAt }));
+      await batch.commit();
+    }
+    res.status(200).json({ message: "Notifications marked as read", updated: snapshot.size });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/me/notifications/:id/read
+app.post("/api/me/notifications/:id/read", requireAuth, async (req, res) => {
+  try {
+    const ref = getCollection("notifications").doc(req.params.id);
+    const snap = await ref.get();
+    // Someone else's notification is reported as missing, not forbidden
+    if (!snap.exists || snap.data().uid !== req.user.uid) {
+      return res.status(404).json({ error: "Notification not found" });
+    }
+    await ref.update({ read: true, readAt: new Date().toISOString() });
+    res.status(200).json({ message: "Notification marked as read" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === PROFILES ===
+// Display name, avatar, home barangay and organization. Other users see a
+// profile only when it's public; otherwise its owner is an anonymous volunteer.
+const ANONYMOUS_NAME = "Anonymous volunteer";
+const MAX_PROFILE_LOOKUP = 100;
+
+// Public profiles of `uids` as a Map uid -> publicProfile (null when anonymous)
+async function publicProfiles(uids) {
+  const unique = [...new Set(uids.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+  const col = getCollection("profiles");
+  const snaps = await db.getAll(...unique.map((uid) => col.doc(uid)));
+  return new Map(snaps.map((snap) => [snap.id, publicProfile(snap.exists ? snap.data() : null)]));
+}
+
+// The stored profile of a user, with defaults for anything never set
+async function ownProfile(uid) {
+  const snap = await getCollection("profiles").doc(uid).get();
+  const { updatedAt, ...stored } = snap.exists ? snap.data() : {};
+  return { ...DEFAULT_PROFILE, ...stored };
+}
+
+async function removeAvatar(uid, avatar) {
+  if (!avatar) return;
+  await storage.remove(`avatars/${uid}/${avatar.file}`);
+}
+
+// GET /api/me/profile
+app.get("/api/me/profile", requireAuth, async (req, res) => {
+  try {
+    res.status(200).json(await ownProfile(req.user.uid));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/me/profile
+// Body { displayName?, homeBarangay?, organization?, visibility? }: merged
+// into the stored profile. The avatar has its own endpoints.
+app.put("/api/me/profile", requireAuth, async (req, res) => {
+  try {
+    const { errors, fields } = validateProfile(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: errors.join("; ") });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ error: "No profile fields given" });
+
+    await getCollection("profiles").doc(req.user.uid).set({ ...fields, updatedAt: new Date().toISOString() }, { merge: true });
+    res.status(200).json(await ownProfile(req.user.uid));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/me/avatar
+// multipart/form-data with one image in the "image" field; replaces any previous avatar
+app.put("/api/me/avatar", requireAuth, handleImageUpload, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "Attach an image in the \"image\" field" });
+    const uid = req.user.uid;
+
+    let processed;
+    try {
+      processed = await processPhoto(req.file.buffer);
+    } catch {
+      return res.status(400).json({ error: `${req.file.originalname} is not a readable image` });
+    }
+
+    // The square thumbnail is all an avatar needs
+    const file = `${crypto.randomUUID()}.jpg`;
+    await storage.save(`avatars/${uid}/${file}`, processed.thumbnail, "image/jpeg");
+    const avatar = { file, path: `/api/avatars/${uid}/${file}` };
+    const previous = (await ownProfile(uid)).avatar;
+    await getCollection("profiles").doc(uid).set({ avatar, updatedAt: new Date().toISOString() }, { merge: true });
+    await removeAvatar(uid, previous);
+    res.status(200).json({ message: "Avatar uploaded", avatar });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/me/avatar
+app.delete("/api/me/avatar", requireAuth, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const previous = (await ownProfile(uid)).avatar;
+    await getCollection("profiles").doc(uid).set({ avatar: null, updatedAt: new Date().toISOString() }, { merge: true });
+    await removeAvatar(uid, previous);
+    res.status(200).json({ message: "Avatar removed" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/profiles?ids=uid1,uid2
+// Public profiles for up to 100 users: returns { profiles: { [uid]: profile | null } },
+// null meaning the user is shown as an anonymous volunteer
+app.get("/api/profiles", async (req, res) => {
+  try {
+    const ids = String(req.query.ids || "").split(",").filter((id) => /^[\w-]+$/.test(id));
+    if (ids.length > MAX_PROFILE_LOOKUP) {
+      return res.status(400).json({ error: `At most ${MAX_PROFILE_LOOKUP} ids per request` });
+    }
+    const profiles = await publicProfiles(ids);
+    res.status(200).json({ profiles: Object.fromEntries(profiles) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/avatars/:uid/:file
+// Serves an avatar (public, so it works in <img> tags; file names are unguessable
+// and only handed out for public profiles and to their owner)
+app.get("/api/avatars/:uid/:file", async (req, res) => {
+  try {
+    const { uid, file } = req.params;
+    if (!IMAGE_FILE_PATTERN.test(file) || !/^[\w-]+$/.test(uid)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+    const key = `avatars/${uid}/${file}`;
+    if (!(await storage.exists(key))) return res.status(404).json({ error: "Image not found" });
+
+    res.set("Content-Type", "image/jpeg");
+    res.set("Cache-Control", "public, max-age=31536000, immutable");
+    storage.createReadStream(key)
+      .on("error", (err) => {
+        console.error(err);
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === STATS ===
+// GET /api/stats
+// Optional filters: ?from/?to (dates), ?type, ?location (barangay).
+// ?groupBy=day|week|month controls the buckets of the `series` time series.
+// Only approved entries count; organizers can add those awaiting review with
+// ?includePending=true.
+app.get("/api/stats", optionalAuth, async (req, res) => {
+  try {
+    const { groupBy = "week" } = req.query;
+    if (!GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${GROUP_BY.join(", ")}` });
+    }
+    const params = parseListParams({ ...req.query, order: "asc" });
+    if (params.error) return res.status(400).json({ error: params.error });
+    const filters = { type: req.query.type, location: req.query.location };
+
+    const { error, includePending } = pendingInclusion(req.user, filters, req.query.includePending);
+    if (error) return res.status(403).json({ error });
+    const counted = (e) => countsTowardsTotals(e, includePending);
+
+    const wasteCol = getCollection("wasteEntries");
+    const snapshot = await buildWasteQuery(wasteCol, filters, params).get();
+    const allEntries = snapshot.docs.map(d => d.data());
+    const entries = allEntries.filter(counted);
+    const pendingEntries = allEntries.filter((e) => entryStatus(e) === "pending").length;
+
+    // Week-over-week always looks at the last 14 days, regardless of ?from/?to
+    const twoWeeksAgo = new Date(Date.now() - 14 * 24 * 60 * 60 * 1000).toISOString();
+    const recentSnapshot = await buildWasteQuery(wasteCol, filters, { from: twoWeeksAgo, to: null, order: "asc" }).get();
+    const recentEntries = recentSnapshot.docs.map(d => d.data()).filter((e) => e.unit && counted(e));
+
+    const totalsByType = {};
+    const kgByType = {};
+    const kgByBarangay = {};
+    let totalEntries = 0;
+    let totalKg = 0;
+    let unmeasuredEntries = 0;
+    const measured = [];
+
+    entries.forEach((e) => {
+      totalEntries += 1;
+      const t = e.type || "Unknown";
+      totalsByType[t] = (totalsByType[t] || 0) + 1;
+
+      // Legacy entries without a structured quantity can't be weighed
+      if (!e.unit) {
+        unmeasuredEntries += 1;
+        return;
+      }
+      measured.push(e);
+      const kg = entryKilograms(e);
+      const barangay = e.location || "Unknown";
+      totalKg += kg;
+      kgByType[t] = roundKg((kgByType[t] || 0) + kg);
+      kgByBarangay[barangay] = roundKg((kgByBarangay[barangay] || 0) + kg);
+    });
+
+    res.status(200).json({
+      totalEntries,
+      totalsByType,
+      totalKg: roundKg(totalKg),
+      kgByType,
+      kgByBarangay,
+      unmeasuredEntries,
+      pendingEntries,
+      includePending,
+      groupBy,
+      series: buildSeries(measured, groupBy),
+      kgByBarangayAndType: breakdownByBarangay(measured),
+      weekOverWeek: weekOverWeek(recentEntries),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// === LEADERBOARD ===
+// GET /api/leaderboard
+// ?period=week|month|year|all (calendar periods in Manila time), ?limit.
+// Ranks volunteers and barangays by kg collected (approved, measured entries)
+// and by events attended (verified check-ins at past, non-cancelled events).
+// Volunteers are identified only by the display name of their public
+// profile; everyone else comes back as { displayName: null, anonymous: true }.
+app.get("/api/leaderboard", async (req, res) => {
+  try {
+    const { period = "month" } = req.query;
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ error: `period must be one of: ${LEADERBOARD_PERIODS.join(", ")}` });
+    }
+    const params = parseListParams({ limit: DEFAULT_LEADERBOARD_SIZE, ...req.query });
+    if (params.error) return res.status(400).json({ error: params.error });
+
+    const from = periodStart(period);
+    const today = toManilaDate(new Date().toISOString());
+
+    // Weight: per submitter and per barangay
+    let wasteQuery = getCollection("wasteEntries");
+    if (from) wasteQuery = wasteQuery.where("createdAt", ">=", startOfDay(from));
+    const wasteSnap = await wasteQuery.get();
+    const volunteers = new Map();
+    const barangays = new Map();
+    const volunteer = (uid) => {
+      if (!volunteers.has(uid)) volunteers.set(uid, { uid, kg: 0, entries: 0, events: 0 });
+      return volunteers.get(uid);
+    };
+    const barangay = (name) => {
+      if (!barangays.has(name)) barangays.set(name, { barangay: name, kg: 0, entries: 0, events: 0, attendees: 0 });
+      return barangays.get(name);
+    };
+
+    wasteSnap.docs.forEach((d) => {
+      const e = d.data();
+      if (!e.unit || !countsTowardsTotals(e)) return;
+      const kg = entryKilograms(e);
+      if (e.submitterId) {
+        const v = volunteer(e.submitterId);
+        v.kg += kg;
+        v.entries += 1;
+      }
+      const b = barangay(e.location || "Unknown");
+      b.kg += kg;
+      b.entries += 1;
+    });
+
+    // Attendance: check-ins at events held so far in the period, read with one
+    // collection-group query and matched to those events by path
+    let eventsQuery = getCollection("events").where("date", "<=", today);
+    if (from) eventsQuery = eventsQuery.where("date", ">=", from);
+    const eventsSnap = await eventsQuery.get();
+    const heldEvents = new Map(
+      eventsSnap.docs.filter((d) => d.data().status !== "cancelled").map((d) => [d.ref.path, d.data()])
+    );
+    heldEvents.forEach((event) => { barangay(event.barangay || "Unknown").events += 1; });
+
+    let attendanceQuery = db.collectionGroup("attendance");
+    // Check-in opens before an event starts, so it may predate the period slightly
+    if (from) {
+      const since = new Date(new Date(startOfDay(from)).getTime() - CHECK_IN_OPENS_BEFORE_MS).toISOString();
+      attendanceQuery = attendanceQuery.where("checkedInAt", ">=", since);
+    }
+    const attendanceSnap = await attendanceQuery.get();
+    attendanceSnap.docs.forEach((d) => {
+      const event = heldEvents.get(d.ref.parent.parent.path);
+      if (!event) return;
+      barangay(event.barangay || "Unknown").attendees += 1;
+      volunteer(d.id).events += 1;
+    });
+
+    volunteers.forEach((v) => { v.kg = roundKg(v.kg); });
+    barangays.forEach((b) => { b.kg = roundKg(b.kg); });
+    const volunteersByKg = rankBy([...volunteers.values()], "kg", params.limit);
+    const volunteersByEvents = rankBy([...volunteers.values()], "events", params.limit);
+
+    // Names only for ranked volunteers with a public profile; uids never leave the server
+    const profiles = await publicProfiles([...volunteersByKg, ...volunteersByEvents].map((v) => v.uid));
+    const publicRow = ({ uid, ...row }) => ({
+      ...row,
+      displayName: profiles.get(uid)?.displayName || null,
+      avatar: profiles.get(uid)?.avatar || null,
+      anonymous: !profiles.get(uid),
+    });
+
+    const barangayRows = [...barangays.values()];
+    res.status(200).json({
+      period,
+      from,
+      to: today,
+      volunteers: {
+        byKg: volunteersByKg.map(publicRow),
+        byEvents: volunteersByEvents.map(publicRow),
+      },
+      barangays: {
+        byKg: rankBy(barangayRows, "kg", params.limit),
+        byEvents: rankBy(barangayRows, "attendees", params.limit),
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Health check
+app.get("/", (req, res) => res.send({ status: "ok" }));
+
+// === SCHEDULED JOBS ===
+// Event reminders are checked every REMINDER_INTERVAL_MINUTES (default 5).
+// Set it to 0 when scripts/sendReminders.js runs from an external scheduler.
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES ?? 5);
+if (REMINDER_INTERVAL_MINUTES > 0) {
+  setInterval(() => {
+    sendDueReminders().catch((err) => console.error("Reminder job failed:", err));
+  }, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+}
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`✅ Backend running on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,71 @@
+// backend/test/analytics.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toManilaDate, periodKey, buildSeries, breakdownByBarangay, weekOverWeek } from "../lib/analytics.js";
+
+const entry = (createdAt, kg, fields = {}) => ({ createdAt, quantity: kg, unit: "kg", type: "Plastic", ...fields });
+
+test("toManilaDate uses the Manila calendar day", () => {
+  assert.equal(toManilaDate("2026-03-09T15:59:59.999Z"), "2026-03-09");
+  assert.equal(toManilaDate("2026-03-09T16:00:00.000Z"), "2026-03-10");
+});
+
+test("periodKey buckets by day, Monday-start week and month", () => {
+  assert.equal(periodKey("2026-03-12", "day"), "2026-03-12");
+  assert.equal(periodKey("2026-03-12", "week"), "2026-03-09");
+  assert.equal(periodKey("2026-03-15", "week"), "2026-03-09");
+  assert.equal(periodKey("2026-03-16", "week"), "2026-03-16");
+  assert.equal(periodKey("2026-03-12", "month"), "2026-03");
+});
+
+test("buildSeries fills empty periods between the first and last entry", () => {
+  const series = buildSeries(
+    [
+      entry("2026-03-01T02:00:00Z", 2),
+      entry("2026-03-01T03:00:00Z", 1.5, { type: "Glass" }),
+      entry("2026-03-03T02:00:00Z", 4),
+    ],
+    "day"
+  );
+  assert.deepEqual(series, [
+    { period: "2026-03-01", totalKg: 3.5, entries: 2, byType: { Plastic: 2, Glass: 1.5 } },
+    { period: "2026-03-02", totalKg: 0, entries: 0, byType: {} },
+    { period: "2026-03-03", totalKg: 4, entries: 1, byType: { Plastic: 4 } },
+  ]);
+});
+
+test("buildSeries buckets late-evening Manila entries into the local day", () => {
+  // 23:30 on 31 March in Manila is 15:30 UTC the same day; 00:30 on 1 April is still 31 March in UTC
+  const series = buildSeries([entry("2026-03-31T15:30:00Z", 1), entry("2026-03-31T16:30:00Z", 1)], "month");
+  assert.deepEqual(series.map((p) => [p.period, p.entries]), [["2026-03", 1], ["2026-04", 1]]);
+});
+
+test("buildSeries rolls months over the year end", () => {
+  const series = buildSeries([entry("2025-11-15T00:00:00Z", 1), entry("2026-01-15T00:00:00Z", 1)], "month");
+  assert.deepEqual(series.map((p) => p.period), ["2025-11", "2025-12", "2026-01"]);
+  assert.deepEqual(buildSeries([], "week"), []);
+});
+
+test("breakdownByBarangay groups kilograms by barangay and type", () => {
+  const result = breakdownByBarangay([
+    entry("2026-03-01T00:00:00Z", 1, { location: "Talon Uno" }),
+    entry("2026-03-02T00:00:00Z", 2, { location: "Talon Uno" }),
+    entry("2026-03-02T00:00:00Z", 3, { location: undefined, type: "Glass" }),
+  ]);
+  assert.deepEqual(result, { "Talon Uno": { Plastic: 3 }, Unknown: { Glass: 3 } });
+});
+
+test("weekOverWeek compares the last 7 days with the 7 before", () => {
+  const now = new Date("2026-03-15T00:00:00Z");
+  const result = weekOverWeek(
+    [
+      entry("2026-03-14T00:00:00Z", 6),
+      entry("2026-03-05T00:00:00Z", 4),
+      entry("2026-02-20T00:00:00Z", 100),
+      entry("2026-03-16T00:00:00Z", 100),
+    ],
+    now
+  );
+  assert.deepEqual(result, { thisWeekKg: 6, lastWeekKg: 4, changePct: 50 });
+  assert.equal(weekOverWeek([entry("2026-03-14T00:00:00Z", 6)], now).changePct, null);
+});
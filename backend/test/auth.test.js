@@ -0,0 +1,165 @@
+// backend/test/auth.test.js
+import { test, describe, mock, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { requireAuth, optionalAuth, roleOf, isOrganizer, requireRole, roleChangeError, setUserRole } from "../lib/auth.js";
+
+initializeApp({ projectId: "test" });
+
+// Minimal stand-ins for Express's req/res
+function fakeRequest(authorization) {
+  return { headers: authorization ? { authorization } : {} };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function authError(code) {
+  return Object.assign(new Error(code), { code });
+}
+
+describe("requireAuth", () => {
+  beforeEach(() => mock.restoreAll());
+
+  test("rejects requests without a bearer token", async () => {
+    const next = mock.fn();
+    for (const header of [undefined, "Basic abc", "Bearer"]) {
+      const res = fakeResponse();
+      await requireAuth(fakeRequest(header), res, next);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.error, "Missing Authorization bearer token");
+    }
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  test("attaches the verified user and checks for revocation", async () => {
+    const verify = mock.method(getAuth(), "verifyIdToken", async () => ({ uid: "u1", email: "a@example.com", role: "admin" }));
+    const req = fakeRequest("Bearer good-token");
+    const next = mock.fn();
+    await requireAuth(req, fakeResponse(), next);
+
+    assert.deepEqual(verify.mock.calls[0].arguments, ["good-token", true]);
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(req.user.uid, "u1");
+    assert.equal(req.user.email, "a@example.com");
+    assert.equal(req.user.claims.role, "admin");
+  });
+
+  test("responds 401 for expired, revoked and invalid tokens", async () => {
+    const cases = [
+      ["auth/id-token-expired", "Token expired"],
+      ["auth/id-token-revoked", "Token revoked"],
+      ["auth/argument-error", "Invalid token"],
+    ];
+    mock.method(console, "error", () => {});
+    for (const [code, message] of cases) {
+      mock.method(getAuth(), "verifyIdToken", async () => {
+        throw authError(code);
+      });
+      const res = fakeResponse();
+      const next = mock.fn();
+      await requireAuth(fakeRequest("Bearer bad-token"), res, next);
+      assert.equal(res.statusCode, 401);
+      assert.equal(res.body.error, message);
+      assert.equal(next.mock.callCount(), 0);
+    }
+  });
+});
+
+describe("optionalAuth", () => {
+  beforeEach(() => mock.restoreAll());
+
+  test("lets requests without a token through as signed out", async () => {
+    const req = fakeRequest();
+    const next = mock.fn();
+    await optionalAuth(req, fakeResponse(), next);
+    assert.equal(req.user, null);
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  test("still verifies a token that is sent", async () => {
+    mock.method(console, "error", () => {});
+    mock.method(getAuth(), "verifyIdToken", async () => {
+      throw authError("auth/argument-error");
+    });
+    const res = fakeResponse();
+    const next = mock.fn();
+    await optionalAuth(fakeRequest("Bearer bad-token"), res, next);
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+});
+
+describe("roles", () => {
+  beforeEach(() => mock.restoreAll());
+
+  const user = (role) => ({ uid: `${role}-uid`, claims: role ? { role } : {} });
+
+  test("users without a known role claim are volunteers", () => {
+    assert.equal(roleOf(user("organizer")), "organizer");
+    assert.equal(roleOf(user(null)), "volunteer");
+    assert.equal(roleOf({ claims: { role: "superuser" } }), "volunteer");
+    assert.equal(roleOf(undefined), "volunteer");
+  });
+
+  test("admins count as organizers", () => {
+    assert.ok(isOrganizer(user("admin")));
+    assert.ok(isOrganizer(user("organizer")));
+    assert.ok(!isOrganizer(user(null)));
+    assert.ok(!isOrganizer(null));
+  });
+
+  test("requireRole responds 403 to users without one of the roles", () => {
+    const adminOnly = requireRole("admin");
+    for (const role of ["organizer", null]) {
+      const res = fakeResponse();
+      const next = mock.fn();
+      adminOnly({ user: user(role) }, res, next);
+      assert.equal(res.statusCode, 403);
+      assert.equal(res.body.error, "Requires the admin role");
+      assert.equal(next.mock.callCount(), 0);
+    }
+  });
+
+  test("requireRole lets users with one of the roles through", () => {
+    const staff = requireRole("organizer", "admin");
+    for (const role of ["organizer", "admin"]) {
+      const next = mock.fn();
+      staff({ user: user(role) }, fakeResponse(), next);
+      assert.equal(next.mock.callCount(), 1);
+    }
+  });
+
+  test("an admin can't demote themselves but can change other users' roles", () => {
+    const admin = user("admin");
+    assert.equal(roleChangeError(admin, admin.uid, "organizer"), "You cannot remove your own admin role");
+    assert.equal(roleChangeError(admin, admin.uid, "volunteer"), "You cannot remove your own admin role");
+    assert.equal(roleChangeError(admin, admin.uid, "admin"), null);
+    assert.equal(roleChangeError(admin, "other-uid", "volunteer"), null);
+    assert.match(roleChangeError(admin, "other-uid", "owner"), /^role must be one of/);
+  });
+
+  test("setUserRole keeps other claims and stores volunteers as no role claim", async () => {
+    mock.method(getAuth(), "getUser", async () => ({ customClaims: { role: "organizer", team: "north" } }));
+    const setClaims = mock.method(getAuth(), "setCustomUserClaims", async () => {});
+
+    await setUserRole("u1", "admin");
+    await setUserRole("u1", "volunteer");
+    assert.deepEqual(setClaims.mock.calls[0].arguments, ["u1", { team: "north", role: "admin" }]);
+    assert.deepEqual(setClaims.mock.calls[1].arguments, ["u1", { team: "north" }]);
+    await assert.rejects(setUserRole("u1", "owner"), /role must be one of/);
+  });
+});
@@ -0,0 +1,37 @@
+// backend/test/barangays.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BARANGAY_NAMES, barangayKey, normalizeBarangay } from "../lib/barangays.js";
+
+test("the registry lists the 20 Las Piñas barangays", () => {
+  assert.equal(BARANGAY_NAMES.length, 20);
+  assert.equal(new Set(BARANGAY_NAMES).size, 20);
+});
+
+test("barangayKey drops prefixes, punctuation and accents and spells numerals out", () => {
+  assert.equal(barangayKey("Brgy. Talon 1"), "talon uno");
+  assert.equal(barangayKey("Barangay Talon I, Las Piñas City"), "talon uno");
+  assert.equal(barangayKey("B.F. International"), "bf international");
+});
+
+test("normalizeBarangay maps typed spellings to the canonical name", () => {
+  assert.equal(normalizeBarangay("zapote "), "Zapote");
+  assert.equal(normalizeBarangay("Brgy. Zapote"), "Zapote");
+  assert.equal(normalizeBarangay("Talon One"), "Talon Uno");
+  assert.equal(normalizeBarangay("talon cinco"), "Talon Singko");
+  assert.equal(normalizeBarangay("BF Int'l"), "B.F. International Village");
+  assert.equal(normalizeBarangay("Pamplona III"), "Pamplona Tres");
+});
+
+test("normalizeBarangay finds a barangay inside longer text", () => {
+  assert.equal(normalizeBarangay("Talon 1, near the creek"), "Talon Uno");
+  // The longer name wins over a shorter one it contains
+  assert.equal(normalizeBarangay("Pulang Lupa Dos covered court"), "Pulang Lupa Dos");
+});
+
+test("normalizeBarangay returns null for unknown places", () => {
+  assert.equal(normalizeBarangay("Makati"), null);
+  assert.equal(normalizeBarangay("Brgy."), null);
+  assert.equal(normalizeBarangay(""), null);
+  assert.equal(normalizeBarangay(undefined), null);
+});
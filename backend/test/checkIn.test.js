@@ -0,0 +1,62 @@
+// backend/test/checkIn.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CHECK_IN_CODE_LENGTH,
+  CHECK_IN_CODE_TTL_MS,
+  newCheckInSecret,
+  checkInWindow,
+  currentCheckInCode,
+  isValidCheckInCode,
+} from "../lib/checkIn.js";
+
+describe("check-in codes", () => {
+  const secret = newCheckInSecret();
+  const now = new Date("2026-03-14T01:00:30.000Z");
+  const minutesAgo = (n) => new Date(now.getTime() - n * CHECK_IN_CODE_TTL_MS);
+
+  test("are short, unambiguous and expire at the end of their minute", () => {
+    const { code, expiresAt } = currentCheckInCode(secret, "event-1", now);
+    assert.match(code, new RegExp(`^[A-HJ-NP-Z2-9]{${CHECK_IN_CODE_LENGTH}}$`));
+    assert.equal(expiresAt.toISOString(), "2026-03-14T01:01:00.000Z");
+  });
+
+  test("the current and previous codes are accepted, in any case", () => {
+    const current = currentCheckInCode(secret, "event-1", now).code;
+    const previous = currentCheckInCode(secret, "event-1", minutesAgo(1)).code;
+    assert.ok(isValidCheckInCode(secret, "event-1", current, now));
+    assert.ok(isValidCheckInCode(secret, "event-1", ` ${previous.toLowerCase()} `, now));
+  });
+
+  test("older codes are rejected", () => {
+    const older = currentCheckInCode(secret, "event-1", minutesAgo(2)).code;
+    assert.ok(!isValidCheckInCode(secret, "event-1", older, now));
+  });
+
+  test("another event's code is rejected", () => {
+    const otherEvent = currentCheckInCode(secret, "event-2", now).code;
+    const otherSecret = currentCheckInCode(newCheckInSecret(), "event-1", now).code;
+    assert.ok(!isValidCheckInCode(secret, "event-1", otherEvent, now));
+    assert.ok(!isValidCheckInCode(secret, "event-1", otherSecret, now));
+  });
+
+  test("malformed codes are rejected", () => {
+    for (const code of [undefined, 123456, "", "ABC"]) {
+      assert.ok(!isValidCheckInCode(secret, "event-1", code, now));
+    }
+  });
+});
+
+describe("checkInWindow", () => {
+  test("opens an hour before the start and closes two hours after the end", () => {
+    const { opensAt, closesAt } = checkInWindow({ date: "2026-03-14", startTime: "07:00", endTime: "10:00" });
+    assert.equal(opensAt.toISOString(), "2026-03-13T22:00:00.000Z");
+    assert.equal(closesAt.toISOString(), "2026-03-14T04:00:00.000Z");
+  });
+
+  test("events without times start in the morning and last three hours", () => {
+    const { opensAt, closesAt } = checkInWindow({ date: "2026-03-14" });
+    assert.equal(opensAt.toISOString(), "2026-03-13T23:00:00.000Z");
+    assert.equal(closesAt.toISOString(), "2026-03-14T05:00:00.000Z");
+  });
+});
@@ -0,0 +1,62 @@
+// backend/test/eventImpact.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { eventLinkError } from "../lib/eventImpact.js";
+
+// A stand-in for the events collection: `events` by id, each with its
+// `attendance` and `participants` documents by uid
+function fakeEvents(events) {
+  const snap = (data) => ({ exists: data !== undefined, data: () => data });
+  return {
+    doc: (eventId) => ({
+      get: async () => snap(events[eventId]?.event),
+      collection: (name) => ({
+        doc: (uid) => ({ get: async () => snap(events[eventId]?.[name]?.[uid]) }),
+      }),
+    }),
+  };
+}
+
+describe("eventLinkError", () => {
+  const now = new Date("2026-03-14T12:00:00+08:00");
+  const events = fakeEvents({
+    past: {
+      event: { date: "2026-03-07" },
+      attendance: { "checked-in": { uid: "checked-in" } },
+      participants: {
+        going: { status: "going" },
+        waitlisted: { status: "waitlisted" },
+      },
+    },
+    today: { event: { date: "2026-03-14" }, participants: { going: { status: "going" } } },
+    upcoming: { event: { date: "2026-03-15" }, participants: { going: { status: "going" } } },
+    cancelled: { event: { date: "2026-03-07", status: "cancelled" }, participants: { going: { status: "going" } } },
+  });
+
+  test("attendees can link entries to a past event", async () => {
+    assert.equal(await eventLinkError(events, "past", "checked-in", now), null);
+    assert.equal(await eventLinkError(events, "past", "going", now), null);
+    assert.equal(await eventLinkError(events, "today", "going", now), null);
+  });
+
+  test("non-attendees can't", async () => {
+    for (const uid of ["waitlisted", "stranger"]) {
+      assert.equal(await eventLinkError(events, "past", uid, now), "Entries can only be linked to events you attended");
+    }
+  });
+
+  test("events that haven't happened yet or were cancelled can't be linked", async () => {
+    assert.equal(
+      await eventLinkError(events, "upcoming", "going", now),
+      "Entries can't be linked to an event that hasn't happened yet"
+    );
+    assert.equal(await eventLinkError(events, "cancelled", "going", now), "Entries can't be linked to a cancelled event");
+  });
+
+  test("rejects malformed and unknown event ids", async () => {
+    for (const eventId of [42, "", "past/participants"]) {
+      assert.equal(await eventLinkError(events, eventId, "going", now), "eventId must be an event id");
+    }
+    assert.equal(await eventLinkError(events, "missing", "going", now), "eventId must be an existing event");
+  });
+});
@@ -0,0 +1,32 @@
+// backend/test/eventTimes.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { eventStartsAt, isCalendarDate } from "../lib/eventTimes.js";
+
+describe("eventStartsAt", () => {
+  test("reads the date and start time as Manila time", () => {
+    assert.equal(eventStartsAt({ date: "2026-03-14", startTime: "07:30" }).toISOString(), "2026-03-13T23:30:00.000Z");
+  });
+
+  test("events without a start time start at 08:00", () => {
+    assert.equal(eventStartsAt({ date: "2026-03-14", startTime: null }).toISOString(), "2026-03-14T00:00:00.000Z");
+  });
+});
+
+describe("isCalendarDate", () => {
+  test("accepts real dates", () => {
+    for (const date of ["2026-03-14", "2028-02-29", "2026-12-31"]) assert.ok(isCalendarDate(date), date);
+  });
+
+  test("rejects days and months that don't exist", () => {
+    for (const date of ["2025-13-45", "2026-02-29", "2026-04-31", "2026-00-10", "2026-01-00"]) {
+      assert.ok(!isCalendarDate(date), date);
+    }
+  });
+
+  test("rejects other formats", () => {
+    for (const date of ["2026-3-14", "14/03/2026", "2026-03-14T00:00:00Z", "", null, undefined, 20260314]) {
+      assert.ok(!isCalendarDate(date), String(date));
+    }
+  });
+});
@@ -0,0 +1,53 @@
+// backend/test/export.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import { csvCell, streamExport } from "../lib/export.js";
+
+describe("csvCell", () => {
+  test("quotes cells with commas, quotes and line breaks", () => {
+    assert.equal(csvCell("Talon Uno"), "Talon Uno");
+    assert.equal(csvCell("Plastic, mixed"), '"Plastic, mixed"');
+    assert.equal(csvCell('the "big" one'), '"the ""big"" one"');
+    assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  });
+
+  test("writes empty cells for missing values and numbers as they are", () => {
+    assert.equal(csvCell(null), "");
+    assert.equal(csvCell(undefined), "");
+    assert.equal(csvCell(-12.5), "-12.5");
+  });
+
+  test("defuses text that spreadsheet apps would run as a formula", () => {
+    for (const text of ["=HYPERLINK(\"x\")", "+1", "-1", "@SUM(A1)", "\t=1", "\r=1"]) {
+      assert.ok(csvCell(text).replace(/^"/, "").startsWith("'"), JSON.stringify(text));
+    }
+    assert.equal(csvCell("=1+1"), "'=1+1");
+    assert.equal(csvCell("\r=1"), "\"'\r=1\"");
+  });
+});
+
+describe("streamExport", () => {
+  test("stops reading rows when the client disconnects mid-download", async () => {
+    // A response whose client stopped reading: nothing written ever drains
+    const res = Object.assign(new Writable({ highWaterMark: 1, write() {} }), { set() {} });
+    let read = 0;
+    let closed = false;
+    async function* rows() {
+      try {
+        for (;;) {
+          read += 1;
+          yield { type: "Plastic" };
+        }
+      } finally {
+        closed = true;
+      }
+    }
+
+    const done = streamExport(res, { format: "csv", filename: "export", columns: [{ key: "type", header: "Type" }], rows: rows() });
+    setImmediate(() => res.destroy());
+    await done;
+    assert.ok(closed);
+    assert.equal(read, 1);
+  });
+});
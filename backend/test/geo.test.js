@@ -0,0 +1,50 @@
+// backend/test/geo.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { validateCoordinates, toFeatureCollection } from "../lib/geo.js";
+
+describe("validateCoordinates", () => {
+  test("coordinates are optional", () => {
+    assert.equal(validateCoordinates(undefined, undefined), null);
+    assert.equal(validateCoordinates(null, null), null);
+    assert.equal(validateCoordinates(14.4445, 120.9939), null);
+    assert.equal(validateCoordinates(-90, 180), null);
+  });
+
+  test("latitude and longitude go together", () => {
+    for (const [latitude, longitude] of [[14.4445, undefined], [null, 120.9939]]) {
+      assert.equal(validateCoordinates(latitude, longitude), "latitude and longitude must be given together");
+    }
+  });
+
+  test("rejects out-of-range and non-numeric values", () => {
+    for (const latitude of [90.1, -91, "14.4445", NaN, true]) {
+      assert.equal(validateCoordinates(latitude, 120.9939), "latitude must be a number between -90 and 90");
+    }
+    for (const longitude of [180.5, -181, "120.9939", NaN, Infinity]) {
+      assert.equal(validateCoordinates(14.4445, longitude), "longitude must be a number between -180 and 180");
+    }
+  });
+});
+
+describe("toFeatureCollection", () => {
+  const docs = [
+    { id: "a", type: "Plastic", latitude: 14.4445, longitude: 120.9939 },
+    { id: "b", type: "Paper" },
+    { id: "c", type: "Glass", latitude: null, longitude: null },
+    { id: "d", type: "Metal", latitude: 14.45, longitude: 121.01 },
+  ];
+
+  test("makes point features, [longitude, latitude], from documents with coordinates", () => {
+    const collection = toFeatureCollection(docs, (d) => ({ type: d.type }));
+    assert.equal(collection.type, "FeatureCollection");
+    assert.deepEqual(collection.features, [
+      { type: "Feature", id: "a", geometry: { type: "Point", coordinates: [120.9939, 14.4445] }, properties: { type: "Plastic" } },
+      { type: "Feature", id: "d", geometry: { type: "Point", coordinates: [121.01, 14.45] }, properties: { type: "Metal" } },
+    ]);
+  });
+
+  test("an empty collection when nothing has coordinates", () => {
+    assert.deepEqual(toFeatureCollection([docs[1]], () => ({})), { type: "FeatureCollection", features: [] });
+  });
+});
@@ -0,0 +1,53 @@
+// backend/test/ical.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toICalendar } from "../lib/ical.js";
+
+const NOW = "2026-03-01T00:00:00.000Z";
+const event = (fields = {}) => ({ id: "e1", title: "Zapote Clean-up", date: "2026-03-07", barangay: "Zapote", ...fields });
+
+// The calendar's lines, with folded lines joined back together
+const linesOf = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+test("writes a calendar with CRLF line endings and the Manila time zone", () => {
+  const ics = toICalendar([event()], { name: "Clean-ups", now: NOW });
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  const lines = linesOf(ics);
+  assert.ok(lines.includes("X-WR-CALNAME:Clean-ups"));
+  assert.ok(lines.includes("TZID:Asia/Manila"));
+  assert.ok(lines.includes("UID:e1@clean-up-tracker"));
+  assert.ok(lines.includes("DTSTAMP:20260301T000000Z"));
+});
+
+test("events without a start time are all-day events", () => {
+  const lines = linesOf(toICalendar([event({ date: "2026-03-31" })], { now: NOW }));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20260331"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20260401"));
+});
+
+test("timed events use local times, with a default length when there is no end", () => {
+  const timed = linesOf(toICalendar([event({ startTime: "07:30", endTime: "10:00" })], { now: NOW }));
+  assert.ok(timed.includes("DTSTART;TZID=Asia/Manila:20260307T073000"));
+  assert.ok(timed.includes("DTEND;TZID=Asia/Manila:20260307T100000"));
+
+  const open = linesOf(toICalendar([event({ startTime: "07:30" })], { now: NOW }));
+  assert.ok(open.includes("DTEND;TZID=Asia/Manila:20260307T103000"));
+  const late = linesOf(toICalendar([event({ startTime: "22:00" })], { now: NOW }));
+  assert.ok(late.includes("DTEND;TZID=Asia/Manila:20260307T235900"));
+});
+
+test("escapes text values and marks cancelled events", () => {
+  const lines = linesOf(toICalendar([event({ title: "Clean-up; bring gloves, bags", description: "Line 1\nLine 2", status: "cancelled" })], { now: NOW }));
+  assert.ok(lines.includes("SUMMARY:Clean-up\\; bring gloves\\, bags"));
+  assert.ok(lines.includes("DESCRIPTION:Line 1\\nLine 2"));
+  assert.ok(lines.includes("STATUS:CANCELLED"));
+  assert.ok(lines.includes("LOCATION:Zapote\\, Las Piñas"));
+});
+
+test("folds lines longer than 75 octets", () => {
+  const ics = toICalendar([event({ description: "é".repeat(100) })], { now: NOW });
+  const physical = ics.split("\r\n");
+  assert.ok(physical.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(linesOf(ics).includes(`DESCRIPTION:${"é".repeat(100)}`));
+});
@@ -0,0 +1,46 @@
+// backend/test/imports.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeImportRow } from "../lib/imports.js";
+
+const row = (fields = {}) => ({ type: "plastic", quantity: "3", unit: "bags", barangay: "Brgy. Zapote", date: "2025-03-07", ...fields });
+
+test("normalizes a row into waste entry fields dated at Manila midnight", () => {
+  const { errors, fields } = normalizeImportRow(row());
+  assert.deepEqual(errors, []);
+  assert.equal(fields.type, "Plastic");
+  assert.equal(fields.quantity, 3);
+  assert.equal(fields.unit, "bags");
+  assert.equal(fields.location, "Zapote");
+  assert.equal(fields.createdAt, "2025-03-06T16:00:00.000Z");
+});
+
+test("accepts MM/DD/YYYY dates and single-digit ISO parts", () => {
+  assert.equal(normalizeImportRow(row({ date: "3/7/2025" })).fields.createdAt, "2025-03-06T16:00:00.000Z");
+  assert.equal(normalizeImportRow(row({ date: "2025-3-7" })).fields.createdAt, "2025-03-06T16:00:00.000Z");
+});
+
+test("reads a combined quantity column when there is no unit column", () => {
+  const { fields } = normalizeImportRow(row({ quantity: "2,5 kilos", unit: "" }));
+  assert.equal(fields.quantity, 2.5);
+  assert.equal(fields.unit, "kg");
+});
+
+test("normalizes unit spellings", () => {
+  assert.equal(normalizeImportRow(row({ unit: "sako" })).fields.unit, "sacks");
+});
+
+test("rejects dates that don't exist or are in the future", () => {
+  assert.deepEqual(normalizeImportRow(row({ date: "2025-02-30" })).errors, ["date must be YYYY-MM-DD or MM/DD/YYYY"]);
+  assert.deepEqual(normalizeImportRow(row({ date: "07.03.2025" })).errors, ["date must be YYYY-MM-DD or MM/DD/YYYY"]);
+  const nextYear = new Date().getUTCFullYear() + 1;
+  assert.deepEqual(normalizeImportRow(row({ date: `${nextYear}-01-01` })).errors, ["date is in the future"]);
+});
+
+test("collects every problem in a row", () => {
+  const { errors, fields } = normalizeImportRow({ type: "rocks", quantity: "many", unit: "", barangay: "Makati", date: "" });
+  assert.equal(fields, null);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^type must be one of/);
+  assert.equal(errors[3], "date must be YYYY-MM-DD or MM/DD/YYYY");
+});
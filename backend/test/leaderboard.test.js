@@ -0,0 +1,27 @@
+// backend/test/leaderboard.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { periodStart, rankBy } from "../lib/leaderboard.js";
+
+test("periodStart uses calendar periods in Manila time", () => {
+  // Sunday 1 March 2026, 23:30 in Manila
+  const now = new Date("2026-03-01T15:30:00Z");
+  assert.equal(periodStart("week", now), "2026-02-23");
+  assert.equal(periodStart("month", now), "2026-03-01");
+  assert.equal(periodStart("year", now), "2026-01-01");
+  assert.equal(periodStart("all", now), null);
+  // 00:30 on 1 March in Manila is still February in UTC
+  assert.equal(periodStart("month", new Date("2026-02-28T16:30:00Z")), "2026-03-01");
+});
+
+test("rankBy gives ties the same rank and skips the next", () => {
+  const rows = [
+    { id: "a", kg: 5 },
+    { id: "b", kg: 9 },
+    { id: "c", kg: 5 },
+    { id: "d", kg: 2 },
+    { id: "e", kg: 0 },
+  ];
+  assert.deepEqual(rankBy(rows, "kg").map((r) => [r.id, r.rank]), [["b", 1], ["a", 2], ["c", 2], ["d", 4]]);
+  assert.deepEqual(rankBy(rows, "kg", 2).map((r) => r.id), ["b", "a"]);
+});
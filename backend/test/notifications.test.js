@@ -0,0 +1,168 @@
+// backend/test/notifications.test.js
+import { test, describe, mock, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { FieldValue } from "firebase-admin/firestore";
+import { dueReminder, createNotifier } from "../lib/notifications.js";
+
+// 2026-03-14 08:00 in Manila
+const event = { title: "Zapote River Clean-up", date: "2026-03-14", startTime: "08:00", location: "Zapote" };
+const startsAt = new Date("2026-03-14T00:00:00.000Z").getTime();
+const hoursBefore = (hours) => new Date(startsAt - hours * 60 * 60 * 1000);
+
+// A stand-in for Firestore: `preferences` by uid, and `events` ({ id, data,
+// going }) for the reminder query. Created notifications end up in `created`.
+function fakeFirestore({ preferences = {}, events = [] } = {}) {
+  const created = new Map();
+  const updates = [];
+  let autoId = 0;
+  const snap = (data) => ({ exists: data !== undefined, data: () => data });
+  const query = (docs) => ({ where: () => query(docs), get: async () => ({ docs }) });
+
+  const collections = {
+    userPreferences: { doc: (uid) => ({ uid }) },
+    notifications: {
+      doc: (id = `auto-${autoId++}`) => ({
+        id,
+        create: async (data) => {
+          if (created.has(id)) throw Object.assign(new Error("ALREADY_EXISTS"), { code: 6 });
+          created.set(id, data);
+        },
+      }),
+    },
+    events: query(events.map(({ id, data, going = [] }) => ({
+      id,
+      data: () => data,
+      ref: {
+        collection: () => query(going.map((p) => ({ data: () => p }))),
+        update: async (fields) => updates.push({ id, fields }),
+      },
+    }))),
+  };
+
+  return {
+    created,
+    updates,
+    db: { getAll: async (...refs) => refs.map((ref) => snap(preferences[ref.uid])) },
+    getCollection: (name) => collections[name],
+  };
+}
+
+function fakeMailer() {
+  return { sent: [], async send(message) { this.sent.push(message); } };
+}
+
+describe("dueReminder", () => {
+  test("nothing is due more than 24 hours ahead", () => {
+    assert.equal(dueReminder(event, hoursBefore(30)), null);
+  });
+
+  test("the 24h reminder is due the day before, the 2h one on the day", () => {
+    assert.equal(dueReminder(event, hoursBefore(20)), "24h");
+    assert.equal(dueReminder({ ...event, remindersSent: ["24h"] }, hoursBefore(1)), "2h");
+  });
+
+  test("only the latest due reminder is sent", () => {
+    // An event created an hour before it starts only gets the 2h reminder
+    assert.equal(dueReminder(event, hoursBefore(1)), "2h");
+  });
+
+  test("reminders already sent are skipped", () => {
+    assert.equal(dueReminder({ ...event, remindersSent: ["24h"] }, hoursBefore(20)), null);
+    assert.equal(dueReminder({ ...event, remindersSent: ["2h"] }, hoursBefore(1)), null);
+  });
+
+  test("nothing is due once the event has started", () => {
+    assert.equal(dueReminder(event, new Date(startsAt)), null);
+    assert.equal(dueReminder(event, hoursBefore(-1)), null);
+  });
+
+  test("events without a start time are reminded about as starting at 08:00", () => {
+    assert.equal(dueReminder({ ...event, startTime: null }, hoursBefore(1)), "2h");
+  });
+});
+
+describe("notify", () => {
+  beforeEach(() => mock.restoreAll());
+
+  const notification = { category: "reminder", eventId: "event-1", params: { ...event, when: "24h" } };
+  const alice = { uid: "alice", email: "alice@example.com" };
+  const bob = { uid: "bob", email: "bob@example.com" };
+
+  test("creates a notification and emails each recipient", async () => {
+    const firestore = fakeFirestore();
+    const mailer = fakeMailer();
+    const { notify } = createNotifier({ ...firestore, mailer });
+
+    assert.equal(await notify([alice, bob], notification), 2);
+    assert.deepEqual([...firestore.created.values()].map((n) => n.uid).sort(), ["alice", "bob"]);
+    assert.deepEqual(mailer.sent.map((m) => m.to).sort(), ["alice@example.com", "bob@example.com"]);
+    assert.match(mailer.sent[0].subject, /^Reminder: Zapote River Clean-up is tomorrow$/);
+    assert.match(mailer.sent[0].text, /\/events\/event-1\n/);
+  });
+
+  test("skips recipients who muted the category", async () => {
+    const firestore = fakeFirestore({ preferences: { bob: { mutedNotifications: ["reminder"] } } });
+    const mailer = fakeMailer();
+    const { notify } = createNotifier({ ...firestore, mailer });
+
+    assert.equal(await notify([alice, bob], notification), 1);
+    assert.deepEqual([...firestore.created.values()].map((n) => n.uid), ["alice"]);
+    assert.deepEqual(mailer.sent.map((m) => m.to), ["alice@example.com"]);
+    assert.equal(await notify([bob], { ...notification, category: "eventChanged" }), 1);
+  });
+
+  test("emails in the recipient's language, unless they turned email off", async () => {
+    const firestore = fakeFirestore({ preferences: { alice: { language: "fil" }, bob: { emailNotifications: false } } });
+    const mailer = fakeMailer();
+    const { notify } = createNotifier({ ...firestore, mailer });
+
+    assert.equal(await notify([alice, bob], notification), 2);
+    assert.equal(mailer.sent.length, 1);
+    assert.equal(mailer.sent[0].to, "alice@example.com");
+    assert.match(mailer.sent[0].text, /Maaari mong i-mute/);
+  });
+
+  test("with a dedupeKey, notifies each recipient once however often it runs", async () => {
+    const firestore = fakeFirestore();
+    const mailer = fakeMailer();
+    const { notify } = createNotifier({ ...firestore, mailer });
+    const deduped = { ...notification, dedupeKey: "reminder-24h-event-1" };
+
+    assert.equal(await notify([alice], deduped), 1);
+    assert.equal(await notify([alice, bob], deduped), 1);
+    assert.deepEqual([...firestore.created.keys()].sort(), ["reminder-24h-event-1-alice", "reminder-24h-event-1-bob"]);
+    assert.equal(mailer.sent.length, 2);
+  });
+
+  test("logs email failures instead of throwing", async () => {
+    mock.method(console, "error", () => {});
+    const mailer = { send: async () => { throw new Error("SMTP down"); } };
+    const { notify } = createNotifier({ ...fakeFirestore(), mailer });
+
+    assert.equal(await notify([alice], notification), 1);
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe("sendDueReminders", () => {
+  test("reminds everyone going to events with a reminder due, once", async () => {
+    const firestore = fakeFirestore({
+      events: [
+        { id: "due", data: event, going: [{ uid: "alice", email: null }, { uid: "bob", email: null }] },
+        { id: "sent", data: { ...event, remindersSent: ["24h"] }, going: [{ uid: "alice", email: null }] },
+        { id: "cancelled", data: { ...event, status: "cancelled" }, going: [{ uid: "alice", email: null }] },
+        { id: "later", data: { ...event, date: "2026-03-15" }, going: [{ uid: "alice", email: null }] },
+      ],
+    });
+    const { sendDueReminders } = createNotifier({ ...firestore, mailer: fakeMailer() });
+
+    assert.equal(await sendDueReminders(hoursBefore(20)), 2);
+    assert.deepEqual([...firestore.created.keys()].sort(), [
+      `reminder-24h-due-${startsAt}-alice`,
+      `reminder-24h-due-${startsAt}-bob`,
+    ]);
+    assert.equal(firestore.updates.length, 1);
+    assert.equal(firestore.updates[0].id, "due");
+    assert.ok(firestore.updates[0].fields.remindersSent.isEqual(FieldValue.arrayUnion("24h")));
+  });
+});
@@ -0,0 +1,105 @@
+// backend/test/pagination.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseListParams,
+  startOfDay,
+  endOfDay,
+  paginate,
+} from "../lib/pagination.js";
+
+describe("parseListParams", () => {
+  test("applies defaults", () => {
+    assert.deepEqual(parseListParams({}), {
+      limit: DEFAULT_PAGE_SIZE,
+      cursor: null,
+      order: "desc",
+      from: null,
+      to: null,
+    });
+  });
+
+  test("rejects malformed parameters", () => {
+    assert.match(parseListParams({ limit: "0" }).error, /^limit/);
+    assert.match(parseListParams({ limit: String(MAX_PAGE_SIZE + 1) }).error, /^limit/);
+    assert.match(parseListParams({ limit: "2.5" }).error, /^limit/);
+    assert.match(parseListParams({ order: "up" }).error, /^order/);
+    assert.match(parseListParams({ from: "last week" }).error, /^from/);
+    assert.match(parseListParams({ to: "2026-13-01" }).error, /^to/);
+  });
+
+  test("passes valid parameters through", () => {
+    const params = parseListParams({ limit: "5", cursor: "abc", order: "asc", from: "2026-01-01", to: "2026-01-31" });
+    assert.deepEqual(params, { limit: 5, cursor: "abc", order: "asc", from: "2026-01-01", to: "2026-01-31" });
+  });
+});
+
+describe("day bounds", () => {
+  test("a bare date starts at Manila midnight", () => {
+    assert.equal(startOfDay("2026-03-10"), "2026-03-09T16:00:00.000Z");
+  });
+
+  test("a bare date ends at the last millisecond of the Manila day", () => {
+    assert.equal(endOfDay("2026-03-10"), "2026-03-10T15:59:59.999Z");
+  });
+
+  test("entries just inside and outside a Manila day compare correctly", () => {
+    const from = startOfDay("2026-03-10");
+    const to = endOfDay("2026-03-10");
+    const inDay = (createdAt) => createdAt >= from && createdAt <= to;
+
+    // 07:30 on the 10th in Manila is still the 9th in UTC
+    assert.ok(inDay(new Date("2026-03-10T07:30:00+08:00").toISOString()));
+    // 23:30 on the 10th in Manila is already the 10th, 15:30 UTC
+    assert.ok(inDay(new Date("2026-03-10T23:30:00+08:00").toISOString()));
+    assert.ok(!inDay(new Date("2026-03-09T23:59:59+08:00").toISOString()));
+    assert.ok(!inDay(new Date("2026-03-11T00:00:00+08:00").toISOString()));
+  });
+
+  test("full timestamps are used as given", () => {
+    assert.equal(startOfDay("2026-03-10T05:00:00.000Z"), "2026-03-10T05:00:00.000Z");
+    assert.equal(endOfDay("2026-03-10T05:00:00.000Z"), "2026-03-10T05:00:00.000Z");
+  });
+});
+
+describe("paginate", () => {
+  // A stand-in for a Firestore collection/query over `ids`, in order
+  function fakeCollection(ids) {
+    const doc = (id) => ({ id, exists: ids.includes(id), data: () => ({ n: ids.indexOf(id) }) });
+    const query = (start) => ({
+      startAfter: (snap) => query(ids.indexOf(snap.id) + 1),
+      limit: (n) => ({ get: async () => ({ docs: ids.slice(start, start + n).map(doc) }) }),
+    });
+    return { col: { doc: (id) => ({ get: async () => doc(id) }) }, query: query(0) };
+  }
+
+  test("returns a page and a cursor for the next one", async () => {
+    const { col, query } = fakeCollection(["a", "b", "c", "d", "e"]);
+    const first = await paginate(col, query, { limit: 2, cursor: null });
+    assert.deepEqual(first.items.map((i) => i.id), ["a", "b"]);
+    assert.equal(first.nextCursor, "b");
+
+    const last = await paginate(col, query, { limit: 3, cursor: "b" });
+    assert.deepEqual(last.items.map((i) => i.id), ["c", "d", "e"]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  test("with a filter, reads on until the page is full", async () => {
+    const { col, query } = fakeCollection(["a", "b", "c", "d", "e", "f", "g"]);
+    const vowelsAndG = (item) => ["a", "e", "g"].includes(item.id);
+    const first = await paginate(col, query, { limit: 2, cursor: null }, vowelsAndG);
+    assert.deepEqual(first.items.map((i) => i.id), ["a", "e"]);
+    assert.equal(first.nextCursor, "e");
+
+    const last = await paginate(col, query, { limit: 2, cursor: "e" }, vowelsAndG);
+    assert.deepEqual(last.items.map((i) => i.id), ["g"]);
+    assert.equal(last.nextCursor, null);
+  });
+
+  test("returns null for an unknown cursor", async () => {
+    const { col, query } = fakeCollection(["a"]);
+    assert.equal(await paginate(col, query, { limit: 2, cursor: "zzz" }), null);
+  });
+});
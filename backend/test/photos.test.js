@@ -0,0 +1,49 @@
+// backend/test/photos.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { processPhoto } from "../lib/photos.js";
+
+// A 40x30 phone photo taken sideways (orientation 6) in Las Piñas
+function phonePhoto() {
+  return sharp({ create: { width: 40, height: 30, channels: 3, background: "#16a34a" } })
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .withExif({
+      IFD0: { Make: "Phone", Model: "Camera 1", BodySerialNumber: "SN-12345" },
+      IFD3: { GPSLatitudeRef: "N", GPSLatitude: "14/1 26/1 30/1", GPSLongitudeRef: "E", GPSLongitude: "120/1 59/1 0/1" },
+    })
+    .toBuffer();
+}
+
+// Whether an EXIF block holds a GPS IFD pointer (tag 0x8825, in the block's byte order)
+function hasGps(exif) {
+  const tag = exif.subarray(6, 8).toString() === "II" ? [0x25, 0x88] : [0x88, 0x25];
+  return exif.includes(Buffer.from(tag));
+}
+
+describe("processPhoto", () => {
+  test("the test photo carries GPS EXIF", async () => {
+    const { exif } = await sharp(await phonePhoto()).metadata();
+    assert.ok(exif && hasGps(exif));
+  });
+
+  test("strips all EXIF metadata from the image and its thumbnail", async () => {
+    const { image, thumbnail } = await processPhoto(await phonePhoto());
+    for (const output of [image, thumbnail]) {
+      const metadata = await sharp(output).metadata();
+      assert.equal(metadata.format, "jpeg");
+      assert.equal(metadata.exif, undefined);
+      assert.ok(!output.includes(Buffer.from("Exif\0\0")));
+      assert.ok(!output.includes(Buffer.from("SN-12345")));
+    }
+  });
+
+  test("keeps the photo upright once the orientation tag is gone", async () => {
+    const { image, thumbnail } = await processPhoto(await phonePhoto());
+    const metadata = await sharp(image).metadata();
+    assert.deepEqual([metadata.width, metadata.height, metadata.orientation], [30, 40, undefined]);
+    const thumb = await sharp(thumbnail).metadata();
+    assert.deepEqual([thumb.width, thumb.height], [320, 320]);
+  });
+});
@@ -0,0 +1,32 @@
+// backend/test/profiles.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProfile, publicProfile, withoutEmails } from "../lib/profiles.js";
+
+test("validateProfile trims text, clears blanks and normalizes the barangay", () => {
+  const { errors, fields } = validateProfile({ displayName: "  Ana ", organization: " ", homeBarangay: "talon 2", visibility: "public" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(fields, { displayName: "Ana", organization: null, homeBarangay: "Talon Dos", visibility: "public" });
+});
+
+test("validateProfile reports invalid fields", () => {
+  const { errors } = validateProfile({ displayName: "x".repeat(41), homeBarangay: "Makati", visibility: "friends" });
+  assert.equal(errors.length, 3);
+});
+
+test("publicProfile hides private profiles and those without a name", () => {
+  assert.equal(publicProfile({ displayName: "Ana", visibility: "private" }), null);
+  assert.equal(publicProfile({ displayName: null, visibility: "public" }), null);
+  assert.deepEqual(publicProfile({ displayName: "Ana", visibility: "public", avatar: { path: "/a.jpg" } }), {
+    displayName: "Ana",
+    avatar: "/a.jpg",
+    homeBarangay: null,
+    organization: null,
+  });
+});
+
+test("withoutEmails strips every email field", () => {
+  const doc = { id: "1", submitterEmail: "a@example.com", reviewedByEmail: "b@example.com", email: "c@example.com", uid: "u1" };
+  assert.deepEqual(withoutEmails(doc), { id: "1", uid: "u1" });
+  assert.equal(doc.email, "c@example.com");
+});
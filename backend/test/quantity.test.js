@@ -0,0 +1,57 @@
+// backend/test/quantity.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  KG_PER_UNIT,
+  normalizeUnit,
+  roundKg,
+  validateQuantity,
+  toKilograms,
+  entryKilograms,
+  parseVolume,
+} from "../lib/quantity.js";
+
+test("normalizeUnit maps typed spellings to canonical units", () => {
+  assert.equal(normalizeUnit("Kilos"), "kg");
+  assert.equal(normalizeUnit(" sako "), "sacks");
+  assert.equal(normalizeUnit("pcs."), "pieces");
+  assert.equal(normalizeUnit("bag"), "bags");
+  assert.equal(normalizeUnit("litres"), null);
+  assert.equal(normalizeUnit(5), null);
+});
+
+test("validateQuantity accepts positive numbers with a known unit", () => {
+  assert.equal(validateQuantity(2.5, "kg"), null);
+  assert.equal(validateQuantity("2", "kg"), "quantity must be a number");
+  assert.equal(validateQuantity(NaN, "kg"), "quantity must be a number");
+  assert.equal(validateQuantity(0, "kg"), "quantity must be greater than 0");
+  assert.match(validateQuantity(1, "tons"), /^unit must be one of/);
+});
+
+test("toKilograms converts with the per-unit factors", () => {
+  assert.equal(toKilograms(3, "kg"), 3);
+  assert.equal(toKilograms(2, "bags"), 2 * KG_PER_UNIT.bags);
+  assert.equal(toKilograms(2, "tons"), 0);
+  assert.equal(toKilograms(undefined, "kg"), 0);
+});
+
+test("entryKilograms is 0 for legacy entries without a quantity", () => {
+  assert.equal(entryKilograms({ quantity: 4, unit: "sacks" }), 4 * KG_PER_UNIT.sacks);
+  assert.equal(entryKilograms({ volume: "a lot" }), 0);
+});
+
+test("roundKg rounds to two decimal places", () => {
+  assert.equal(roundKg(12.3456), 12.35);
+  assert.equal(roundKg(0.05 * 7), 0.35);
+});
+
+test("parseVolume understands legacy free-text volumes", () => {
+  assert.deepEqual(parseVolume("10 bags"), { quantity: 10, unit: "bags" });
+  assert.deepEqual(parseVolume("5kg"), { quantity: 5, unit: "kg" });
+  assert.deepEqual(parseVolume(" 3 Sako. "), { quantity: 3, unit: "sacks" });
+  assert.deepEqual(parseVolume("2,5 kilos"), { quantity: 2.5, unit: "kg" });
+  assert.equal(parseVolume("a lot"), null);
+  assert.equal(parseVolume("0 bags"), null);
+  assert.equal(parseVolume("10 drums"), null);
+  assert.equal(parseVolume(null), null);
+});
@@ -0,0 +1,112 @@
+// backend/test/recurrence.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_OCCURRENCES,
+  monthlyPosition,
+  validateRecurrence,
+  expandOccurrences,
+  storedRecurrence,
+} from "../lib/recurrence.js";
+
+describe("monthlyPosition", () => {
+  test("counts weeks from the start of the month", () => {
+    // 2026-03-14 is the second Saturday of March
+    assert.deepEqual(monthlyPosition("2026-03-14"), { weekday: 6, nth: 2 });
+    assert.deepEqual(monthlyPosition("2026-03-28"), { weekday: 6, nth: 4 });
+  });
+
+  test("a fifth weekday is the month's last", () => {
+    assert.deepEqual(monthlyPosition("2026-01-31"), { weekday: 6, nth: -1 });
+  });
+});
+
+describe("validateRecurrence", () => {
+  test("accepts a count or an until date", () => {
+    assert.equal(validateRecurrence({ frequency: "weekly", count: 4 }, "2026-03-14"), null);
+    assert.equal(validateRecurrence({ frequency: "monthly", until: "2026-12-31" }, "2026-03-14"), null);
+  });
+
+  test("rejects malformed rules", () => {
+    assert.match(validateRecurrence(null, "2026-03-14"), /must be an object/);
+    assert.match(validateRecurrence({ frequency: "daily", count: 4 }, "2026-03-14"), /^recurrence.frequency/);
+    assert.match(validateRecurrence({ frequency: "weekly" }, "2026-03-14"), /either a count or an until/);
+    assert.match(validateRecurrence({ frequency: "weekly", count: 4, until: "2026-12-31" }, "2026-03-14"), /either/);
+    assert.match(validateRecurrence({ frequency: "weekly", count: 1 }, "2026-03-14"), /^recurrence.count/);
+    assert.match(validateRecurrence({ frequency: "weekly", count: MAX_OCCURRENCES + 1 }, "2026-03-14"), /^recurrence.count/);
+    assert.match(validateRecurrence({ frequency: "weekly", until: "2026-03-14" }, "2026-03-14"), /^recurrence.until/);
+    assert.match(validateRecurrence({ frequency: "weekly", until: "2026-02-30" }, "2026-01-10"), /^recurrence.until/);
+  });
+});
+
+describe("expandOccurrences", () => {
+  test("repeats weekly and every two weeks on the same weekday", () => {
+    assert.deepEqual(expandOccurrences("2026-03-14", { frequency: "weekly", count: 3 }), [
+      "2026-03-14",
+      "2026-03-21",
+      "2026-03-28",
+    ]);
+    assert.deepEqual(expandOccurrences("2026-03-14", { frequency: "biweekly", count: 3 }), [
+      "2026-03-14",
+      "2026-03-28",
+      "2026-04-11",
+    ]);
+  });
+
+  test("repeats monthly on the same nth weekday", () => {
+    assert.deepEqual(expandOccurrences("2026-03-14", { frequency: "monthly", count: 3 }), [
+      "2026-03-14",
+      "2026-04-11",
+      "2026-05-09",
+    ]);
+  });
+
+  test("a start on a fifth weekday repeats on the last one, even in shorter months", () => {
+    // The last Saturdays of January, February and March
+    assert.deepEqual(expandOccurrences("2026-01-31", { frequency: "monthly", count: 3 }), [
+      "2026-01-31",
+      "2026-02-28",
+      "2026-03-28",
+    ]);
+  });
+
+  test("monthly series carry on into the next year", () => {
+    // The first Tuesdays of November, December and January
+    assert.deepEqual(expandOccurrences("2026-11-03", { frequency: "monthly", count: 3 }), [
+      "2026-11-03",
+      "2026-12-01",
+      "2027-01-05",
+    ]);
+  });
+
+  test("stops on the until date", () => {
+    assert.deepEqual(expandOccurrences("2026-03-14", { frequency: "weekly", until: "2026-03-27" }), [
+      "2026-03-14",
+      "2026-03-21",
+    ]);
+  });
+
+  test("caps long series", () => {
+    const dates = expandOccurrences("2026-03-14", { frequency: "weekly", until: "2030-12-31" });
+    assert.equal(dates.length, MAX_OCCURRENCES);
+    assert.equal(dates.at(-1), "2027-03-06");
+  });
+});
+
+describe("storedRecurrence", () => {
+  test("stores the weekday, and for monthly series which one of the month", () => {
+    assert.deepEqual(storedRecurrence({ frequency: "weekly", count: 4 }, "2026-03-14"), {
+      frequency: "weekly",
+      count: 4,
+      until: null,
+      weekday: 6,
+    });
+    assert.deepEqual(storedRecurrence({ frequency: "monthly", until: "2026-12-31" }, "2026-01-31"), {
+      frequency: "monthly",
+      count: null,
+      until: "2026-12-31",
+      weekday: 6,
+      nth: -1,
+    });
+  });
+});
@@ -0,0 +1,33 @@
+// backend/test/rsvp.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { joinStatus, promotesOnLeave } from "../lib/rsvp.js";
+
+describe("joinStatus", () => {
+  test("participants go until the event is full", () => {
+    assert.equal(joinStatus({ capacity: 10, attendeeCount: 9 }), "going");
+    assert.equal(joinStatus({ capacity: 10, attendeeCount: 10 }), "waitlisted");
+  });
+
+  test("events without a capacity never fill up", () => {
+    assert.equal(joinStatus({ capacity: null, attendeeCount: 500 }), "going");
+    assert.equal(joinStatus({}), "going");
+  });
+});
+
+describe("promotesOnLeave", () => {
+  test("a leave frees a spot for the waitlist", () => {
+    assert.ok(promotesOnLeave({ capacity: 10, attendeeCount: 10 }, true));
+    assert.ok(promotesOnLeave({ capacity: null, attendeeCount: 10 }, true));
+  });
+
+  test("nobody is promoted from an empty waitlist", () => {
+    assert.ok(!promotesOnLeave({ capacity: 10, attendeeCount: 10 }, false));
+  });
+
+  test("nobody is promoted while the event is still over capacity", () => {
+    // The organizer lowered the capacity from 10 to 8
+    assert.ok(!promotesOnLeave({ capacity: 8, attendeeCount: 10 }, true));
+    assert.ok(!promotesOnLeave({ capacity: 8, attendeeCount: 9 }, true));
+  });
+});
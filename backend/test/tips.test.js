@@ -0,0 +1,43 @@
+// backend/test/tips.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { validateTipFields, isPublishedTip, sortTips } from "../lib/tips.js";
+
+describe("validateTipFields", () => {
+  const tip = { title: " Compost at home ", content: "Start with **leaves**.", category: "composting" };
+
+  test("requires title, content and category for new tips", () => {
+    const { errors, fields } = validateTipFields(tip);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(fields, { title: "Compost at home", content: "Start with **leaves**.", category: "composting", translations: {} });
+    assert.equal(validateTipFields({}).errors.length, 3);
+  });
+
+  test("only checks the fields given in a partial update", () => {
+    assert.deepEqual(validateTipFields({ published: true }, { partial: true }), { errors: [], fields: { published: true } });
+    assert.deepEqual(validateTipFields({ order: 1.5 }, { partial: true }).errors, ["order must be an integer"]);
+  });
+
+  test("checks translations and drops blank ones", () => {
+    const blank = validateTipFields({ ...tip, translations: { fil: { title: " ", content: "" } } });
+    assert.deepEqual(blank.fields.translations, {});
+    assert.match(validateTipFields({ ...tip, translations: { es: { title: "a", content: "b" } } }).errors[0], /^translations may only/);
+    assert.match(validateTipFields({ ...tip, translations: { fil: { title: "Pag-compost" } } }).errors[0], /^translations.fil needs/);
+  });
+});
+
+test("tips without a published field count as published", () => {
+  assert.ok(isPublishedTip({}));
+  assert.ok(isPublishedTip({ published: true }));
+  assert.ok(!isPublishedTip({ published: false }));
+});
+
+test("sortTips orders by order, then oldest first", () => {
+  const tips = [
+    { id: "c", order: 1, createdAt: "2026-01-02" },
+    { id: "b", order: 1, createdAt: "2026-01-01" },
+    { id: "a", order: 0, createdAt: "2026-01-03" },
+    { id: "legacy" },
+  ];
+  assert.deepEqual(sortTips(tips).map((t) => t.id), ["legacy", "a", "b", "c"]);
+});
@@ -0,0 +1,50 @@
+// backend/test/verification.test.js
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { entryStatus, isPublicEntry, countsTowardsTotals, detectOutliers } from "../lib/verification.js";
+
+describe("entry status", () => {
+  test("entries from before the review workflow count as approved", () => {
+    assert.equal(entryStatus({}), "approved");
+    assert.equal(entryStatus({ status: "pending" }), "pending");
+  });
+
+  test("only approved entries are public", () => {
+    assert.ok(isPublicEntry({}));
+    assert.ok(isPublicEntry({ status: "approved" }));
+    assert.ok(!isPublicEntry({ status: "pending" }));
+    assert.ok(!isPublicEntry({ status: "rejected" }));
+  });
+
+  test("pending entries count towards totals only when asked for", () => {
+    assert.ok(countsTowardsTotals({ status: "approved" }));
+    assert.ok(!countsTowardsTotals({ status: "pending" }));
+    assert.ok(countsTowardsTotals({ status: "pending" }, true));
+    assert.ok(!countsTowardsTotals({ status: "rejected" }, true));
+  });
+});
+
+describe("detectOutliers", () => {
+  const history = [4, 5, 5, 6, 10];
+
+  test("entries in line with the history aren't flagged", () => {
+    assert.deepEqual(detectOutliers(12, { userHistory: history, barangayHistory: history, barangay: "Zapote" }), []);
+  });
+
+  test("flags entries many times the submitter's or barangay's median", () => {
+    assert.deepEqual(detectOutliers(50, { userHistory: history, barangayHistory: [20, 20, 20, 20, 20], barangay: "Zapote" }), [
+      "10× this volunteer's usual entry (median 5 kg)",
+    ]);
+    assert.deepEqual(detectOutliers(50, { barangayHistory: history, barangay: "Zapote" }), [
+      "10× the usual entry in Zapote (median 5 kg)",
+    ]);
+  });
+
+  test("needs enough history to compare against", () => {
+    assert.deepEqual(detectOutliers(50, { userHistory: [1, 1, 1, 1] }), []);
+  });
+
+  test("always flags very heavy entries", () => {
+    assert.deepEqual(detectOutliers(501), ["More than 500 kg in a single entry"]);
+  });
+});
@@ -1,4 +1,5 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Routes, Route, Navigate, Link, NavLink, useLocation, useParams, useSearchParams } from 'react-router-dom';
 import { where, orderBy,} from "firebase/firestore";
 // --- Firebase Imports ---
 import { initializeApp } from 'firebase/app';
@@ -8,20 +9,62 @@ import {
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
   signOut,
-  signInAnonymously
+  signInAnonymously,
+  connectAuthEmulator
 } from 'firebase/auth';
 import {
   getFirestore,
   collection,
-  addDoc,
   onSnapshot,
   query,
   doc,
   setDoc,
-  serverTimestamp,
   setLogLevel
 } from 'firebase/firestore';
 
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+import L from 'leaflet';
+import {
+  MapContainer,
+  TileLayer,
+  Marker,
+  CircleMarker,
+  Rectangle,
+  Popup,
+  useMapEvents
+} from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import 'leaflet/dist/leaflet.css';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.css';
+import 'react-leaflet-cluster/dist/assets/MarkerCluster.Default.css';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import Papa from 'papaparse';
+import QRCode from 'qrcode';
+import ReactMarkdown from 'react-markdown';
+import {
+  PENDING_WASTE_EVENT,
+  createPendingEntry,
+  savePendingEntry,
+  removePendingEntry,
+  listPendingEntries,
+} from './offlineQueue.js';
+import { api, apiUrl, downloadFile } from './api.js';
+import { subscribeToasts, toast, toastError } from './toast.js';
+import { LANGUAGES, translate, useI18n } from './i18n.js';
+
 // --- Local Firebase Config ---
 import firebaseConfig from './firebaseConfig.js';
 
@@ -30,12 +73,32 @@ const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
 const db = getFirestore(app);
 
+// Point Auth at the local emulator when running against it (e.g. "127.0.0.1:9099")
+if (process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_HOST) {
+  connectAuthEmulator(auth, `http://${process.env.REACT_APP_FIREBASE_AUTH_EMULATOR_HOST}`);
+}
+
 // Use the projectId as a safe and unique app ID
 const appId = firebaseConfig.projectId || 'default-clean-up-app';
 
 // Enable detailed logging for Firestore
 setLogLevel('debug');
 
+// --- Map Configuration ---
+// Tiles come from OpenStreetMap unless REACT_APP_MAP_TILE_URL points elsewhere
+// (e.g. a local tile server in development)
+const MAP_TILE_URL = process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_ATTRIBUTION = process.env.REACT_APP_MAP_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const LAS_PINAS_CENTER = [14.4445, 120.9939];
+
+// Bundlers break Leaflet's default icon URL detection, so point it at the bundled images
+L.Icon.Default.mergeOptions({
+  iconUrl: markerIcon,
+  iconRetinaUrl: markerIcon2x,
+  shadowUrl: markerShadow,
+});
+
 // --- Firebase Collection References ---
 const getCollectionRef = (collectionName) => {
   return collection(db, `artifacts/${appId}/public/data/${collectionName}`);
@@ -43,9 +106,9 @@ const getCollectionRef = (collectionName) => {
 
 const eventsColRef = getCollectionRef('events');
 const wasteColRef = getCollectionRef('wasteEntries');
-const tipsColRef = getCollectionRef('tips');
 
 // --- Helper Functions ---
+
 function debounce(func, wait) {
   let timeout;
   return function executedFunction(...args) {
@@ -58,52 +121,429 @@ function debounce(func, wait) {
   };
 }
 
+// Canonical barangay names, fetched once and shared by every picker
+let barangaysPromise = null;
+
+function useBarangays() {
+  const [barangays, setBarangays] = useState([]);
+
+  useEffect(() => {
+    if (!barangaysPromise) {
+      barangaysPromise = api.get("/api/barangays")
+        .then((data) => data.barangays)
+        .catch((error) => {
+          console.error("Error fetching barangays:", error);
+          barangaysPromise = null; // retry on the next mount
+          return [];
+        });
+    }
+    let cancelled = false;
+    barangaysPromise.then((list) => {
+      if (!cancelled) setBarangays(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return barangays;
+}
+
+// Recurrence options for the event form ({ frequencies, maxOccurrences }),
+// fetched once and shared like the barangay list
+let recurrenceOptionsPromise = null;
+
+function useRecurrenceOptions() {
+  const [options, setOptions] = useState({ frequencies: [], maxOccurrences: null });
+
+  useEffect(() => {
+    if (!recurrenceOptionsPromise) {
+      recurrenceOptionsPromise = api.get("/api/events/recurrence").catch((error) => {
+        console.error("Error fetching recurrence options:", error);
+        recurrenceOptionsPromise = null; // retry on the next mount
+        return { frequencies: [], maxOccurrences: null };
+      });
+    }
+    let cancelled = false;
+    recurrenceOptionsPromise.then((data) => {
+      if (!cancelled) setOptions(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return options;
+}
+
+// Public profiles by uid, fetched once and shared by every component. Lookups
+// made in the same tick are batched into /api/profiles requests.
+const PROFILE_BATCH_SIZE = 100;
+const profileCache = new Map();
+let profileQueue = [];
+
+function fetchPublicProfile(uid) {
+  if (!profileCache.has(uid)) {
+    profileCache.set(uid, new Promise((resolve) => {
+      if (profileQueue.length === 0) setTimeout(flushProfileQueue, 0);
+      profileQueue.push({ uid, resolve });
+    }));
+  }
+  return profileCache.get(uid);
+}
+
+async function flushProfileQueue() {
+  const queue = profileQueue;
+  profileQueue = [];
+  for (let start = 0; start < queue.length; start += PROFILE_BATCH_SIZE) {
+    const batch = queue.slice(start, start + PROFILE_BATCH_SIZE);
+    let profiles = {};
+    try {
+      ({ profiles } = await api.get(`/api/profiles?ids=${batch.map(({ uid }) => uid).join(',')}`));
+    } catch (error) {
+      console.error("Error fetching profiles:", error);
+      batch.forEach(({ uid }) => profileCache.delete(uid)); // retry on the next lookup
+    }
+    batch.forEach(({ uid, resolve }) => resolve(profiles[uid] || null));
+  }
+}
+
+// --- Offline Waste Queue ---
+
+// Failures where the server refused the request itself; retrying won't help
+const isPermanentFailure = (error) => ["validation", "forbidden", "notFound", "conflict"].includes(error.kind);
+
+/**
+ * Sends a queue item (see offlineQueue.js) to the backend: the entry, then its
+ * photos, both with idempotency keys so a retry after a dropped connection
+ * can't duplicate them. Resolves with { status, entryId, error, photosFailed }
+ * where status is "sent", "rejected" (permanent) or "retry" (try again later).
+ */
+async function deliverWasteEntry(item, { queued = false } = {}) {
+  let entryId = item.entryId;
+  try {
+    if (!entryId) {
+      const body = queued ? { ...item.payload, recordedAt: item.queuedAt } : item.payload;
+      ({ id: entryId } = await api.post("/api/waste", body, { headers: { "Idempotency-Key": item.id } }));
+    }
+
+    const { before = [], after = [] } = item.photos || {};
+    if (before.length + after.length > 0) {
+      const formData = new FormData();
+      before.forEach((file) => formData.append("before", file));
+      after.forEach((file) => formData.append("after", file));
+      try {
+        await api.post(`/api/waste/${entryId}/photos`, formData, { headers: { "Idempotency-Key": `${item.id}-photos` } });
+      } catch (error) {
+        // The entry itself is saved; only give up on photos the server refuses
+        if (!isPermanentFailure(error)) throw error;
+        console.error("Error uploading photos:", error);
+        return { status: "sent", entryId, photosFailed: true };
+      }
+    }
+    return { status: "sent", entryId };
+  } catch (error) {
+    if (!entryId && isPermanentFailure(error)) return { status: "rejected", error: error.message };
+    // Offline, or a transient server error
+    return { status: "retry", entryId, error: error.message };
+  }
+}
+
+let syncInFlight = null;
+
+// Sends the user's queued entries in order, stopping at the first that has to wait
+function syncPendingWaste(uid) {
+  if (!syncInFlight) {
+    syncInFlight = (async () => {
+      let sent = 0;
+      for (const item of await listPendingEntries(uid)) {
+        if (item.status !== "pending") continue;
+        const result = await deliverWasteEntry(item, { queued: true });
+        if (result.status === "sent") {
+          await removePendingEntry(item.id);
+          sent += 1;
+        } else if (result.status === "rejected") {
+          await savePendingEntry({ ...item, status: "rejected", error: result.error });
+        } else {
+          await savePendingEntry({ ...item, entryId: result.entryId || null, error: result.error });
+          break;
+        }
+      }
+      if (sent > 0) window.dispatchEvent(new Event("waste-updated"));
+      return sent;
+    })().finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+}
+
+// Keeps retrying queued entries: on sign-in, whenever connectivity returns and once a minute
+function usePendingWasteSync(user) {
+  useEffect(() => {
+    if (!user) return;
+    const sync = () => {
+      if (!navigator.onLine) return;
+      syncPendingWaste(user.uid)
+        .then((sent) => {
+          if (sent > 0) toast.success(translate("sync.synced", { count: sent }));
+        })
+        .catch((error) => console.error("Error syncing queued entries:", error));
+    };
+    sync();
+    const interval = setInterval(sync, 60000);
+    window.addEventListener("online", sync);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("online", sync);
+    };
+  }, [user]);
+}
+
 // --- React Components ---
 
+/**
+ * Toaster (renders the toasts raised through toast.js)
+ */
+const TOAST_STYLES = {
+  success: 'bg-emerald-600',
+  info: 'bg-blue-600',
+  warning: 'bg-amber-500',
+  error: 'bg-red-600',
+};
+
+function Toaster() {
+  const [toasts, setToasts] = useState([]);
+
+  useEffect(() => {
+    const timers = new Set();
+    const dismiss = (id) => setToasts((list) => list.filter((t) => t.id !== id));
+    const unsubscribe = subscribeToasts((next) => {
+      setToasts((list) => [...list, next].slice(-4));
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        dismiss(next.id);
+      }, next.duration);
+      timers.add(timer);
+    });
+    return () => {
+      unsubscribe();
+      timers.forEach(clearTimeout);
+    };
+  }, []);
+
+  return (
+    <div className="fixed z-[1100] flex flex-col items-end space-y-2 bottom-4 right-4" aria-live="polite">
+      {toasts.map((t) => (
+        <div
+          key={t.id}
+          role={t.type === 'error' ? 'alert' : 'status'}
+          onClick={() => setToasts((list) => list.filter((item) => item.id !== t.id))}
+          className={`max-w-sm px-4 py-3 text-sm text-white rounded-lg shadow-lg cursor-pointer ${TOAST_STYLES[t.type]}`}
+        >
+          {t.message}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Export Buttons (CSV / Excel download of a list endpoint's /export)
+ */
+function ExportButtons({ path, filters = {} }) {
+  const { t } = useI18n();
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const params = new URLSearchParams(
+        Object.entries({ ...filters, format }).filter(([, value]) => value)
+      );
+      await downloadFile(`${path}?${params}`);
+    } catch (error) {
+      toastError(t("export.failed"), error);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex space-x-2">
+      {[['csv', t('export.csv')], ['xlsx', t('export.excel')]].map(([format, label]) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => handleExport(format)}
+          disabled={exporting !== null}
+          className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200 disabled:text-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400"
+        >
+          {exporting === format ? t('export.exporting') : label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Roles come from the `role` custom claim; users without one are volunteers
+const ROLES = ['admin', 'organizer', 'volunteer'];
+const canOrganize = (role) => role === 'organizer' || role === 'admin';
+
+// URL of each top-level page, in navigation order
+const PAGE_PATHS = {
+  home: '/',
+  events: '/events',
+  dashboard: '/dashboard',
+  map: '/map',
+  awareness: '/awareness',
+  leaderboard: '/leaderboard',
+  review: '/review',
+  import: '/import',
+  users: '/admin/users',
+  tips: '/admin/tips',
+};
+
+// Pages restricted to some roles (all others are open to every signed-in user)
+const PAGE_ROLES = {
+  review: ['organizer', 'admin'],
+  import: ['organizer', 'admin'],
+  users: ['admin'],
+  tips: ['admin'],
+};
+
 /**
  * Main Application Component
  */
 export default function App() {
+  const { t, setLanguage } = useI18n();
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [page, setPage] = useState('home');
+  const location = useLocation();
+  usePendingWasteSync(user);
+
+  // Start each page at the top, as a full page load would
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [location.pathname]);
 
   // Effect for handling authentication state
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
+      setRole(null);
+      // The user's role (e.g. "admin") is carried as a custom claim on the ID token
+      if (currentUser) {
+        currentUser.getIdTokenResult()
+          .then((result) => setRole(ROLES.includes(result.claims.role) ? result.claims.role : 'volunteer'))
+          .catch((error) => console.error("Error reading user role:", error));
+        // Follow the language the user picked on another device, if any
+        if (!currentUser.isAnonymous) {
+          api.get('/api/me/preferences')
+            .then((preferences) => preferences.language && setLanguage(preferences.language))
+            .catch((error) => console.error("Error loading preferences:", error));
+        }
+      }
       if (!isAuthReady) {
         setIsAuthReady(true);
       }
     });
     return () => unsubscribe();
-  }, [isAuthReady]);
+  }, [isAuthReady, setLanguage]);
 
   // Loading screen
   if (!isAuthReady) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100">
-        <div className="text-xl font-semibold text-gray-700">Loading Clean-Up Tracker...</div>
+        <div className="text-xl font-semibold text-gray-700">{t('app.loading')}</div>
       </div>
     );
   }
 
-  // If no "real" user, show Auth Page
+  // If no "real" user, every URL leads to the login page, which remembers
+  // where the user was going so they land there once signed in
   if (!user || user.isAnonymous) {
-    return <AuthPage />;
+    return (
+      <>
+        <Routes>
+          <Route path="/login" element={<AuthPage />} />
+          {/* Impact reports are meant to be shared beyond the app's users */}
+          <Route path="/events/:eventId/impact" element={<main className="min-h-screen p-4 bg-gray-50 md:p-8"><EventImpactPage /></main>} />
+          <Route path="*" element={<Navigate to="/login" replace state={{ from: location }} />} />
+        </Routes>
+        <Toaster />
+      </>
+    );
   }
 
   // If user is logged in, show the main app
   return (
     <div className="min-h-screen bg-gray-50 font-inter">
-      <Navbar user={user} setPage={setPage} />
+      <Navbar user={user} role={role} />
       <main className="p-4 mx-auto max-w-7xl md:p-8">
-        {page === 'home' && <HomePage setPage={setPage} />}
-        {page === 'events' && <EventsPage user={user} />}
-        {page === 'dashboard' && <DashboardPage user={user} />}
-        {page === 'awareness' && <AwarenessPage user={user} />}
+        <Routes>
+          <Route path="/login" element={<Navigate to={location.state?.from || '/'} replace />} />
+          <Route path={PAGE_PATHS.home} element={<HomePage />} />
+          <Route path={PAGE_PATHS.events} element={<EventsPage user={user} role={role} />} />
+          <Route path="/events/:eventId" element={<EventDetailPage user={user} role={role} />} />
+          <Route path="/events/:eventId/check-in" element={<CheckInPage />} />
+          <Route path="/events/:eventId/impact" element={<EventImpactPage />} />
+          <Route path={PAGE_PATHS.dashboard} element={<DashboardPage user={user} role={role} />} />
+          <Route path="/entries/:entryId" element={<EntryDetailPage />} />
+          <Route path={PAGE_PATHS.map} element={<MapPage user={user} />} />
+          <Route path={PAGE_PATHS.awareness} element={<AwarenessPage user={user} />} />
+          <Route path={PAGE_PATHS.leaderboard} element={<LeaderboardPage />} />
+          <Route path="/profile" element={<ProfilePage user={user} />} />
+          <Route path={PAGE_PATHS.review} element={<RoleGate page="review" role={role}><ReviewPage user={user} role={role} /></RoleGate>} />
+          <Route path={PAGE_PATHS.import} element={<RoleGate page="import" role={role}><ImportPage /></RoleGate>} />
+          <Route path={PAGE_PATHS.users} element={<RoleGate page="users" role={role}><AdminUsersPage user={user} /></RoleGate>} />
+          <Route path={PAGE_PATHS.tips} element={<RoleGate page="tips" role={role}><TipsAdminPage /></RoleGate>} />
+          <Route path="*" element={<NotFound />} />
+        </Routes>
       </main>
       <Footer />
+      <Toaster />
+    </div>
+  );
+}
+
+/**
+ * Role Gate (role-restricted pages wait for the role, then refuse anyone else)
+ */
+function RoleGate({ page, role, children }) {
+  if (!role) return null;
+  return PAGE_ROLES[page].includes(role) ? children : <NotAuthorized />;
+}
+
+/**
+ * Not Authorized (shown on pages the user's role can't open)
+ */
+function NotAuthorized() {
+  const { t } = useI18n();
+  return <MessagePage title={t('notAuthorized.title')} message={t('notAuthorized.message')} />;
+}
+
+/**
+ * Not Found (unknown URLs, and links to events or entries that no longer exist)
+ */
+function NotFound() {
+  const { t } = useI18n();
+  return <MessagePage title={t('notFound.title')} message={t('notFound.message')} />;
+}
+
+function MessagePage({ title, message }) {
+  const { t } = useI18n();
+  return (
+    <div className="p-8 text-center bg-white rounded-xl shadow-lg">
+      <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+      <p className="mt-2 text-gray-600">{message}</p>
+      <Link
+        to="/"
+        className="inline-block px-6 py-2 mt-4 font-medium text-white bg-emerald-600 rounded-full hover:bg-emerald-700"
+      >
+        {t('notAuthorized.backHome')}
+      </Link>
     </div>
   );
 }
@@ -112,6 +552,7 @@ export default function App() {
  * Authentication Page (Login/Signup)
  */
 function AuthPage() {
+  const { t, language, setLanguage } = useI18n();
   const [isLogin, setIsLogin] = useState(true);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
@@ -137,21 +578,21 @@ function AuthPage() {
     } catch (err) {
       switch (err.code) {
         case 'auth/invalid-email':
-          setError('Please enter a valid email address.');
+          setError(t('auth.errors.invalidEmail'));
           break;
         case 'auth/user-not-found':
         case 'auth/wrong-password':
         case 'auth/invalid-credential':
-          setError('Invalid email or password.');
+          setError(t('auth.errors.invalidCredentials'));
           break;
         case 'auth/email-already-in-use':
-          setError('An account with this email already exists. Please log in.');
+          setError(t('auth.errors.emailInUse'));
           break;
         case 'auth/weak-password':
-          setError('Password must be at least 6 characters long.');
+          setError(t('auth.errors.weakPassword'));
           break;
         default:
-          setError('Failed to sign in. Please try again.');
+          setError(t('auth.errors.generic'));
       }
       console.error("Auth error:", err.message, err.code);
     } finally {
@@ -162,19 +603,22 @@ function AuthPage() {
   return (
     <div className="flex items-center justify-center min-h-screen bg-gray-100">
       <div className="w-full max-w-md p-8 mx-4 bg-white rounded-xl shadow-2xl">
+        <div className="flex justify-end mb-2">
+          <LanguageSwitcher language={language} onChange={setLanguage} />
+        </div>
         <div className="flex items-center justify-center mb-6 space-x-2">
           <span className="text-4xl font-bold text-emerald-600">🌿</span>
-          <h1 className="text-2xl font-bold text-gray-800">Clean-Up Tracker</h1>
+          <h1 className="text-2xl font-bold text-gray-800">{t('app.name')}</h1>
         </div>
         <h2 className="text-xl font-semibold text-center text-gray-700">
-          {isLogin ? 'Welcome Back!' : 'Create Your Account'}
+          {isLogin ? t('auth.welcomeBack') : t('auth.createAccount')}
         </h2>
         <p className="mb-6 text-sm text-center text-gray-500">
-          {isLogin ? 'Log in to continue' : 'Join the community'}
+          {isLogin ? t('auth.loginPrompt') : t('auth.signupPrompt')}
         </p>
         <form onSubmit={handleSubmit} className="space-y-4">
           <div>
-            <label className="block text-sm font-medium text-gray-700">Email</label>
+            <label className="block text-sm font-medium text-gray-700">{t('auth.email')}</label>
             <input
               type="email"
               value={email}
@@ -184,7 +628,7 @@ function AuthPage() {
             />
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700">Password</label>
+            <label className="block text-sm font-medium text-gray-700">{t('auth.password')}</label>
             <input
               type="password"
               value={password}
@@ -202,7 +646,7 @@ function AuthPage() {
             disabled={loading}
             className="w-full px-6 py-3 font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 disabled:bg-gray-400 disabled:cursor-not-allowed focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
           >
-            {loading ? 'Loading...' : (isLogin ? 'Log In' : 'Sign Up')}
+            {loading ? t('common.loading') : (isLogin ? t('auth.logIn') : t('auth.signUp'))}
           </button>
         </form>
         <button
@@ -212,7 +656,7 @@ function AuthPage() {
           }}
           className="w-full mt-4 text-sm text-center text-emerald-600 hover:text-emerald-800"
         >
-          {isLogin ? 'Need an account? Sign Up' : 'Already have an account? Log In'}
+          {isLogin ? t('auth.needAccount') : t('auth.haveAccount')}
         </button>
       </div>
     </div>
@@ -223,13 +667,19 @@ function AuthPage() {
 /**
  * Navigation Bar
  */
-function Navbar({ user, setPage }) {
-  const navItems = [
-    { name: 'Home', page: 'home' },
-    { name: 'Events', page: 'events' },
-    { name: 'Dashboard', page: 'dashboard' },
-    { name: 'Awareness', page: 'awareness' },
-  ];
+function Navbar({ user, role }) {
+  const { t, language, setLanguage } = useI18n();
+  const navItems = Object.keys(PAGE_PATHS).filter((page) => !PAGE_ROLES[page] || PAGE_ROLES[page].includes(role));
+
+  // The choice is kept on this device right away and saved to the account for other devices
+  const handleLanguageChange = async (next) => {
+    setLanguage(next);
+    try {
+      await api.put('/api/me/preferences', { language: next });
+    } catch (error) {
+      console.error("Error saving language preference:", error);
+    }
+  };
 
   const handleLogout = async () => {
     try {
@@ -242,32 +692,43 @@ function Navbar({ user, setPage }) {
   return (
     <nav className="sticky top-0 z-50 bg-white shadow-md">
       <div className="flex flex-wrap items-center justify-between p-4 mx-auto max-w-7xl">
-        <div className="flex items-center space-x-2 cursor-pointer" onClick={() => setPage('home')}>
+        <Link to="/" className="flex items-center space-x-2">
           <span className="text-2xl font-bold text-emerald-600">🌿</span>
-          <span className="text-xl font-bold text-gray-800">Clean-Up Tracker</span>
-        </div>
+          <span className="text-xl font-bold text-gray-800">{t('app.name')}</span>
+        </Link>
         <div className="flex items-center order-3 w-full mt-4 space-x-2 md:order-2 md:w-auto md:mt-0 md:space-x-4">
-          {navItems.map((item) => (
-            <button
-              key={item.page}
-              onClick={() => setPage(item.page)}
-              className="px-3 py-2 text-sm font-medium text-gray-600 rounded-md hover:bg-emerald-50 hover:text-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          {navItems.map((page) => (
+            <NavLink
+              key={page}
+              to={PAGE_PATHS[page]}
+              end={page === 'home'}
+              className={({ isActive }) =>
+                `px-3 py-2 text-sm font-medium rounded-md hover:bg-emerald-50 hover:text-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 ${
+                  isActive ? 'text-emerald-700 bg-emerald-50' : 'text-gray-600'
+                }`}
             >
-              {item.name}
-            </button>
+              {t(`nav.${page}`)}
+            </NavLink>
           ))}
         </div>
         <div className="flex items-center order-2 space-x-4 md:order-3">
           <div className="hidden text-xs text-gray-500 md:block">
-            User: <span className="font-mono" title={user.email || user.uid}>
+            {t('nav.user')} <Link to="/profile" className="font-mono hover:underline" title={t('nav.profile')}>
               {user.email || user.uid.substring(0, 10) + "..."}
-            </span>
+            </Link>
+            {role && role !== 'volunteer' && (
+              <span className="px-2 py-0.5 ml-2 font-medium text-emerald-700 bg-emerald-100 rounded-full">
+                {t(`roles.${role}`)}
+              </span>
+            )}
           </div>
+          <NotificationBell />
+          <LanguageSwitcher language={language} onChange={handleLanguageChange} />
           <button
             onClick={handleLogout}
             className="px-3 py-2 text-sm font-medium text-red-600 bg-red-100 rounded-md hover:bg-red-200 focus:outline-none focus:ring-2 focus:ring-red-500"
           >
-            Logout
+            {t('nav.logout')}
           </button>
         </div>
       </div>
@@ -275,64 +736,229 @@ function Navbar({ user, setPage }) {
   );
 }
 
+/**
+ * Notification Bell (unread count and a dropdown of recent notifications)
+ */
+const NOTIFICATION_POLL_MS = 60000;
+
+function NotificationBell() {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const [data, setData] = useState({ items: [], unreadCount: 0 });
+  const [open, setOpen] = useState(false);
+
+  const load = async () => {
+    try {
+      setData(await api.get('/api/me/notifications?limit=10'));
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, NOTIFICATION_POLL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const markRead = async (notification) => {
+    setOpen(false);
+    if (notification.read) return;
+    try {
+      await api.post(`/api/me/notifications/${notification.id}/read`);
+      load();
+    } catch (error) {
+      console.error("Error marking notification as read:", error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await api.post('/api/me/notifications/read-all');
+      load();
+    } catch (error) {
+      toastError(t('notifications.errors.markRead'), error);
+    }
+  };
+
+  const message = ({ category, params }) => {
+    const date = params.date ? formatDate(params.date) : '';
+    const values = { ...params, date: params.startTime ? `${date}, ${formatEventTimes(formatDate, params)}` : date };
+    return category === 'reminder'
+      ? t(`notifications.reminder.${params.when}`, values)
+      : t(`notifications.${category}${params.series ? 'Series' : ''}`, { ...values, fallback: params.title });
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        aria-label={t('notifications.bell', { count: data.unreadCount })}
+        className="relative px-2 py-1 text-lg rounded-md hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+      >
+        🔔
+        {data.unreadCount > 0 && (
+          <span className="absolute top-0 right-0 px-1 text-xs font-bold text-white bg-red-600 rounded-full">
+            {data.unreadCount > 9 ? '9+' : data.unreadCount}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-50 mt-2 bg-white border border-gray-200 rounded-md shadow-lg w-80">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="text-sm font-semibold text-gray-700">{t('notifications.title')}</span>
+            {data.unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-emerald-700 hover:underline">
+                {t('notifications.markAllRead')}
+              </button>
+            )}
+          </div>
+          {data.items.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">{t('notifications.empty')}</p>
+          ) : (
+            <ul className="overflow-y-auto divide-y max-h-96">
+              {data.items.map((n) => {
+                const content = (
+                  <>
+                    <p className={`text-sm ${n.read ? 'text-gray-600' : 'font-medium text-gray-900'}`}>{message(n)}</p>
+                    <p className="text-xs text-gray-400">{formatDateTime(n.createdAt)}</p>
+                  </>
+                );
+                return (
+                  <li key={n.id} className={n.read ? '' : 'bg-emerald-50'}>
+                    {n.eventId ? (
+                      <Link to={`/events/${n.eventId}`} onClick={() => markRead(n)} className="block px-4 py-2 hover:bg-gray-50">
+                        {content}
+                      </Link>
+                    ) : (
+                      <button onClick={() => markRead(n)} className="block w-full px-4 py-2 text-left hover:bg-gray-50">
+                        {content}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <Link to="/profile" onClick={() => setOpen(false)} className="block px-4 py-2 text-xs text-center text-gray-500 border-t hover:bg-gray-50">
+            {t('notifications.settingsLink')}
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Language Switcher (English / Filipino)
+ */
+function LanguageSwitcher({ language, onChange }) {
+  const { t } = useI18n();
+  return (
+    <select
+      value={language}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={t('nav.language')}
+      className="px-2 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md focus:ring-emerald-500 focus:border-emerald-500"
+    >
+      {Object.entries(LANGUAGES).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * User Badge (avatar and display name of a public profile, or "Anonymous volunteer")
+ */
+function UserBadge({ profile }) {
+  const { t } = useI18n();
+  if (!profile) return <span className="italic">{t('profile.anonymous')}</span>;
+  return (
+    <span className="inline-flex items-center gap-1 align-middle">
+      {profile.avatar && <img src={apiUrl(profile.avatar)} alt="" className="object-cover w-5 h-5 rounded-full" />}
+      <span className="font-medium">{profile.displayName}</span>
+    </span>
+  );
+}
+
+/**
+ * Public Name (looks up a user's public profile by uid)
+ */
+function PublicName({ uid }) {
+  const [profile, setProfile] = useState(undefined);
+
+  useEffect(() => {
+    if (!uid) return;
+    let cancelled = false;
+    fetchPublicProfile(uid).then((found) => {
+      if (!cancelled) setProfile(found);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [uid]);
+
+  return profile === undefined ? <span>…</span> : <UserBadge profile={profile} />;
+}
+
 /**
  * Home Page Component
  */
-function HomePage({ setPage }) {
+function HomePage() {
+  const { t } = useI18n();
   return (
     <div className="p-8 bg-white rounded-xl shadow-lg">
       <div className="text-center">
         <div className="p-10 mb-6 bg-gray-200 rounded-lg">
             <span className="text-5xl">🇵🇭</span>
-            <h1 className="mt-2 text-2xl font-bold text-gray-700">For Las Piñas</h1>
+            <h1 className="mt-2 text-2xl font-bold text-gray-700">{t('home.banner')}</h1>
         </div>
         <h2 className="mt-4 text-3xl font-bold text-gray-900 md:text-4xl">
-          Help Keep Las Piñas Clean
+          {t('home.title')}
         </h2>
         <p className="max-w-2xl mx-auto mt-4 text-lg text-gray-600">
-          Our community is deeply affected by flooding, often made worse by improper waste.
-          This platform helps us organize, track our efforts, and build awareness together.
+          {t('home.intro')}
         </p>
       </div>
       <div className="grid grid-cols-1 gap-6 mt-12 md:grid-cols-3">
         <div className="flex flex-col items-center p-6 text-center bg-emerald-50 rounded-lg shadow-sm">
           <span className="text-5xl">🙌</span>
-          <h3 className="mt-4 text-xl font-semibold text-emerald-700">Mobilize</h3>
+          <h3 className="mt-4 text-xl font-semibold text-emerald-700">{t('home.mobilize.title')}</h3>
           <p className="mt-2 text-gray-600">
-            Find and join clean-up events happening near you.
+            {t('home.mobilize.body')}
           </p>
-          <button
-            onClick={() => setPage('events')}
-            className="mt-6 px-6 py-2 font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
+          <Link
+            to={PAGE_PATHS.events}
+            className="inline-block mt-6 px-6 py-2 font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
           >
-            See Events
-          </button>
+            {t('home.mobilize.action')}
+          </Link>
         </div>
         <div className="flex flex-col items-center p-6 text-center bg-blue-50 rounded-lg shadow-sm">
           <span className="text-5xl">📊</span>
-          <h3 className="mt-4 text-xl font-semibold text-blue-700">Track & Manage</h3>
+          <h3 className="mt-4 text-xl font-semibold text-blue-700">{t('home.track.title')}</h3>
           <p className="mt-2 text-gray-600">
-            Log the waste you collect to see our collective impact.
+            {t('home.track.body')}
           </p>
-          <button
-            onClick={() => setPage('dashboard')}
-            className="mt-6 px-6 py-2 font-medium text-white bg-blue-600 rounded-full shadow-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          <Link
+            to={PAGE_PATHS.dashboard}
+            className="inline-block mt-6 px-6 py-2 font-medium text-white bg-blue-600 rounded-full shadow-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
           >
-            Add Data
-          </button>
+            {t('home.track.action')}
+          </Link>
         </div>
         <div className="flex flex-col items-center p-6 text-center bg-yellow-50 rounded-lg shadow-sm">
           <span className="text-5xl">💡</span>
-          <h3 className="mt-4 text-xl font-semibold text-yellow-700">Raise Awareness</h3>
+          <h3 className="mt-4 text-xl font-semibold text-yellow-700">{t('home.awareness.title')}</h3>
           <p className="mt-2 text-gray-600">
-            Learn and share tips for a more sustainable community.
+            {t('home.awareness.body')}
           </p>
-          <button
-            onClick={() => setPage('awareness')}
-            className="mt-6 px-6 py-2 font-medium text-white bg-yellow-600 rounded-full shadow-lg hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2"
+          <Link
+            to={PAGE_PATHS.awareness}
+            className="inline-block mt-6 px-6 py-2 font-medium text-white bg-yellow-600 rounded-full shadow-lg hover:bg-yellow-700 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-offset-2"
           >
-            Learn More
-          </button>
+            {t('home.awareness.action')}
+          </Link>
         </div>
       </div>
     </div>
@@ -342,9 +968,11 @@ function HomePage({ setPage }) {
 /**
  * Events Page (Mobilize)
  */
-function EventsPage({ user }) {
+function EventsPage({ user, role }) {
+  const { t } = useI18n();
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showPast, setShowPast] = useState(false);
 
   useEffect(() => {
     if (!user) {
@@ -354,8 +982,12 @@ function EventsPage({ user }) {
 
     setLoading(true);
 
-    // ✅ FIX: Real-time listener ordered by createdAt
-    const q = query(eventsColRef, orderBy("createdAt", "desc"));
+    // Recurring series are stored one event per occurrence, so listing by
+    // date shows each upcoming occurrence in its place
+    const today = manilaToday();
+    const q = showPast
+      ? query(eventsColRef, where("date", "<", today), orderBy("date", "desc"))
+      : query(eventsColRef, where("date", ">=", today), orderBy("date", "asc"));
 
     const unsubscribe = onSnapshot(
       q,
@@ -374,34 +1006,52 @@ function EventsPage({ user }) {
     );
 
     return unsubscribe;
-  }, [user]);
+  }, [user, showPast]);
 
   return (
     <div>
-      <h1 className="mb-6 text-3xl font-bold text-gray-900">
-        Community Clean-Up Events
-      </h1>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">
+          {t('events.title')}
+        </h1>
+        <ExportButtons path="/api/events/export" />
+      </div>
       <div className="grid grid-cols-1 gap-8 md:grid-cols-3">
         <div className="md:col-span-2">
-          <h2 className="pb-2 mb-4 text-xl font-semibold text-gray-700 border-b-2">
-            Upcoming Events
-          </h2>
-          {loading && <p>Loading events...</p>}
+          <div className="flex flex-wrap items-center justify-between gap-2 pb-2 mb-4 border-b-2">
+            <h2 className="text-xl font-semibold text-gray-700">
+              {showPast ? t('events.past') : t('events.upcoming')}
+            </h2>
+            <button
+              onClick={() => setShowPast(!showPast)}
+              className="text-sm font-medium text-emerald-700 hover:underline"
+            >
+              {showPast ? t('events.showUpcoming') : t('events.showPast')}
+            </button>
+          </div>
+          {loading && <p>{t('events.loading')}</p>}
           {!loading && events.length === 0 && (
             <div className="p-6 text-center bg-gray-100 rounded-lg">
               <p className="text-gray-600">
-                No events scheduled. Why not create one?
+                {showPast ? t('events.emptyPast') : t('events.empty')}
               </p>
             </div>
           )}
           <div className="space-y-6">
             {events.map((event) => (
-              <EventCard key={event.id} event={event} user={user} />
+              <EventCard key={event.id} event={event} user={user} role={role} />
             ))}
           </div>
         </div>
         <div className="md:col-span-1">
-          <CreateEventForm user={user} />
+          {canOrganize(role) ? (
+            <CreateEventForm user={user} />
+          ) : (
+            <div className="p-6 text-sm text-gray-600 bg-white rounded-xl shadow-lg">
+              {t('events.organizersOnly')}
+            </div>
+          )}
+          <CalendarFeeds />
         </div>
       </div>
     </div>
@@ -409,70 +1059,468 @@ function EventsPage({ user }) {
 }
 
 /**
- * Event Card Component
+ * Calendar Feeds (subscribe links for phone and desktop calendars)
  */
-function EventCard({ event, user }) {
-  const [isJoining, setIsJoining] = useState(false);
-  const [showModal, setShowModal] = useState(false);
-  const isCreator = user && user.uid === event.creatorId;
+// Calendar apps subscribe to webcal:// links and keep them in sync
+const webcalUrl = (url) => url.replace(/^https?:/, 'webcal:');
 
-  const handleJoin = async () => {
-    if (!user) return;
-    setIsJoining(true);
-    console.log(`User ${user.uid} joining event ${event.id}`);
-    setTimeout(() => {
-      setShowModal(true);
-      setIsJoining(false);
-    }, 1000);
+function CalendarFeeds() {
+  const { t } = useI18n();
+  const barangays = useBarangays();
+  const [barangay, setBarangay] = useState('');
+  const [personalUrl, setPersonalUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const publicUrl = apiUrl(`/api/events.ics${barangay ? `?barangay=${encodeURIComponent(barangay)}` : ''}`);
+
+  const loadPersonalFeed = async (reset = false) => {
+    if (reset && !window.confirm(t('calendar.confirmReset'))) return;
+    setIsLoading(true);
+    try {
+      const { path } = reset ? await api.post('/api/me/calendar/reset') : await api.get('/api/me/calendar');
+      setPersonalUrl(apiUrl(path));
+      if (reset) toast.success(t('calendar.resetDone'));
+    } catch (error) {
+      toastError(t('calendar.errors.load'), error);
+    } finally {
+      setIsLoading(false);
+    }
   };
 
-  const handleDelete = async () => {
-    if (!isCreator) return;
-    // In a real app, you'd confirm this
-    // const eventRef = doc(db, eventsColRef.path, event.id);
-    // await deleteDoc(eventRef);
-    console.log(`User ${user.uid} is deleting event ${event.id}`);
+  const copy = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success(t('calendar.copied'));
+    } catch (error) {
+      toastError(t('calendar.errors.copy'), error);
+    }
   };
 
+  const linkClass = "font-medium text-emerald-700 hover:underline";
+
   return (
-    <>
-      <div className="relative p-6 bg-white rounded-xl shadow-lg transition-all hover:shadow-xl">
-        {isCreator && (
+    <div className="p-6 mt-8 text-sm bg-white rounded-xl shadow-lg space-y-4">
+      <h2 className="text-lg font-semibold text-gray-700">{t('calendar.title')}</h2>
+      <div className="space-y-2">
+        <p className="text-gray-600">{t('calendar.publicHint')}</p>
+        <select
+          value={barangay}
+          onChange={(e) => setBarangay(e.target.value)}
+          aria-label={t('common.barangay')}
+          className="w-full px-2 py-1 border border-gray-300 rounded-md"
+        >
+          <option value="">{t('calendar.allBarangays')}</option>
+          {barangays.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <div className="flex gap-4">
+          <a href={webcalUrl(publicUrl)} className={linkClass}>{t('calendar.subscribe')}</a>
+          <button onClick={() => copy(publicUrl)} className={linkClass}>{t('calendar.copyLink')}</button>
+        </div>
+      </div>
+      <div className="pt-4 space-y-2 border-t">
+        <p className="text-gray-600">{t('calendar.personalHint')}</p>
+        {personalUrl ? (
+          <>
+            <input readOnly value={personalUrl} onFocus={(e) => e.target.select()} className="w-full px-2 py-1 text-xs font-mono border border-gray-300 rounded-md" />
+            <div className="flex flex-wrap gap-4">
+              <a href={webcalUrl(personalUrl)} className={linkClass}>{t('calendar.subscribe')}</a>
+              <button onClick={() => copy(personalUrl)} className={linkClass}>{t('calendar.copyLink')}</button>
+              <button onClick={() => loadPersonalFeed(true)} disabled={isLoading} className="font-medium text-red-600 hover:underline">
+                {t('calendar.reset')}
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">{t('calendar.privateHint')}</p>
+          </>
+        ) : (
           <button
-            onClick={handleDelete}
-            title="Delete this event"
-            className="absolute top-2 right-2 px-2 py-1 text-xs text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+            onClick={() => loadPersonalFeed()}
+            disabled={isLoading}
+            className="px-4 py-2 font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 disabled:text-gray-400"
           >
-            Delete
+            {isLoading ? t('common.loading') : t('calendar.showPersonal')}
           </button>
         )}
-        <h3 className="text-xl font-bold text-emerald-700">{event.title}</h3>
-        <p className="mt-2 text-gray-600">{event.description}</p>
-        <div className="mt-4 text-sm text-gray-800">
-          <p><span className="font-semibold">Location:</span> {event.location}</p>
-          <p><span className="font-semibold">Date:</span> {event.date}</p>
-          <p className="text-xs text-gray-500">
-            Created by: <span className="font-mono" title={event.creatorEmail}>{event.creatorEmail || (event.creatorId ? event.creatorId.substring(0, 10) : '...')}...</span>
-          </p>
-        </div>
-        <button
-          onClick={handleJoin}
-          disabled={isJoining}
-          className="mt-6 px-5 py-2 text-sm font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
-        >
-          {isJoining ? "Joining..." : "Join Event"}
-        </button>
       </div>
-      {showModal && (
+    </div>
+  );
+}
+
+// "7:30 AM – 10:30 AM" in the viewer's language; event times are Manila times
+function formatEventTimes(formatDate, event) {
+  const time = (value) => formatDate(`${event.date}T${value}:00+08:00`, { timeStyle: 'short' });
+  return event.endTime ? `${time(event.startTime)} – ${time(event.endTime)}` : time(event.startTime);
+}
+
+// Today's date ("YYYY-MM-DD") in Las Piñas, where event dates are local dates
+const manilaToday = () => new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Whether an event is over; without an end time it's assumed to last 3 hours
+// from its start (8:00 if unset), as on the backend (lib/checkIn.js)
+function hasEventEnded(event) {
+  const startsAt = new Date(`${event.date}T${event.startTime || '08:00'}:00+08:00`);
+  const endsAt = event.endTime
+    ? new Date(`${event.date}T${event.endTime}:00+08:00`)
+    : new Date(startsAt.getTime() + 3 * 60 * 60 * 1000);
+  return Date.now() >= endsAt.getTime();
+}
+
+// "Every week on Saturday", "Monthly on the second Saturday", ... for a stored
+// recurrence rule repeating from `date`
+function describeRecurrence(t, formatDate, recurrence, date) {
+  const weekday = formatDate(date, { weekday: 'long' });
+  if (recurrence.frequency !== 'monthly') return t(`recurrence.summary.${recurrence.frequency}`, { weekday });
+  return t('recurrence.summary.monthly', { weekday, nth: t(`recurrence.nth.${recurrence.nth}`) });
+}
+
+/**
+ * Event Card Component
+ */
+function EventCard({ event, user, role }) {
+  const { t, formatDate } = useI18n();
+  const [isJoining, setIsJoining] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [rsvpStatus, setRsvpStatus] = useState(null);
+  const [checkedIn, setCheckedIn] = useState(false);
+  const [roster, setRoster] = useState(null);
+  const [showCheckInCode, setShowCheckInCode] = useState(false);
+  const [editScope, setEditScope] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const isCreator = user && user.uid === event.creatorId;
+  const canManage = isCreator || role === 'admin';
+  const isCancelled = event.status === 'cancelled';
+  const attendeeCount = event.attendeeCount || 0;
+  const isFull = Boolean(event.capacity) && attendeeCount >= event.capacity;
+  const isToday = event.date === manilaToday();
+
+  // Load whether the current user is going / waitlisted and checked in.
+  // Re-checked when the counts change, since a leave can promote us off the waitlist.
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    api.get(`/api/events/${event.id}/participants/me`)
+      .then((data) => {
+        if (cancelled) return;
+        setRsvpStatus(data.status);
+        setCheckedIn(data.checkedIn);
+      })
+      .catch((error) => console.error("Error fetching RSVP status:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [user, event.id, event.attendeeCount, event.waitlistCount, event.checkedInCount]);
+
+  const handleJoin = async () => {
+    if (!user) return;
+    setIsJoining(true);
+    try {
+      const data = await api.post(`/api/events/${event.id}/join`);
+      setRsvpStatus(data.status);
+      setShowModal(true);
+    } catch (error) {
+      toastError(t("events.errors.join"), error);
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!user) return;
+    setIsJoining(true);
+    try {
+      await api.post(`/api/events/${event.id}/leave`);
+      setRsvpStatus(null);
+      toast.info(t("events.left", { title: event.title }));
+    } catch (error) {
+      toastError(t("events.errors.leave"), error);
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const handleShowRoster = async () => {
+    try {
+      const [participants, attendance] = await Promise.all([
+        api.get(`/api/events/${event.id}/participants`),
+        api.get(`/api/events/${event.id}/attendance`),
+      ]);
+      setRoster({ ...participants, attendance: attendance.records });
+    } catch (error) {
+      toastError(t("events.errors.roster"), error);
+    }
+  };
+
+  // Organizers' manual attendance edits from the roster
+  const handleTogglePresent = async (participant, present) => {
+    try {
+      if (present) {
+        const { checkedInAt } = await api.put(`/api/events/${event.id}/attendance/${participant.uid}`);
+        setRoster({ ...roster, attendance: [...roster.attendance, { ...participant, method: 'manual', checkedInAt }] });
+      } else {
+        await api.delete(`/api/events/${event.id}/attendance/${participant.uid}`);
+        setRoster({ ...roster, attendance: roster.attendance.filter((r) => r.uid !== participant.uid) });
+      }
+    } catch (error) {
+      toastError(t("checkIn.errors.attendance"), error);
+    }
+  };
+
+  const handleCancel = async (scope) => {
+    if (!canManage) return;
+    const isSeries = scope === 'series';
+    const reason = window.prompt(t(isSeries ? "events.cancelSeriesPrompt" : "events.cancelPrompt", { title: event.title }));
+    if (reason === null) return;
+    try {
+      await api.patch(`/api/events/${event.id}`, { status: "cancelled", cancelReason: reason, scope });
+      toast.success(t(isSeries ? "events.seriesCancelled" : "events.cancelled", { title: event.title }));
+    } catch (error) {
+      toastError(t("events.errors.cancel"), error);
+    }
+  };
+
+  const handleDelete = async (scope) => {
+    if (!canManage) return;
+    const isSeries = scope === 'series';
+    if (!window.confirm(t(isSeries ? "events.deleteSeriesConfirm" : "events.deleteConfirm", { title: event.title }))) return;
+    try {
+      await api.delete(`/api/events/${event.id}?scope=${scope}`);
+      toast.success(t(isSeries ? "events.seriesDeleted" : "events.deleted", { title: event.title }));
+    } catch (error) {
+      toastError(t("events.errors.delete"), error);
+    }
+  };
+
+  const actions = { edit: setEditScope, cancel: handleCancel, delete: handleDelete };
+
+  // Occurrences of a series ask whether the action is for them or the whole series
+  const startAction = (action) => {
+    if (event.seriesId) setPendingAction(action);
+    else actions[action]('occurrence');
+  };
+
+  return (
+    <>
+      <div className={`relative p-6 bg-white rounded-xl shadow-lg transition-all hover:shadow-xl ${isCancelled ? 'opacity-75' : ''}`}>
+        {canManage && (
+          <div className="absolute flex space-x-1 top-2 right-2">
+            {!isCancelled && (
+              <>
+                <button
+                  onClick={() => startAction('edit')}
+                  title={t('events.editTitle')}
+                  className="px-2 py-1 text-xs text-emerald-700 bg-emerald-100 rounded-full hover:bg-emerald-200"
+                >
+                  {t('common.edit')}
+                </button>
+                <button
+                  onClick={() => startAction('cancel')}
+                  title={t('events.cancelTitle')}
+                  className="px-2 py-1 text-xs text-yellow-700 bg-yellow-100 rounded-full hover:bg-yellow-200"
+                >
+                  {t('common.cancel')}
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => startAction('delete')}
+              title={t('events.deleteTitle')}
+              className="px-2 py-1 text-xs text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+            >
+              {t('common.delete')}
+            </button>
+          </div>
+        )}
+        {isCancelled && (
+          <div className="p-3 mb-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded-md">
+            <span className="font-semibold">{t('events.cancelledNotice')}</span>
+            {event.cancelReason && <span> {event.cancelReason}</span>}
+          </div>
+        )}
+        <h3 className={`text-xl font-bold ${isCancelled ? 'text-gray-500 line-through' : 'text-emerald-700'}`}>
+          <Link to={`/events/${event.id}`} className="hover:underline">{event.title}</Link>
+        </h3>
+        <p className="mt-2 text-gray-600">{event.description}</p>
+        <div className="mt-4 text-sm text-gray-800">
+          <p>
+            <span className="font-semibold">{t('events.location')}</span> {event.location}
+            {event.barangay && <span className="text-gray-500">, {event.barangay}</span>}
+          </p>
+          <p>
+            <span className="font-semibold">{t('events.date')}</span> {event.date && formatDate(event.date)}
+            {event.startTime && ` · ${formatEventTimes(formatDate, event)}`}
+          </p>
+          {event.recurrence && (
+            <p className="text-emerald-700">
+              🔁 {describeRecurrence(t, formatDate, event.recurrence, event.date)}
+            </p>
+          )}
+          <p>
+            <span className="font-semibold">{t('events.going')}</span> {attendeeCount}
+            {event.capacity ? ` / ${event.capacity}` : ''}
+            {event.waitlistCount > 0 && ` ${t('events.onWaitlist', { count: event.waitlistCount })}`}
+          </p>
+          {(event.checkedInCount > 0 || event.date <= manilaToday()) && (
+            <p>
+              <span className="font-semibold">{t('events.checkedIn')}</span> {event.checkedInCount || 0}
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            {t('events.createdBy')} <PublicName uid={event.creatorId} />
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3 mt-6">
+          {checkedIn && (
+            <span className="px-3 py-1 text-xs font-semibold text-emerald-700 bg-emerald-100 rounded-full">
+              📍 {t('events.youCheckedIn')}
+            </span>
+          )}
+          {!checkedIn && !isCancelled && isToday && (
+            <Link
+              to={`/events/${event.id}/check-in`}
+              className="px-5 py-2 text-sm font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
+            >
+              📍 {t('events.checkIn')}
+            </Link>
+          )}
+          {isCancelled ? null : rsvpStatus ? (
+            <>
+              <span className={`px-3 py-1 text-xs font-semibold rounded-full ${rsvpStatus === 'going' ? 'text-emerald-700 bg-emerald-100' : 'text-yellow-700 bg-yellow-100'}`}>
+                {rsvpStatus === 'going' ? `✔ ${t('events.youreGoing')}` : `⏳ ${t('events.youreWaitlisted')}`}
+              </span>
+              <button
+                onClick={handleLeave}
+                disabled={isJoining}
+                className="px-5 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200 disabled:text-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-400"
+              >
+                {isJoining ? t('events.leaving') : t('events.leave')}
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={handleJoin}
+              disabled={isJoining}
+              className="px-5 py-2 text-sm font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
+            >
+              {isJoining ? t('events.joining') : (isFull ? t('events.joinWaitlist') : t('events.join'))}
+            </button>
+          )}
+          {canManage && (
+            <button
+              onClick={handleShowRoster}
+              className="px-5 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              {t('events.viewRoster')}
+            </button>
+          )}
+          {!isCancelled && hasEventEnded(event) && (
+            <Link
+              to={`/events/${event.id}/impact`}
+              className="px-5 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              📊 {t('events.impactReport')}
+            </Link>
+          )}
+          {canManage && !isCancelled && (
+            <button
+              onClick={() => setShowCheckInCode(true)}
+              className="px-5 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              {t('events.showCheckInCode')}
+            </button>
+          )}
+        </div>
+      </div>
+      {showCheckInCode && (
+        <CheckInCodeModal event={event} onClose={() => setShowCheckInCode(false)} />
+      )}
+      {editScope && (
+        <EditEventForm event={event} scope={editScope} onClose={() => setEditScope(null)} />
+      )}
+      {pendingAction && (
+        <SeriesScopeDialog
+          action={pendingAction}
+          onChoose={(scope) => {
+            setPendingAction(null);
+            actions[pendingAction](scope);
+          }}
+          onClose={() => setPendingAction(null)}
+        />
+      )}
+      {roster && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+          <div className="w-full max-w-md p-6 mx-4 bg-white rounded-lg shadow-xl">
+            <h3 className="text-lg font-semibold">{t('events.roster', { title: event.title })}</h3>
+            <h4 className="mt-4 text-sm font-semibold text-gray-700">{t('events.rosterGoing', { count: roster.attendees.length })}</h4>
+            <p className="text-xs text-gray-500">{t('checkIn.rosterHint')}</p>
+            <ul className="mt-1 text-sm text-gray-600">
+              {roster.attendees.map((p) => (
+                <li key={p.uid}>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={roster.attendance.some((r) => r.uid === p.uid)}
+                      onChange={(e) => handleTogglePresent(p, e.target.checked)}
+                      aria-label={t('checkIn.present')}
+                    />
+                    <PublicName uid={p.uid} />
+                  </label>
+                </li>
+              ))}
+              {roster.attendees.length === 0 && <li>{t('events.rosterEmpty')}</li>}
+            </ul>
+            {roster.waitlist.length > 0 && (
+              <>
+                <h4 className="mt-4 text-sm font-semibold text-gray-700">{t('events.rosterWaitlist', { count: roster.waitlist.length })}</h4>
+                <ol className="mt-1 text-sm text-gray-600 list-decimal list-inside">
+                  {roster.waitlist.map((p) => (
+                    <li key={p.uid}><PublicName uid={p.uid} /></li>
+                  ))}
+                </ol>
+              </>
+            )}
+            {(() => {
+              const onRoster = new Set([...roster.attendees, ...roster.waitlist].map((p) => p.uid));
+              const walkIns = roster.attendance.filter((r) => !onRoster.has(r.uid));
+              return walkIns.length > 0 && (
+                <>
+                  <h4 className="mt-4 text-sm font-semibold text-gray-700">{t('checkIn.walkIns', { count: walkIns.length })}</h4>
+                  <ul className="mt-1 text-sm text-gray-600">
+                    {walkIns.map((r) => (
+                      <li key={r.uid} className="flex items-center justify-between gap-2">
+                        <PublicName uid={r.uid} />
+                        <button onClick={() => handleTogglePresent(r, false)} className="text-xs text-red-600 hover:underline">
+                          {t('checkIn.remove')}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              );
+            })()}
+            <button
+              onClick={() => setRoster(null)}
+              className="mt-4 px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700"
+            >
+              {t('common.close')}
+            </button>
+          </div>
+        </div>
+      )}
+      {showModal && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
           <div className="p-6 bg-white rounded-lg shadow-xl">
-            <h3 className="text-lg font-semibold">Thank you!</h3>
-            <p className="mt-2">You have successfully joined "{event.title}".</p>
+            <h3 className="text-lg font-semibold">{t('events.thankYou')}</h3>
+            <p className="mt-2">
+              {rsvpStatus === 'waitlisted'
+                ? t('events.waitlistedMessage', { title: event.title })
+                : t('events.joinedMessage', { title: event.title })}
+            </p>
             <button
               onClick={() => setShowModal(false)}
               className="mt-4 px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700"
             >
-              Close
+              {t('common.close')}
             </button>
           </div>
         </div>
@@ -482,376 +1530,2841 @@ function EventCard({ event, user }) {
 }
 
 /**
- * Create Event Form
+ * Series Scope Dialog (asks whether to edit, cancel or delete one occurrence or the whole series)
  */
-function CreateEventForm({ user }) {
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState('');
-  const [location, setLocation] = useState('');
-  const [date, setDate] = useState('');
-  const [isSubmitting, setIsSubmitting] = useState(false);
+function SeriesScopeDialog({ action, onChoose, onClose }) {
+  const { t } = useI18n();
+  const buttonClass = "w-full px-4 py-2 text-left rounded-md border border-gray-200 hover:bg-emerald-50";
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!user) return;
-    setIsSubmitting(true);
-    try {
-      await addDoc(eventsColRef, {
-        title,
-        description,
-        location,
-        date,
-        creatorId: user.uid,
-        creatorEmail: user.email || null,
-        createdAt: serverTimestamp()
-      });
-      setTitle('');
-      setDescription('');
-      setLocation('');
-      setDate('');
-    } catch (error) {
-      console.error("Error creating event:", error);
-    } finally {
-      // **BUG FIX**: This was missing
-      setIsSubmitting(false);
-    }
-  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-sm p-6 mx-4 bg-white rounded-lg shadow-xl space-y-3">
+        <h3 className="text-lg font-semibold">{t(`seriesScope.${action}`)}</h3>
+        <button onClick={() => onChoose('occurrence')} className={buttonClass}>
+          {t('seriesScope.occurrence')}
+        </button>
+        <button onClick={() => onChoose('series')} className={buttonClass}>
+          {t('seriesScope.series')}
+        </button>
+        <button onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">
+          {t('common.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Event Form Fields (shared by the create and edit forms)
+ */
+const emptyEventValues = {
+  title: '', description: '', barangay: '', location: '', date: '', startTime: '', endTime: '', capacity: '', latitude: null, longitude: null,
+  frequency: '', ends: 'count', count: '4', until: '',
+};
+
+// Converts form values into the JSON body expected by the events API
+const toEventPayload = (values) => ({
+  title: values.title,
+  description: values.description,
+  barangay: values.barangay,
+  location: values.location,
+  date: values.date,
+  startTime: values.startTime || null,
+  // The end time input is disabled (but keeps its value) once the start time is cleared
+  endTime: (values.startTime && values.endTime) || null,
+  capacity: values.capacity ? Number(values.capacity) : null,
+  latitude: values.latitude,
+  longitude: values.longitude,
+});
+
+// The recurrence rule for a new event, or null for a one-off event
+const toRecurrence = (values) => {
+  if (!values.frequency) return null;
+  return values.ends === 'until'
+    ? { frequency: values.frequency, until: values.until }
+    : { frequency: values.frequency, count: Number(values.count) };
+};
+
+function EventFormFields({ values, setValues, dateLocked = false }) {
+  const { t } = useI18n();
+  const barangays = useBarangays();
+  const handleChange = (field) => (e) => setValues({ ...values, [field]: e.target.value });
 
   return (
-    <form onSubmit={handleSubmit} className="p-6 bg-white rounded-xl shadow-lg space-y-4">
-      <h2 className="text-xl font-semibold text-gray-800">Create a New Event</h2>
+    <>
       <div>
-        <label className="block text-sm font-medium text-gray-700">Event Title</label>
+        <label className="block text-sm font-medium text-gray-700">{t('eventForm.title')}</label>
         <input
           type="text"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)}
+          value={values.title}
+          onChange={handleChange('title')}
           required
           className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
         />
       </div>
       <div>
-        <label className="block text-sm font-medium text-gray-700">Description</label>
+        <label className="block text-sm font-medium text-gray-700">{t('eventForm.description')}</label>
         <textarea
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
+          value={values.description}
+          onChange={handleChange('description')}
           required
           rows="3"
           className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
         />
       </div>
       <div>
-        <label className="block text-sm font-medium text-gray-700">Location</label>
+        <label className="block text-sm font-medium text-gray-700">{t('common.barangay')}</label>
+        <select
+          value={values.barangay}
+          onChange={handleChange('barangay')}
+          required
+          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="" disabled>{t('common.selectBarangay')}</option>
+          {barangays.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{t('eventForm.meetingPoint')}</label>
         <input
           type="text"
-          value={location}
-          onChange={(e) => setLocation(e.target.value)}
+          value={values.location}
+          onChange={handleChange('location')}
           required
+          placeholder={t('eventForm.meetingPointPlaceholder')}
           className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
         />
       </div>
       <div>
-        <label className="block text-sm font-medium text-gray-700">Date</label>
+        <label className="block text-sm font-medium text-gray-700">{t('eventForm.date')}</label>
         <input
           type="date"
-          value={date}
-          onChange={(e) => setDate(e.target.value)}
+          value={values.date}
+          onChange={handleChange('date')}
           required
+          disabled={dateLocked}
+          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500 disabled:bg-gray-100"
+        />
+        {dateLocked && <p className="mt-1 text-xs text-gray-500">{t('eventForm.seriesDateHint')}</p>}
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('eventForm.startTime')}</label>
+          <input
+            type="time"
+            value={values.startTime}
+            onChange={handleChange('startTime')}
+            className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('eventForm.endTime')}</label>
+          <input
+            type="time"
+            value={values.endTime}
+            onChange={handleChange('endTime')}
+            min={values.startTime || undefined}
+            disabled={!values.startTime}
+            className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">{t('eventForm.timeHint')}</p>
+      <div>
+        <label className="block text-sm font-medium text-gray-700">{t('eventForm.capacity')}</label>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={values.capacity}
+          onChange={handleChange('capacity')}
+          placeholder={t('eventForm.capacityPlaceholder')}
           className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
         />
       </div>
-      <button
-        type="submit"
-        disabled={isSubmitting}
-        className="w-full px-6 py-2 font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
-      >
-        {isSubmitting ? "Creating..." : "Create Event"}
-      </button>
-    </form>
+      <LocationPicker
+        value={{ latitude: values.latitude, longitude: values.longitude }}
+        onChange={(point) => setValues({ ...values, ...point })}
+      />
+    </>
   );
 }
 
-
 /**
- * Dashboard Page
+ * Recurrence Fields (repeat rule for a new event)
  */
-function DashboardPage({ user }) {
-  const [wasteEntries, setWasteEntries] = useState([]);
-  const [stats, setStats] = useState(null);
-  const [loading, setLoading] = useState(true);
+function RecurrenceFields({ values, setValues }) {
+  const { t, formatDate } = useI18n();
+  const { frequencies, maxOccurrences } = useRecurrenceOptions();
+  const [preview, setPreview] = useState(null);
+  const { date, frequency, ends, count, until } = values;
 
+  // The series as the server would create it: its stored rule and dates
   useEffect(() => {
-    if (!user) {
-      setLoading(false);
+    const end = ends === 'until' ? until : count;
+    if (!date || !frequency || !end) {
+      setPreview(null);
       return;
     }
-
-    const fetchWasteEntries = async () => {
-      try {
-        setLoading(true);
-        const res = await fetch("https://clean-up-tracker-01l8.onrender.com/api/waste");
-        const data = await res.json();
-
-        // Filter entries by logged-in user
-        const filtered = data
-          .filter((entry) => entry.submitterId === user.uid)
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-        setWasteEntries(filtered);
-      } catch (error) {
-        console.error("Error fetching waste entries:", error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    const fetchStats = async () => {
-      try {
-        const res = await fetch("https://clean-up-tracker-01l8.onrender.com/api/stats");
-        const data = await res.json();
-        setStats(data);
-      } catch (err) {
-        console.error("Error fetching stats:", err);
-      }
-    };
-
-    // Initial loads
-    fetchWasteEntries();
-    fetchStats();
-
-    // 🕒 Auto-refresh every 10 seconds
-    const interval = setInterval(() => {
-      fetchWasteEntries();
-      fetchStats();
-    }, 10000);
-
-    // 🔄 Refresh immediately when a new waste entry is added
-    const listener = () => {
-      fetchWasteEntries();
-      fetchStats();
-    };
-    window.addEventListener("waste-updated", listener);
-
+    let cancelled = false;
+    const params = new URLSearchParams({ date, frequency, [ends === 'until' ? 'until' : 'count']: end });
+    api.get(`/api/events/recurrence?${params}`)
+      .then((data) => {
+        if (!cancelled) setPreview(data.preview);
+      })
+      .catch(() => {
+        if (!cancelled) setPreview(null); // an incomplete rule; the form reports it on submit
+      });
     return () => {
-      clearInterval(interval);
-      window.removeEventListener("waste-updated", listener);
+      cancelled = true;
     };
-  }, [user]);
-
-  return (
-    <div>
-      <h1 className="mb-6 text-3xl font-bold text-gray-900">
-        Waste Collection Dashboard
-      </h1>
+  }, [date, frequency, ends, count, until]);
 
-      {/* ✅ Summary Section */}
-      {stats && (
-        <div className="p-6 mb-8 bg-white rounded-xl shadow">
-          <h2 className="text-lg font-semibold text-gray-700 mb-2">
-            Collection Summary
-          </h2>
-          <p className="text-gray-800 font-medium">
-            Total Entries: {stats.totalEntries}
-          </p>
+  const handleChange = (field) => (e) => setValues({ ...values, [field]: e.target.value });
+  const inputClass = "px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500";
 
-          <div className="mt-4">
-            <h3 className="font-semibold text-gray-700">By Waste Type:</h3>
-            <ul className="mt-1 text-gray-600 text-sm">
-              {Object.entries(stats.totalsByType || {}).map(([type, count]) => (
-                <li key={type}>
-                  <span className="font-medium">{type}</span>: {count}
-                </li>
-              ))}
-            </ul>
+  return (
+    <div className="space-y-2">
+      <label className="block text-sm font-medium text-gray-700">{t('recurrence.repeats')}</label>
+      <select value={values.frequency} onChange={handleChange('frequency')} className={`w-full ${inputClass}`}>
+        <option value="">{t('recurrence.none')}</option>
+        {frequencies.map((frequency) => (
+          <option key={frequency} value={frequency}>{t(`recurrence.frequencies.${frequency}`)}</option>
+        ))}
+      </select>
+      {values.frequency && (
+        <>
+          {preview && (
+            <p className="text-xs text-emerald-700">
+              🔁 {describeRecurrence(t, formatDate, preview.recurrence, values.date)}
+              {' · '}
+              {t('recurrence.preview', { count: preview.dates.length, last: formatDate(preview.dates[preview.dates.length - 1]) })}
+            </p>
+          )}
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="radio" id="recurrence-count" checked={values.ends === 'count'} onChange={() => setValues({ ...values, ends: 'count' })} />
+            <label htmlFor="recurrence-count">{t('recurrence.endsAfter')}</label>
+            <input
+              type="number"
+              min="2"
+              max={maxOccurrences ?? undefined}
+              step="1"
+              value={values.count}
+              onChange={handleChange('count')}
+              disabled={values.ends !== 'count'}
+              required={values.ends === 'count'}
+              aria-label={t('recurrence.count')}
+              className={`w-20 ${inputClass}`}
+            />
+            <span>{t('recurrence.occurrences')}</span>
           </div>
-        </div>
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="radio" id="recurrence-until" checked={values.ends === 'until'} onChange={() => setValues({ ...values, ends: 'until' })} />
+            <label htmlFor="recurrence-until">{t('recurrence.endsOn')}</label>
+            <input
+              type="date"
+              min={values.date || undefined}
+              value={values.until}
+              onChange={handleChange('until')}
+              disabled={values.ends !== 'until'}
+              required={values.ends === 'until'}
+              aria-label={t('recurrence.until')}
+              className={inputClass}
+            />
+          </div>
+          {maxOccurrences && <p className="text-xs text-gray-500">{t('recurrence.hint', { max: maxOccurrences })}</p>}
+        </>
       )}
+    </div>
+  );
+}
 
-      {/* ✅ Layout with Form + Entries */}
-      <div className="grid grid-cols-1 gap-8 md:grid-cols-3">
-        <div className="md:col-span-1">
-          <SubmitWasteForm user={user} />
-        </div>
-
-        <div className="md:col-span-2">
-          <h2 className="pb-2 mb-4 text-xl font-semibold text-gray-700 border-b-2">
-            Recent Entries
-          </h2>
+/**
+ * Create Event Form
+ */
+function CreateEventForm({ user }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState(emptyEventValues);
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-          <div className="p-6 bg-white rounded-xl shadow-lg">
-            {loading && <p>Loading entries...</p>}
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!user) return;
+    setIsSubmitting(true);
+    try {
+      const recurrence = toRecurrence(values);
+      const data = await api.post("/api/events", { ...toEventPayload(values), recurrence });
+      toast.success(recurrence
+        ? t("events.seriesCreated", { title: values.title, count: data.count })
+        : t("events.created", { title: values.title }));
+      setValues(emptyEventValues);
+    } catch (error) {
+      toastError(t("events.errors.create"), error);
+    } finally {
+      // **BUG FIX**: This was missing
+      setIsSubmitting(false);
+    }
+  };
 
-            {!loading && wasteEntries.length === 0 && (
-              <div className="p-6 text-center bg-gray-100 rounded-lg">
-                <p className="text-gray-600">
-                  No waste entries submitted yet.
-                </p>
-              </div>
-            )}
+  return (
+    <form onSubmit={handleSubmit} className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">{t('eventForm.createTitle')}</h2>
+      <EventFormFields values={values} setValues={setValues} />
+      <RecurrenceFields values={values} setValues={setValues} />
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full px-6 py-2 font-medium text-white bg-emerald-600 rounded-full shadow-lg hover:bg-emerald-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-emerald-500 focus:ring-offset-2"
+      >
+        {isSubmitting ? t('eventForm.creating') : t('eventForm.create')}
+      </button>
+    </form>
+  );
+}
 
-            <ul className="space-y-4">
-              {wasteEntries.slice(0, 10).map((entry) => (
-                <li
-                  key={entry.id}
-                  className="p-4 border rounded-md bg-gray-50"
+/**
+ * Edit Event Form (shown in a modal from the event card)
+ */
+function EditEventForm({ event, scope = 'occurrence', onClose }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState({
+    title: event.title || '',
+    description: event.description || '',
+    barangay: event.barangay || '',
+    location: event.location || '',
+    date: event.date || '',
+    startTime: event.startTime || '',
+    endTime: event.endTime || '',
+    capacity: event.capacity ? String(event.capacity) : '',
+    latitude: event.latitude ?? null,
+    longitude: event.longitude ?? null,
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const payload = toEventPayload(values);
+      // Series edits keep each occurrence's own date
+      if (scope === 'series') delete payload.date;
+      await api.patch(`/api/events/${event.id}`, { ...payload, scope });
+      toast.success(t(scope === 'series' ? "events.seriesUpdated" : "events.updated"));
+      onClose();
+    } catch (error) {
+      toastError(t("events.errors.update"), error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <form onSubmit={handleSubmit} className="w-full max-w-md p-6 mx-4 bg-white rounded-xl shadow-xl space-y-4">
+        <h2 className="text-xl font-semibold text-gray-800">
+          {scope === 'series' ? t('eventForm.editSeriesTitle') : t('eventForm.editTitle')}
+        </h2>
+        <EventFormFields values={values} setValues={setValues} dateLocked={scope === 'series'} />
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:bg-gray-400"
+          >
+            {isSubmitting ? t('common.saving') : t('common.saveChanges')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Event Detail Page (one event at its own shareable URL, /events/:eventId)
+ */
+function EventDetailPage({ user, role }) {
+  const { t } = useI18n();
+  const { eventId } = useParams();
+  const [event, setEvent] = useState(undefined); // undefined while loading, null if not found
+
+  useEffect(() => {
+    setEvent(undefined);
+    const unsubscribe = onSnapshot(
+      doc(eventsColRef, eventId),
+      (snapshot) => setEvent(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null),
+      (error) => {
+        console.error("Error fetching event:", error);
+        setEvent(null);
+      }
+    );
+    return unsubscribe;
+  }, [eventId]);
+
+  // The phone's share sheet where there is one, otherwise copy the link
+  const handleShare = async () => {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: event.title, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        toast.success(t('eventDetail.linkCopied'));
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') toastError(t('eventDetail.errors.share'), error);
+    }
+  };
+
+  if (event === null) return <NotFound />;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Link to={PAGE_PATHS.events} className="text-sm font-medium text-emerald-700 hover:underline">
+        ← {t('eventDetail.allEvents')}
+      </Link>
+      {event === undefined && <p>{t('eventDetail.loading')}</p>}
+      {event && (
+        <>
+          <EventCard event={event} user={user} role={role} />
+          <button
+            onClick={handleShare}
+            className="px-5 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          >
+            🔗 {t('eventDetail.share')}
+          </button>
+          <a
+            href={apiUrl(`/api/events/${event.id}.ics`)}
+            download
+            className="px-5 py-2 ml-3 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          >
+            📅 {t('eventDetail.addToCalendar')}
+          </a>
+          {event.latitude != null && event.longitude != null && (
+            <div className="overflow-hidden bg-white rounded-xl shadow-lg">
+              <MapContainer center={[event.latitude, event.longitude]} zoom={16} style={{ height: 300 }}>
+                <TileLayer url={MAP_TILE_URL} attribution={MAP_ATTRIBUTION} />
+                <Marker position={[event.latitude, event.longitude]} />
+              </MapContainer>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Check-in Code Modal (organizer's rotating QR code for volunteers to scan)
+ */
+function CheckInCodeModal({ event, onClose }) {
+  const { t, formatDateTime } = useI18n();
+  const [checkIn, setCheckIn] = useState(null);
+  const [qrImage, setQrImage] = useState(null);
+
+  // Fetch the code again whenever it expires
+  useEffect(() => {
+    let timer;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const data = await api.get(`/api/events/${event.id}/check-in-code`);
+        if (cancelled) return;
+        const url = `${window.location.origin}/events/${event.id}/check-in?code=${data.code}`;
+        setCheckIn(data);
+        setQrImage(await QRCode.toDataURL(url, { width: 320, margin: 1 }));
+        timer = setTimeout(load, Math.max(new Date(data.expiresAt) - Date.now(), 1000));
+      } catch (error) {
+        if (!cancelled) toastError(t('checkIn.errors.code'), error);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [event.id, t]);
+
+  const now = Date.now();
+  const isOpen = checkIn && now >= new Date(checkIn.opensAt) && now <= new Date(checkIn.closesAt);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-sm p-6 mx-4 text-center bg-white rounded-lg shadow-xl space-y-3">
+        <h3 className="text-lg font-semibold">{t('checkIn.codeTitle', { title: event.title })}</h3>
+        {!checkIn && <p>{t('common.loading')}</p>}
+        {checkIn && (
+          <>
+            {qrImage && <img src={qrImage} alt={t('checkIn.qrAlt')} className="mx-auto" />}
+            <p className="font-mono text-3xl font-bold tracking-widest text-gray-900">{checkIn.code}</p>
+            <p className="text-sm text-gray-600">{t('checkIn.codeHint')}</p>
+            <p className={`text-xs ${isOpen ? 'text-emerald-700' : 'text-yellow-700'}`}>
+              {t(isOpen ? 'checkIn.openUntil' : 'checkIn.window', {
+                opensAt: formatDateTime(checkIn.opensAt),
+                closesAt: formatDateTime(checkIn.closesAt),
+              })}
+            </p>
+          </>
+        )}
+        <button onClick={onClose} className="px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700">
+          {t('common.close')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Check-in Page (volunteers scan the organizer's QR code or type its code, /events/:eventId/check-in)
+ */
+function CheckInPage() {
+  const { t, formatDateTime } = useI18n();
+  const { eventId } = useParams();
+  const [searchParams] = useSearchParams();
+  const [code, setCode] = useState(searchParams.get('code') || '');
+  const [status, setStatus] = useState(null); // { ok, message }
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const videoRef = useRef(null);
+  const submittedCode = useRef(null);
+  const inFlight = useRef(false);
+  // Not every browser can read QR codes from the camera; the phone's own camera app always can
+  const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  // Guarded by a ref rather than isSubmitting, so submit keeps its identity and
+  // the camera effect doesn't restart on every check-in attempt
+  const submit = useCallback(async (value) => {
+    if (!value || inFlight.current) return;
+    inFlight.current = true;
+    setIsSubmitting(true);
+    try {
+      const data = await api.post(`/api/events/${eventId}/check-in`, { code: value });
+      setStatus({ ok: true, message: t('checkIn.success', { time: formatDateTime(data.checkedInAt) }) });
+    } catch (error) {
+      const opensAt = error.details?.opensAt;
+      setStatus({ ok: false, message: opensAt ? t('checkIn.notOpenYet', { opensAt: formatDateTime(opensAt) }) : error.message });
+    } finally {
+      inFlight.current = false;
+      setIsSubmitting(false);
+    }
+  }, [eventId, t, formatDateTime]);
+
+  // A scanned QR link carries the code; check in straight away
+  useEffect(() => {
+    const linked = searchParams.get('code');
+    if (linked && submittedCode.current !== linked) {
+      submittedCode.current = linked;
+      submit(linked);
+    }
+  }, [searchParams, submit]);
+
+  // In-app scanning with the camera, where the browser supports it
+  useEffect(() => {
+    if (!isScanning) return undefined;
+    let stream;
+    let frame;
+    let stopped = false;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const scan = async () => {
+      if (stopped) return;
+      try {
+        const [found] = await detector.detect(videoRef.current);
+        const scanned = found && new URL(found.rawValue).searchParams.get('code');
+        if (scanned) {
+          setIsScanning(false);
+          setCode(scanned);
+          submit(scanned);
+          return;
+        }
+      } catch (error) {
+        // Frames before the video is ready and non-URL QR codes are skipped
+      }
+      frame = requestAnimationFrame(scan);
+    };
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream;
+        if (stopped) return;
+        videoRef.current.srcObject = mediaStream;
+        videoRef.current.play();
+        scan();
+      })
+      .catch((error) => {
+        setIsScanning(false);
+        toastError(t('checkIn.errors.camera'), error);
+      });
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+  }, [isScanning, submit, t]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submit(code.trim());
+  };
+
+  return (
+    <div className="max-w-md mx-auto space-y-6">
+      <Link to={`/events/${eventId}`} className="text-sm font-medium text-emerald-700 hover:underline">
+        ← {t('checkIn.backToEvent')}
+      </Link>
+      <div className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+        <h1 className="text-2xl font-bold text-gray-900">{t('checkIn.title')}</h1>
+        {status && (
+          <div className={`p-3 text-sm rounded-md border ${status.ok ? 'text-emerald-700 bg-emerald-50 border-emerald-200' : 'text-red-700 bg-red-50 border-red-200'}`}>
+            {status.message}
+          </div>
+        )}
+        {!status?.ok && (
+          <>
+            <p className="text-sm text-gray-600">{t('checkIn.hint')}</p>
+            {canScan && (
+              isScanning ? (
+                <div className="space-y-2">
+                  <video ref={videoRef} muted playsInline className="w-full rounded-md bg-black" />
+                  <button onClick={() => setIsScanning(false)} className="text-sm font-medium text-gray-700 hover:underline">
+                    {t('checkIn.stopScanning')}
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setIsScanning(true)}
+                  className="w-full px-4 py-2 font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100"
                 >
-                  <span className="font-semibold text-blue-700">
-                    {entry.type}
-                  </span>
-                  : <span className="ml-2 font-bold">{entry.volume}</span>
-                  <span className="text-sm text-gray-600"> (bags/kg)</span>
-                  <p className="text-xs text-gray-500">
-                    at {entry.location}
-                  </p>
-                  <p className="text-xs text-gray-500">
-                    Logged by:{" "}
-                    <span
-                      className="font-mono"
-                      title={entry.submitterEmail}
-                    >
-                      {entry.submitterEmail ||
-                        (entry.submitterId
-                          ? entry.submitterId.substring(0, 10)
-                          : "...")}
-                      ...
-                    </span>
-                  </p>
+                  📷 {t('checkIn.scan')}
+                </button>
+              )
+            )}
+            <form onSubmit={handleSubmit} className="flex gap-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                placeholder={t('checkIn.codePlaceholder')}
+                aria-label={t('checkIn.code')}
+                autoCapitalize="characters"
+                autoComplete="off"
+                maxLength={6}
+                className="flex-1 px-3 py-2 font-mono tracking-widest uppercase border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500"
+              />
+              <button
+                type="submit"
+                disabled={isSubmitting || !code.trim()}
+                className="px-5 py-2 font-medium text-white bg-emerald-600 rounded-full hover:bg-emerald-700 disabled:bg-gray-400"
+              >
+                {isSubmitting ? t('checkIn.submitting') : t('checkIn.submit')}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Event Impact Page (what a clean-up achieved, shareable once it's over, /events/:eventId/impact)
+ */
+function EventImpactPage() {
+  const { t, formatDate, formatDateTime, formatNumber } = useI18n();
+  const { eventId } = useParams();
+  const [impact, setImpact] = useState(undefined); // undefined while loading, null if not found
+  const [notReady, setNotReady] = useState(null); // the API error while the event isn't over
+
+  useEffect(() => {
+    let cancelled = false;
+    setImpact(undefined);
+    setNotReady(null);
+    api.get(`/api/events/${eventId}/impact`)
+      .then((data) => {
+        if (!cancelled) setImpact(data);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        if (error.kind === 'conflict') {
+          setNotReady(error);
+          return;
+        }
+        if (error.kind !== 'notFound') toastError(t('impact.errors.load'), error);
+        setImpact(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId, t]);
+
+  // The phone's share sheet where there is one, otherwise copy the link
+  const handleShare = async () => {
+    const url = window.location.href;
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: t('impact.shareTitle', { title: impact.event.title }), url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        toast.success(t('eventDetail.linkCopied'));
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') toastError(t('eventDetail.errors.share'), error);
+    }
+  };
+
+  if (impact === null) return <NotFound />;
+
+  const stats = impact && [
+    { label: t('impact.totalKg'), value: `${formatNumber(impact.totalKg)} kg` },
+    { label: t('impact.contributors'), value: formatNumber(impact.contributorCount) },
+    { label: t('impact.checkedIn'), value: formatNumber(impact.checkedInCount) },
+    { label: t('impact.entries'), value: formatNumber(impact.entryCount) },
+  ];
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Link to={`/events/${eventId}`} className="text-sm font-medium text-emerald-700 hover:underline">
+        ← {t('checkIn.backToEvent')}
+      </Link>
+      {impact === undefined && !notReady && <p>{t('impact.loading')}</p>}
+      {notReady && (
+        <div className="p-6 text-center bg-gray-100 rounded-lg text-gray-600">
+          {notReady.details?.endsAt
+            ? t('impact.notOver', { endsAt: formatDateTime(notReady.details.endsAt) })
+            : notReady.message}
+        </div>
+      )}
+      {impact && (
+        <>
+          <div className="p-6 bg-white rounded-xl shadow-lg">
+            <p className="text-sm font-semibold tracking-wide text-emerald-700 uppercase">{t('impact.title')}</p>
+            <h1 className="text-2xl font-bold text-gray-900">{impact.event.title}</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              {formatDate(impact.event.date)}
+              {impact.event.startTime && ` · ${formatEventTimes(formatDate, impact.event)}`}
+              {' · '}{impact.event.location}{impact.event.barangay && `, ${impact.event.barangay}`}
+            </p>
+            <p className="text-xs text-gray-500">
+              {t('events.createdBy')} <PublicName uid={impact.event.creatorId} />
+            </p>
+            <div className="grid grid-cols-2 gap-4 mt-6 sm:grid-cols-4">
+              {stats.map(({ label, value }) => (
+                <div key={label} className="p-3 text-center rounded-lg bg-emerald-50">
+                  <p className="text-2xl font-bold text-emerald-700">{value}</p>
+                  <p className="text-xs text-gray-600">{label}</p>
+                </div>
+              ))}
+            </div>
+            {impact.pendingCount > 0 && (
+              <p className="mt-3 text-xs text-gray-500">{t('impact.pending', { count: impact.pendingCount })}</p>
+            )}
+          </div>
+
+          <div className="p-6 bg-white rounded-xl shadow-lg">
+            <h2 className="text-lg font-semibold text-gray-700">{t('impact.byType')}</h2>
+            {impact.byType.length === 0 && <p className="mt-2 text-sm text-gray-500">{t('impact.noEntries')}</p>}
+            <ul className="mt-3 space-y-2">
+              {impact.byType.map((row) => (
+                <li key={row.type} className="text-sm">
+                  <div className="flex justify-between">
+                    <span>{wasteTypeLabel(t, row.type)}</span>
+                    <span className="font-medium">{formatNumber(row.kg)} kg</span>
+                  </div>
+                  <div className="h-2 mt-1 bg-gray-100 rounded-full">
+                    <div
+                      className="h-2 rounded-full"
+                      style={{
+                        width: `${impact.totalKg > 0 ? (row.kg / impact.totalKg) * 100 : 0}%`,
+                        backgroundColor: WASTE_TYPE_COLORS[row.type] || WASTE_TYPE_COLORS.Unknown,
+                      }}
+                    />
+                  </div>
                 </li>
               ))}
             </ul>
           </div>
-        </div>
+
+          {impact.photos.length > 0 && (
+            <div className="p-6 bg-white rounded-xl shadow-lg">
+              <h2 className="text-lg font-semibold text-gray-700">{t('impact.photos', { count: impact.photos.length })}</h2>
+              <PhotoGallery photos={impact.photos} />
+            </div>
+          )}
+
+          <button
+            onClick={handleShare}
+            className="px-5 py-2 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100 focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          >
+            🔗 {t('impact.share')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Dashboard Page
+ */
+// Mirrors the backend's WASTE_TYPES and UNITS
+const WASTE_TYPES = ["Mixed", "Plastic", "Paper", "Glass", "Organic", "Other"];
+const WASTE_UNITS = ["kg", "bags", "sacks", "pieces"];
+
+// Display names for waste types and units; the stored values stay in English
+const wasteTypeLabel = (t, type) => t(`waste.types.${type}`, { fallback: type });
+const wasteUnitLabel = (t, unit) => t(`waste.units.${unit}`, { fallback: unit });
+
+const ENTRIES_PAGE_SIZE = 10;
+
+// The current user's entries, newest first, one page at a time
+const userEntriesPath = (uid, limit, cursor) =>
+  `/api/waste?submitterId=${encodeURIComponent(uid)}&order=desc&limit=${limit}` +
+  (cursor ? `&cursor=${encodeURIComponent(cursor)}` : '');
+
+function DashboardPage({ user, role }) {
+  const { t, formatNumber } = useI18n();
+  const [wasteEntries, setWasteEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // How many entries are on screen, so refreshes don't collapse loaded pages
+  const loadedCountRef = useRef(ENTRIES_PAGE_SIZE);
+
+  useEffect(() => {
+    if (!user) {
+      setLoading(false);
+      return;
+    }
+
+    const fetchWasteEntries = async () => {
+      try {
+        setLoading(true);
+        const limit = Math.min(Math.max(loadedCountRef.current, ENTRIES_PAGE_SIZE), 100);
+        const data = await api.get(userEntriesPath(user.uid, limit));
+
+        setWasteEntries(data.items);
+        setNextCursor(data.nextCursor);
+      } catch (error) {
+        console.error("Error fetching waste entries:", error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Initial load
+    fetchWasteEntries();
+
+    // 🕒 Auto-refresh every 10 seconds
+    const interval = setInterval(fetchWasteEntries, 10000);
+
+    // 🔄 Refresh immediately when a new waste entry is added
+    const listener = () => fetchWasteEntries();
+    window.addEventListener("waste-updated", listener);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("waste-updated", listener);
+    };
+  }, [user]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await api.get(userEntriesPath(user.uid, ENTRIES_PAGE_SIZE, nextCursor));
+
+      setWasteEntries((entries) => {
+        const merged = [...entries, ...data.items];
+        loadedCountRef.current = merged.length;
+        return merged;
+      });
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      toastError(t("dashboard.errors.loadMore"), error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">
+          {t('dashboard.title')}
+        </h1>
+        {canOrganize(role) && (
+          <Link
+            to={PAGE_PATHS.import}
+            className="px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {t('dashboard.import')}
+          </Link>
+        )}
+      </div>
+
+      {/* ✅ Summary Section */}
+      <CollectionSummary user={user} role={role} />
+
+      {/* ✅ Layout with Form + Entries */}
+      <div className="grid grid-cols-1 gap-8 md:grid-cols-3">
+        <div className="md:col-span-1">
+          <SubmitWasteForm user={user} />
+        </div>
+
+        <div className="md:col-span-2">
+          <PendingSyncList user={user} />
+
+          <h2 className="pb-2 mb-4 text-xl font-semibold text-gray-700 border-b-2">
+            {t('dashboard.recentEntries')}
+          </h2>
+
+          <div className="p-6 bg-white rounded-xl shadow-lg">
+            {loading && <p>{t('dashboard.loading')}</p>}
+
+            {!loading && wasteEntries.length === 0 && (
+              <div className="p-6 text-center bg-gray-100 rounded-lg">
+                <p className="text-gray-600">
+                  {t('dashboard.empty')}
+                </p>
+              </div>
+            )}
+
+            <ul className="space-y-4">
+              {wasteEntries.map((entry) => (
+                <li
+                  key={entry.id}
+                  className="p-4 border rounded-md bg-gray-50"
+                >
+                  <Link to={`/entries/${entry.id}`} className="font-semibold text-blue-700 hover:underline">
+                    {wasteTypeLabel(t, entry.type)}
+                  </Link>
+                  :{" "}
+                  {entry.unit ? (
+                    <>
+                      <span className="ml-2 font-bold">
+                        {formatNumber(entry.quantity)} {wasteUnitLabel(t, entry.unit)}
+                      </span>
+                      {entry.unit !== "kg" && (
+                        <span className="text-sm text-gray-600"> (~{formatNumber(entry.estimatedKg)} kg)</span>
+                      )}
+                    </>
+                  ) : (
+                    <span className="ml-2 font-bold">{entry.volume}</span>
+                  )}
+                  <EntryStatusBadge entry={entry} />
+                  <p className="text-xs text-gray-500">
+                    {t('dashboard.at', { location: entry.location })}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {t('dashboard.loggedBy')} <PublicName uid={entry.submitterId} />
+                  </p>
+                  {entry.photos?.length > 0 && <PhotoGallery photos={entry.photos} />}
+                </li>
+              ))}
+            </ul>
+
+            {nextCursor && (
+              <button
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+                className="w-full px-6 py-2 mt-4 text-sm font-medium text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100 disabled:text-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {loadingMore ? t('common.loading') : t('common.loadMore')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+
+
+/**
+ * Entry Status Badge (review state of a waste entry)
+ */
+const ENTRY_STATUS_STYLES = {
+  pending: 'text-amber-800 bg-amber-100',
+  approved: 'text-emerald-800 bg-emerald-100',
+  rejected: 'text-red-800 bg-red-100',
+};
+
+function EntryStatusBadge({ entry }) {
+  const { t } = useI18n();
+  // Entries from before reviews existed have no status and count as approved
+  const status = entry.status || 'approved';
+  return (
+    <div className="flex flex-wrap items-center gap-2 my-1">
+      <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${ENTRY_STATUS_STYLES[status]}`}>{t(`entryStatus.${status}`)}</span>
+      {entry.original && (
+        <span className="text-xs text-gray-500">
+          {t('entryStatus.correctedFrom', {
+            quantity: entry.original.quantity,
+            unit: wasteUnitLabel(t, entry.original.unit),
+            type: wasteTypeLabel(t, entry.original.type),
+          })}
+        </span>
+      )}
+      {entry.reviewNote && <span className="text-xs italic text-gray-600">“{entry.reviewNote}”</span>}
+    </div>
+  );
+}
+
+/**
+ * Entry Detail Page (one waste entry at its own URL, /entries/:entryId)
+ */
+function EntryDetailPage() {
+  const { t, formatDateTime, formatNumber } = useI18n();
+  const { entryId } = useParams();
+  const [entry, setEntry] = useState(undefined); // undefined while loading, null if not found
+
+  useEffect(() => {
+    let cancelled = false;
+    setEntry(undefined);
+    api.get(`/api/waste/${entryId}`)
+      .then((data) => {
+        if (!cancelled) setEntry(data);
+      })
+      .catch((error) => {
+        if (error.kind !== 'notFound') toastError(t('entryDetail.errors.load'), error);
+        if (!cancelled) setEntry(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [entryId, t]);
+
+  if (entry === null) return <NotFound />;
+
+  return (
+    <div className="max-w-3xl mx-auto space-y-6">
+      <Link to={PAGE_PATHS.dashboard} className="text-sm font-medium text-blue-700 hover:underline">
+        ← {t('import.backToDashboard')}
+      </Link>
+      {entry === undefined && <p>{t('entryDetail.loading')}</p>}
+      {entry && (
+        <div className="p-6 bg-white rounded-xl shadow-lg">
+          <h1 className="text-2xl font-bold text-blue-700">
+            {wasteTypeLabel(t, entry.type)}:{" "}
+            {entry.unit ? `${formatNumber(entry.quantity)} ${wasteUnitLabel(t, entry.unit)}` : entry.volume}
+          </h1>
+          {entry.unit && entry.unit !== 'kg' && (
+            <p className="text-sm text-gray-600">~{formatNumber(entry.estimatedKg)} kg</p>
+          )}
+          <EntryStatusBadge entry={entry} />
+          <div className="mt-4 text-sm text-gray-800">
+            <p><span className="font-semibold">{t('events.location')}</span> {entry.location}</p>
+            <p><span className="font-semibold">{t('events.date')}</span> {formatDateTime(entry.createdAt)}</p>
+            {entry.eventId && (
+              <p>
+                <Link to={`/events/${entry.eventId}`} className="font-medium text-blue-700 hover:underline">
+                  {t('entryDetail.event')}
+                </Link>
+              </p>
+            )}
+            <p className="text-xs text-gray-500">
+              {t('dashboard.loggedBy')} <PublicName uid={entry.submitterId} />
+            </p>
+          </div>
+          {entry.photos?.length > 0 && <PhotoGallery photos={entry.photos} />}
+          {entry.latitude != null && entry.longitude != null && (
+            <div className="mt-4 overflow-hidden border border-gray-200 rounded-md">
+              <MapContainer center={[entry.latitude, entry.longitude]} zoom={16} style={{ height: 260 }}>
+                <TileLayer url={MAP_TILE_URL} attribution={MAP_ATTRIBUTION} />
+                <Marker position={[entry.latitude, entry.longitude]} />
+              </MapContainer>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Pending Sync List (entries saved on this device while offline)
+ */
+function PendingSyncList({ user }) {
+  const { t, formatDateTime } = useI18n();
+  const [items, setItems] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+  useEffect(() => {
+    const refresh = () =>
+      listPendingEntries(user.uid)
+        .then(setItems)
+        .catch((error) => console.error("Error reading queued entries:", error));
+    const updateOnline = () => setIsOnline(navigator.onLine);
+
+    refresh();
+    window.addEventListener(PENDING_WASTE_EVENT, refresh);
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    return () => {
+      window.removeEventListener(PENDING_WASTE_EVENT, refresh);
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+    };
+  }, [user]);
+
+  if (items.length === 0) return null;
+
+  const handleSyncNow = async () => {
+    setIsSyncing(true);
+    try {
+      await syncPendingWaste(user.uid);
+    } catch (error) {
+      console.error("Error syncing queued entries:", error);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  const handleDiscard = async (item) => {
+    if (!window.confirm(t("pendingSync.discardConfirm"))) return;
+    await removePendingEntry(item.id);
+  };
+
+  return (
+    <div className="p-4 mb-6 border border-amber-200 rounded-xl bg-amber-50">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="font-semibold text-amber-800">
+          {t('pendingSync.title', { count: items.length })}
+          {!isOnline && <span className="ml-2 text-sm font-normal">· {t('pendingSync.offline')}</span>}
+        </h3>
+        <button
+          onClick={handleSyncNow}
+          disabled={isSyncing || !isOnline}
+          className="px-4 py-1 text-sm font-medium text-white bg-amber-600 rounded-full hover:bg-amber-700 disabled:bg-gray-400"
+        >
+          {isSyncing ? t('pendingSync.syncing') : t('pendingSync.syncNow')}
+        </button>
+      </div>
+      <ul className="space-y-2">
+        {items.map((item) => (
+          <li key={item.id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-white rounded-md">
+            <div>
+              <p className="text-sm">
+                <span className="font-semibold text-blue-700">{wasteTypeLabel(t, item.payload.type)}</span>: {item.payload.quantity} {wasteUnitLabel(t, item.payload.unit)}
+                <span className="text-gray-500"> {t('dashboard.at', { location: item.payload.location })}</span>
+              </p>
+              <p className="text-xs text-gray-500">
+                {t('pendingSync.saved', { time: formatDateTime(item.queuedAt) })}
+                {item.entryId && ` · ${t('pendingSync.photosUploading')}`}
+              </p>
+              {item.status === "rejected" && (
+                <p className="text-xs text-red-700">{t('pendingSync.rejected', { error: item.error })}</p>
+              )}
+            </div>
+            {item.status === "rejected" && (
+              <button
+                onClick={() => handleDiscard(item)}
+                className="px-3 py-1 text-xs font-medium text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+              >
+                {t('pendingSync.discard')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Review Page (organizers approve, correct or reject pending waste entries)
+ */
+const REVIEW_PAGE_SIZE = 20;
+
+function ReviewPage({ user, role }) {
+  const { t } = useI18n();
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [location, setLocation] = useState('');
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+  const barangays = useBarangays();
+
+  // Oldest first, so nothing waits in the queue for long
+  const queuePath = useCallback((cursor) =>
+    `/api/waste?status=pending&order=asc&limit=${REVIEW_PAGE_SIZE}` +
+    (location ? `&location=${encodeURIComponent(location)}` : '') +
+    (cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''), [location]);
+
+  const loadQueue = useCallback(async (cursor) => {
+    setLoading(true);
+    try {
+      const data = await api.get(queuePath(cursor));
+      setEntries((list) => (cursor ? [...list, ...data.items] : data.items));
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      toastError(t("review.errors.load"), error);
+    } finally {
+      setLoading(false);
+    }
+  }, [queuePath, t]);
+
+  useEffect(() => {
+    loadQueue(null);
+  }, [loadQueue]);
+
+  // Reviewed entries leave the queue
+  const handleReviewed = (id) => {
+    setEntries((list) => list.filter((e) => e.id !== id));
+    window.dispatchEvent(new Event("waste-updated"));
+  };
+
+  const visibleEntries = flaggedOnly ? entries.filter((e) => e.flagged) : entries;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">{t('review.title')}</h1>
+        <div className="flex flex-wrap items-end gap-3 text-sm">
+          <label className="text-gray-600">
+            {t('common.barangay')}
+            <select
+              value={location}
+              onChange={(e) => setLocation(e.target.value)}
+              className="block px-2 py-1 mt-1 border border-gray-300 rounded-md"
+            >
+              <option value="">{t('common.all')}</option>
+              {barangays.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 pb-1 text-gray-600">
+            <input type="checkbox" checked={flaggedOnly} onChange={(e) => setFlaggedOnly(e.target.checked)} />
+            {t('review.flaggedOnly')}
+          </label>
+        </div>
+      </div>
+
+      {!loading && visibleEntries.length === 0 && (
+        <div className="p-6 text-center bg-gray-100 rounded-lg">
+          <p className="text-gray-600">{t('review.empty')} 🎉</p>
+        </div>
+      )}
+      <div className="space-y-4">
+        {visibleEntries.map((entry) => (
+          <ReviewCard
+            key={entry.id}
+            entry={entry}
+            canReview={entry.submitterId !== user.uid || role === 'admin'}
+            onReviewed={handleReviewed}
+          />
+        ))}
+      </div>
+      {loading && <p className="mt-4 text-gray-600">{t('dashboard.loading')}</p>}
+      {nextCursor && !loading && (
+        <button
+          onClick={() => loadQueue(nextCursor)}
+          className="w-full px-6 py-2 mt-4 text-sm font-medium text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100"
+        >
+          {t('common.loadMore')}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function ReviewCard({ entry, canReview, onReviewed }) {
+  const { t, formatDateTime } = useI18n();
+  const [mode, setMode] = useState(null); // null, 'reject' or 'correct'
+  const [reason, setReason] = useState('');
+  const [corrections, setCorrections] = useState({
+    type: entry.type,
+    quantity: String(entry.quantity ?? ''),
+    unit: entry.unit || 'kg',
+    location: entry.location || '',
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const barangays = useBarangays();
+
+  const submitReview = async (action) => {
+    setIsSaving(true);
+    try {
+      await api.post(`/api/waste/${entry.id}/review`, {
+        action,
+        reason,
+        ...(action === 'correct' ? { corrections: { ...corrections, quantity: Number(corrections.quantity) } } : {}),
+      });
+      toast.success(action === 'reject' ? t('review.rejected') : t('review.approved'));
+      onReviewed(entry.id);
+    } catch (error) {
+      toastError(t("review.errors.save"), error);
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = "px-2 py-1 border border-gray-300 rounded-md";
+
+  return (
+    <div className={`p-4 bg-white rounded-xl shadow ${entry.flagged ? 'border-l-4 border-amber-500' : ''}`}>
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <p>
+            <Link to={`/entries/${entry.id}`} className="font-semibold text-blue-700 hover:underline">{wasteTypeLabel(t, entry.type)}</Link>:{" "}
+            <span className="font-bold">{entry.quantity} {wasteUnitLabel(t, entry.unit)}</span>
+            {entry.unit !== 'kg' && <span className="text-sm text-gray-600"> (~{entry.estimatedKg} kg)</span>}
+          </p>
+          <p className="text-xs text-gray-500">
+            {t('dashboard.at', { location: entry.location })} · {formatDateTime(entry.createdAt)} · {t('review.byPrefix')} <PublicName uid={entry.submitterId} />
+          </p>
+          {(entry.flags || []).map((flag) => (
+            <p key={flag} className="text-xs font-medium text-amber-700">⚠️ {flag}</p>
+          ))}
+        </div>
+        {canReview ? (
+          <div className="flex gap-2">
+            <button
+              onClick={() => submitReview('approve')}
+              disabled={isSaving}
+              className="px-3 py-1 text-sm font-medium text-white bg-emerald-600 rounded-full hover:bg-emerald-700 disabled:bg-gray-400"
+            >
+              {t('review.approve')}
+            </button>
+            <button
+              onClick={() => setMode(mode === 'correct' ? null : 'correct')}
+              className="px-3 py-1 text-sm font-medium text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100"
+            >
+              {t('review.correct')}
+            </button>
+            <button
+              onClick={() => setMode(mode === 'reject' ? null : 'reject')}
+              className="px-3 py-1 text-sm font-medium text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+            >
+              {t('review.reject')}
+            </button>
+          </div>
+        ) : (
+          <span className="text-xs text-gray-500">{t('review.ownEntry')}</span>
+        )}
+      </div>
+
+      {entry.photos?.length > 0 && <PhotoGallery photos={entry.photos} />}
+
+      {mode === 'reject' && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={t('review.reasonPlaceholder')}
+            className={`flex-1 ${inputClass}`}
+          />
+          <button
+            onClick={() => submitReview('reject')}
+            disabled={isSaving || !reason.trim()}
+            className="px-4 py-1 text-sm font-medium text-white bg-red-600 rounded-full hover:bg-red-700 disabled:bg-gray-400"
+          >
+            {t('review.confirmReject')}
+          </button>
+        </div>
+      )}
+
+      {mode === 'correct' && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+          <select
+            value={corrections.type}
+            onChange={(e) => setCorrections({ ...corrections, type: e.target.value })}
+            className={inputClass}
+          >
+            {WASTE_TYPES.map((type) => (
+              <option key={type} value={type}>{wasteTypeLabel(t, type)}</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={corrections.quantity}
+            onChange={(e) => setCorrections({ ...corrections, quantity: e.target.value })}
+            className={`w-24 ${inputClass}`}
+          />
+          <select
+            value={corrections.unit}
+            onChange={(e) => setCorrections({ ...corrections, unit: e.target.value })}
+            className={inputClass}
+          >
+            {WASTE_UNITS.map((u) => (
+              <option key={u} value={u}>{wasteUnitLabel(t, u)}</option>
+            ))}
+          </select>
+          <select
+            value={corrections.location}
+            onChange={(e) => setCorrections({ ...corrections, location: e.target.value })}
+            className={inputClass}
+          >
+            {barangays.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={t('review.notePlaceholder')}
+            className={`flex-1 ${inputClass}`}
+          />
+          <button
+            onClick={() => submitReview('correct')}
+            disabled={isSaving || !corrections.quantity}
+            className="px-4 py-1 font-medium text-white bg-blue-600 rounded-full hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            {t('review.saveAndApprove')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Import Page (bulk CSV import of paper tally sheets)
+ */
+const IMPORT_FIELDS = [
+  { key: 'type', required: true },
+  { key: 'quantity', required: true },
+  { key: 'unit', required: false },
+  { key: 'barangay', required: true },
+  { key: 'date', required: true },
+];
+
+// Header names commonly used on the paper forms, per field
+const IMPORT_HEADER_HINTS = {
+  type: ['type', 'waste type', 'uri', 'category'],
+  quantity: ['quantity', 'qty', 'volume', 'amount', 'dami'],
+  unit: ['unit', 'units'],
+  barangay: ['barangay', 'brgy', 'location'],
+  date: ['date', 'collection date', 'petsa'],
+};
+
+// Pre-selects the CSV column whose header matches a field's hints
+const guessColumnMapping = (headers) =>
+  Object.fromEntries(IMPORT_FIELDS.map(({ key }) => [
+    key,
+    headers.find((h) => IMPORT_HEADER_HINTS[key].includes(h.trim().toLowerCase())) || '',
+  ]));
+
+function ImportPage() {
+  const { t, formatDate, formatDateTime } = useI18n();
+  const [file, setFile] = useState(null);
+  const [csv, setCsv] = useState(null); // { headers, rows } as parsed
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [batches, setBatches] = useState([]);
+
+  const fetchBatches = async () => {
+    try {
+      setBatches(await api.get('/api/imports'));
+    } catch (error) {
+      console.error("Error fetching imports:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
+  const handleFile = (selected) => {
+    setFile(selected);
+    setCsv(null);
+    setPreview(null);
+    if (!selected) return;
+
+    Papa.parse(selected, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      complete: ({ data, meta }) => {
+        setCsv({ headers: meta.fields || [], rows: data });
+        setMapping(guessColumnMapping(meta.fields || []));
+      },
+      error: (error) => toastError(t("import.errors.read"), error),
+    });
+  };
+
+  // The CSV rows re-keyed by the chosen column mapping
+  const mappedRows = () =>
+    csv.rows.map((row) =>
+      Object.fromEntries(IMPORT_FIELDS.map(({ key }) => [key, mapping[key] ? row[mapping[key]] ?? '' : ''])));
+
+  const handlePreview = async () => {
+    setIsWorking(true);
+    try {
+      setPreview(await api.post('/api/imports/preview', { rows: mappedRows() }));
+    } catch (error) {
+      toastError(t("import.errors.preview"), error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    setIsWorking(true);
+    try {
+      const data = await api.post('/api/imports', { filename: file.name, rows: mappedRows() });
+      toast.success(t("import.imported", { count: data.entryCount }));
+      handleFile(null);
+      fetchBatches();
+      window.dispatchEvent(new Event("waste-updated"));
+    } catch (error) {
+      toastError(t("import.errors.import"), error);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRollback = async (batch) => {
+    if (!window.confirm(t("import.rollbackConfirm", { name: batch.filename || batch.id, count: batch.entryCount ?? batch.rowCount }))) return;
+    try {
+      const data = await api.delete(`/api/imports/${batch.id}`);
+      toast.success(t("import.rolledBack", { count: data.deleted }));
+      fetchBatches();
+      window.dispatchEvent(new Event("waste-updated"));
+    } catch (error) {
+      toastError(t("import.errors.rollback"), error);
+    }
+  };
+
+  const missingRequired = IMPORT_FIELDS.some(({ key, required }) => required && !mapping[key]);
+  // What was sent for preview, to show invalid rows as the user wrote them
+  const previewSource = preview ? mappedRows() : [];
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-3xl font-bold text-gray-900">{t('import.title')}</h1>
+        <Link
+          to={PAGE_PATHS.dashboard}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200"
+        >
+          {t('import.backToDashboard')}
+        </Link>
+      </div>
+
+      <div className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+        <p className="text-sm text-gray-600">
+          {t('import.instructions')}
+        </p>
+        <input
+          key={file ? file.name : 'empty'}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => handleFile(e.target.files[0] || null)}
+          className="text-sm text-gray-600 file:mr-2 file:px-3 file:py-1 file:border-0 file:rounded-full file:bg-blue-50 file:text-blue-700"
+        />
+
+        {csv && (
+          <>
+            <p className="text-sm text-gray-700">{t('import.rowsFound', { count: csv.rows.length })}</p>
+            <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+              {IMPORT_FIELDS.map(({ key, required }) => (
+                <div key={key}>
+                  <label className="block text-sm font-medium text-gray-700">
+                    {t(`import.fields.${key}`)}{required && ' *'}
+                  </label>
+                  <select
+                    value={mapping[key] || ''}
+                    onChange={(e) => {
+                      setMapping({ ...mapping, [key]: e.target.value });
+                      setPreview(null);
+                    }}
+                    className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">— {t('import.none')} —</option>
+                    {csv.headers.map((h) => (
+                      <option key={h} value={h}>{h}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              <button
+                onClick={handlePreview}
+                disabled={isWorking || missingRequired}
+                className="px-6 py-2 font-medium text-white bg-blue-600 rounded-full shadow hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {t('import.preview')}
+              </button>
+              {preview && (
+                <button
+                  onClick={handleCommit}
+                  disabled={isWorking || preview.invalidCount > 0}
+                  className="px-6 py-2 font-medium text-white bg-emerald-600 rounded-full shadow hover:bg-emerald-700 disabled:bg-gray-400"
+                >
+                  {isWorking ? t('import.importing') : t('import.importCount', { count: preview.validCount })}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+
+        {preview && (
+          <div>
+            <p className={`text-sm font-medium ${preview.invalidCount > 0 ? 'text-red-700' : 'text-emerald-700'}`}>
+              {preview.invalidCount > 0
+                ? t('import.invalidRows', { invalid: preview.invalidCount, count: preview.rows.length })
+                : t('import.allValid', { count: preview.rows.length })}
+            </p>
+            <div className="mt-3 overflow-x-auto max-h-96">
+              <table className="min-w-full text-sm">
+                <thead className="text-left text-gray-600 bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1">{t('import.columns.row')}</th>
+                    <th className="px-2 py-1">{t('import.columns.type')}</th>
+                    <th className="px-2 py-1">{t('import.columns.quantity')}</th>
+                    <th className="px-2 py-1">{t('import.columns.barangay')}</th>
+                    <th className="px-2 py-1">{t('import.columns.date')}</th>
+                    <th className="px-2 py-1">{t('import.columns.errors')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(({ index, errors, fields }) => {
+                    const source = previewSource[index];
+                    // Row numbers as seen in a spreadsheet (header is row 1)
+                    return (
+                      <tr key={index} className={errors.length > 0 ? 'bg-red-50' : ''}>
+                        <td className="px-2 py-1 text-gray-500">{index + 2}</td>
+                        <td className="px-2 py-1">{fields ? fields.type : source.type}</td>
+                        <td className="px-2 py-1">
+                          {fields ? `${fields.quantity} ${fields.unit}` : `${source.quantity} ${source.unit}`}
+                        </td>
+                        <td className="px-2 py-1">{fields ? fields.location : source.barangay}</td>
+                        <td className="px-2 py-1">
+                          {fields ? formatDate(fields.createdAt) : source.date}
+                        </td>
+                        <td className="px-2 py-1 text-red-700">{errors.join('; ')}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="p-6 bg-white rounded-xl shadow-lg">
+        <h2 className="pb-2 mb-4 text-xl font-semibold text-gray-700 border-b-2">{t('import.pastImports')}</h2>
+        {batches.length === 0 && <p className="text-gray-600">{t('import.noImports')}</p>}
+        <ul className="space-y-3">
+          {batches.map((batch) => (
+            <li key={batch.id} className="flex flex-wrap items-center justify-between gap-2 p-3 border rounded-md bg-gray-50">
+              <div>
+                <p className="font-medium text-gray-800">{batch.filename || batch.id}</p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(batch.createdAt)} · {t('import.entries', { count: batch.entryCount ?? batch.rowCount })}
+                  {batch.createdByEmail && ` · ${t('review.by', { name: batch.createdByEmail })}`}
+                </p>
+              </div>
+              {batch.status === 'rolledBack' ? (
+                <span className="px-2 py-1 text-xs font-medium text-gray-600 bg-gray-200 rounded-full">{t('import.rolledBackStatus')}</span>
+              ) : (
+                <button
+                  onClick={() => handleRollback(batch)}
+                  className="px-3 py-1 text-sm font-medium text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+                >
+                  {t('import.rollback')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+
+/**
+ * Admin Users Page (list users and change their roles)
+ */
+function AdminUsersPage({ user }) {
+  const { t, formatDate } = useI18n();
+  const [users, setUsers] = useState([]);
+  const [nextPageToken, setNextPageToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [savingUid, setSavingUid] = useState(null);
+
+  const loadUsers = useCallback(async (pageToken) => {
+    setLoading(true);
+    try {
+      const data = await api.get(`/api/admin/users${pageToken ? `?pageToken=${encodeURIComponent(pageToken)}` : ''}`);
+      setUsers((list) => (pageToken ? [...list, ...data.users] : data.users));
+      setNextPageToken(data.nextPageToken);
+    } catch (error) {
+      toastError(t("users.errors.load"), error);
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadUsers(null);
+  }, [loadUsers]);
+
+  const handleRoleChange = async (target, role) => {
+    setSavingUid(target.uid);
+    try {
+      await api.put(`/api/admin/users/${target.uid}/role`, { role });
+      setUsers((list) => list.map((u) => (u.uid === target.uid ? { ...u, role } : u)));
+      toast.success(t("users.roleChanged", { name: target.email || target.uid, role: t(`roles.${role}`) }));
+    } catch (error) {
+      toastError(t("users.errors.role"), error);
+    } finally {
+      setSavingUid(null);
+    }
+  };
+
+  const term = search.trim().toLowerCase();
+  const visibleUsers = term
+    ? users.filter((u) => [u.email, u.displayName, u.uid].some((value) => value?.toLowerCase().includes(term)))
+    : users;
+
+  return (
+    <div>
+      <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('users.title')}</h1>
+      <div className="p-6 bg-white rounded-xl shadow-lg">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('users.search')}
+          className="w-full px-3 py-2 mb-4 border border-gray-300 rounded-md shadow-sm md:w-80 focus:ring-emerald-500 focus:border-emerald-500"
+        />
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-600 bg-gray-50">
+              <tr>
+                <th className="px-3 py-2">{t('users.columns.user')}</th>
+                <th className="px-3 py-2">{t('users.columns.lastSignIn')}</th>
+                <th className="px-3 py-2">{t('users.columns.role')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleUsers.map((u) => (
+                <tr key={u.uid} className="border-t">
+                  <td className="px-3 py-2">
+                    <p className="font-medium text-gray-800">{u.email || u.uid}</p>
+                    {u.displayName && <p className="text-xs text-gray-500">{u.displayName}</p>}
+                    {u.disabled && <p className="text-xs text-red-600">{t('users.disabled')}</p>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {u.lastSignInAt ? formatDate(u.lastSignInAt) : t('users.never')}
+                  </td>
+                  <td className="px-3 py-2">
+                    <select
+                      value={u.role}
+                      disabled={savingUid === u.uid || u.uid === user.uid}
+                      onChange={(e) => handleRoleChange(u, e.target.value)}
+                      title={u.uid === user.uid ? t('users.ownRole') : undefined}
+                      className="px-2 py-1 border border-gray-300 rounded-md disabled:bg-gray-100"
+                    >
+                      {ROLES.map((value) => (
+                        <option key={value} value={value}>{t(`roles.${value}`)}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {loading && <p className="mt-4 text-gray-600">{t('users.loading')}</p>}
+        {nextPageToken && !loading && (
+          <button
+            onClick={() => loadUsers(nextPageToken)}
+            className="w-full px-6 py-2 mt-4 text-sm font-medium text-emerald-700 bg-emerald-50 rounded-full hover:bg-emerald-100"
+          >
+            {t('common.loadMore')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Photo Gallery (before/after evidence on a waste entry)
+ */
+function PhotoGallery({ photos }) {
+  const { t, formatDateTime } = useI18n();
+  const [openPhoto, setOpenPhoto] = useState(null);
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2 mt-2">
+        {photos.map((photo) => (
+          <button
+            key={photo.id}
+            type="button"
+            onClick={() => setOpenPhoto(photo)}
+            className="relative overflow-hidden rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <img
+              src={apiUrl(photo.thumbnailPath)}
+              alt={t(`photos.alt.${photo.stage}`)}
+              loading="lazy"
+              className="object-cover w-16 h-16"
+            />
+            <span className="absolute bottom-0 left-0 right-0 text-[10px] text-white capitalize bg-black bg-opacity-50">
+              {t(`photos.stage.${photo.stage}`)}
+            </span>
+          </button>
+        ))}
+      </div>
+      {openPhoto && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-75"
+          onClick={() => setOpenPhoto(null)}
+        >
+          <figure className="max-w-3xl">
+            <img
+              src={apiUrl(openPhoto.path)}
+              alt={t(`photos.alt.${openPhoto.stage}`)}
+              className="object-contain max-h-[80vh] rounded-lg"
+            />
+            <figcaption className="mt-2 text-sm text-center text-white capitalize">
+              {t(`photos.stage.${openPhoto.stage}`)} · {formatDateTime(openPhoto.uploadedAt)}
+            </figcaption>
+          </figure>
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Collection Summary (dashboard charts)
+ */
+const WASTE_TYPE_COLORS = {
+  Mixed: '#6b7280',
+  Plastic: '#2563eb',
+  Paper: '#d97706',
+  Glass: '#0d9488',
+  Organic: '#16a34a',
+  Other: '#9333ea',
+  Unknown: '#d1d5db',
+};
+
+function CollectionSummary({ user, role }) {
+  const { t, formatNumber } = useI18n();
+  const [stats, setStats] = useState(null);
+  // includePending is 'true' or '' so empty filters are left out of the query string
+  const [filters, setFilters] = useState({ groupBy: 'week', from: '', to: '', location: '', includePending: '' });
+  const barangays = useBarangays();
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchStats = async () => {
+      try {
+        const params = new URLSearchParams(
+          Object.entries(filters).filter(([, value]) => value)
+        );
+        setStats(await api.get(`/api/stats?${params}`));
+      } catch (err) {
+        console.error("Error fetching stats:", err);
+      }
+    };
+
+    fetchStats();
+    const interval = setInterval(fetchStats, 10000);
+    window.addEventListener("waste-updated", fetchStats);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener("waste-updated", fetchStats);
+    };
+  }, [user, filters]);
+
+  const handleFilterChange = (field) => (e) => setFilters({ ...filters, [field]: e.target.value });
+
+  if (!stats) return null;
+
+  // Recharts wants flat rows: one per period / barangay with a key per waste type
+  const types = Object.keys(stats.kgByType || {});
+  const seriesRows = (stats.series || []).map((point) => ({ period: point.period, totalKg: point.totalKg }));
+  const barangayRows = Object.entries(stats.kgByBarangayAndType || {}).map(([barangay, byType]) => ({
+    barangay,
+    ...byType,
+  }));
+  const wow = stats.weekOverWeek;
+
+  return (
+    <div className="p-6 mb-8 bg-white rounded-xl shadow">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <h2 className="text-lg font-semibold text-gray-700">
+          {t('summary.title')}
+        </h2>
+        <div className="flex flex-wrap items-end gap-2 text-sm">
+          <label className="text-gray-600">
+            {t('summary.groupBy')}
+            <select
+              value={filters.groupBy}
+              onChange={handleFilterChange('groupBy')}
+              className="block px-2 py-1 mt-1 border border-gray-300 rounded-md"
+            >
+              <option value="day">{t('summary.day')}</option>
+              <option value="week">{t('summary.week')}</option>
+              <option value="month">{t('summary.month')}</option>
+            </select>
+          </label>
+          <label className="text-gray-600">
+            {t('summary.from')}
+            <input type="date" value={filters.from} onChange={handleFilterChange('from')} className="block px-2 py-1 mt-1 border border-gray-300 rounded-md" />
+          </label>
+          <label className="text-gray-600">
+            {t('summary.to')}
+            <input type="date" value={filters.to} onChange={handleFilterChange('to')} className="block px-2 py-1 mt-1 border border-gray-300 rounded-md" />
+          </label>
+          <label className="text-gray-600">
+            {t('common.barangay')}
+            <select
+              value={filters.location}
+              onChange={handleFilterChange('location')}
+              className="block px-2 py-1 mt-1 border border-gray-300 rounded-md"
+            >
+              <option value="">{t('common.all')}</option>
+              {barangays.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+          {/* Only organizers can count entries still awaiting review */}
+          {canOrganize(role) && (
+            <label className="flex items-center gap-1 pb-1 text-gray-600">
+              <input
+                type="checkbox"
+                checked={filters.includePending === 'true'}
+                onChange={(e) => setFilters({ ...filters, includePending: e.target.checked ? 'true' : '' })}
+              />
+              {t('summary.includePending')}
+            </label>
+          )}
+          <ExportButtons
+            path="/api/waste/export"
+            filters={{ from: filters.from, to: filters.to, location: filters.location }}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <div className="p-4 rounded-lg bg-blue-50">
+          <p className="text-sm text-gray-600">{t('summary.estimatedTotal')}</p>
+          <p className="text-2xl font-bold text-blue-700">{formatNumber(stats.totalKg ?? 0)} kg</p>
+          <p className="text-xs text-gray-500">{t('import.entries', { count: stats.totalEntries })}</p>
+        </div>
+        <div className="p-4 rounded-lg bg-emerald-50">
+          <p className="text-sm text-gray-600">{t('summary.last7Days')}</p>
+          <p className="text-2xl font-bold text-emerald-700">{formatNumber(wow?.thisWeekKg ?? 0)} kg</p>
+          <p className="text-xs text-gray-500">
+            {wow?.changePct == null
+              ? t('summary.noPreviousWeek')
+              : `${wow.changePct >= 0 ? '▲' : '▼'} ${t('summary.weekChange', {
+                pct: formatNumber(Math.abs(wow.changePct)),
+                kg: formatNumber(wow.lastWeekKg),
+              })}`}
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-gray-50">
+          <p className="text-sm text-gray-600">{t('summary.barangays')}</p>
+          <p className="text-2xl font-bold text-gray-700">{barangayRows.length}</p>
+          <p className="text-xs text-gray-500">{t('summary.withCollections')}</p>
+        </div>
+      </div>
+      {stats.unmeasuredEntries > 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          {t('summary.unmeasured', { count: stats.unmeasuredEntries })}
+        </p>
+      )}
+      {stats.pendingEntries > 0 && !stats.includePending && (
+        <p className="mt-1 text-xs text-gray-500">
+          {t('summary.pendingNotCounted', { count: stats.pendingEntries })}
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 gap-8 mt-6 lg:grid-cols-2">
+        <div>
+          <h3 className="mb-2 font-semibold text-gray-700">{t('summary.overTime')}</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={seriesRows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="period" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} />
+              <Tooltip />
+              <Line type="monotone" dataKey="totalKg" name="kg" stroke="#2563eb" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <h3 className="mb-2 font-semibold text-gray-700">{t('summary.byBarangay')}</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={barangayRows}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="barangay" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} />
+              <Tooltip />
+              <Legend />
+              {types.map((type) => (
+                <Bar key={type} dataKey={type} name={wasteTypeLabel(t, type)} stackId="kg" fill={WASTE_TYPE_COLORS[type] || WASTE_TYPE_COLORS.Unknown} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Submit Waste Form
+ */
+function SubmitWasteForm({ user }) {
+  const { t, formatDate } = useI18n();
+  const [type, setType] = useState("Mixed");
+  const [quantity, setQuantity] = useState("");
+  const [unit, setUnit] = useState("bags");
+  const [location, setLocation] = useState("");
+  const [coordinates, setCoordinates] = useState({ latitude: null, longitude: null });
+  const [photos, setPhotos] = useState({ before: [], after: [] });
+  const [eventId, setEventId] = useState("");
+  const [attendedEvents, setAttendedEvents] = useState([]);
+  // Bumped after a submit to remount (and so clear) the file inputs
+  const [fileInputKey, setFileInputKey] = useState(0);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const barangays = useBarangays();
+
+  // Recent events the user went to, which entries can be linked to
+  useEffect(() => {
+    if (!user) return;
+    let cancelled = false;
+    api.get('/api/me/attended-events')
+      .then((data) => {
+        if (!cancelled) setAttendedEvents(data.events);
+      })
+      .catch((error) => console.error("Error fetching attended events:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const resetForm = () => {
+    setType("Mixed");
+    setQuantity("");
+    setUnit("bags");
+    setLocation("");
+    setCoordinates({ latitude: null, longitude: null });
+    setPhotos({ before: [], after: [] });
+    setEventId("");
+    setFileInputKey((key) => key + 1);
+  };
+
+  // Picking an event fills in its barangay unless one was typed already
+  const handleEventChange = (id) => {
+    setEventId(id);
+    const event = attendedEvents.find((e) => e.id === id);
+    if (event?.barangay && !location) setLocation(event.barangay);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!user) return;
+    setIsSubmitting(true);
+
+    // The backend identifies the submitter from the verified ID token
+    const item = createPendingEntry(user.uid, {
+      type,
+      quantity: Number(quantity),
+      unit,
+      location,
+      ...coordinates,
+      ...(eventId ? { eventId } : {}),
+    }, photos);
+
+    try {
+      const result = navigator.onLine ? await deliverWasteEntry(item) : { status: "retry" };
+
+      if (result.status === "rejected") {
+        toast.error(result.error ? `${t("submitWaste.failed")}: ${result.error}` : t("submitWaste.failed"));
+        return;
+      }
+
+      if (result.status === "retry") {
+        // Kept on this device and sent automatically once the connection is back
+        await savePendingEntry({ ...item, entryId: result.entryId || null, error: result.error || null });
+        toast.info(t("submitWaste.savedOffline"));
+      } else {
+        if (result.photosFailed) toast.warning(t("submitWaste.photosFailed"));
+        else toast.success(t("submitWaste.submitted"));
+        // 🆕 Trigger dashboard refresh event
+        window.dispatchEvent(new Event("waste-updated"));
+      }
+      resetForm();
+    } catch (error) {
+      toastError(t("submitWaste.errors.save"), error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="p-6 bg-white rounded-xl shadow-lg space-y-4"
+    >
+      <h2 className="text-xl font-semibold text-gray-800">
+        {t('submitWaste.title')}
+      </h2>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          {t('submitWaste.type')}
+        </label>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          {WASTE_TYPES.map((value) => (
+            <option key={value} value={value}>
+              {wasteTypeLabel(t, value)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          {t('submitWaste.quantity')}
+        </label>
+        <div className="flex mt-1 space-x-2">
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <select
+            value={unit}
+            onChange={(e) => setUnit(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            {WASTE_UNITS.map((u) => (
+              <option key={u} value={u}>
+                {wasteUnitLabel(t, u)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700">
+          {t('submitWaste.location')}
+        </label>
+        <input
+          type="text"
+          list="waste-barangay-options"
+          value={location}
+          onChange={(e) => setLocation(e.target.value)}
+          required
+          placeholder={t('submitWaste.locationPlaceholder')}
+          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        />
+        <datalist id="waste-barangay-options">
+          {barangays.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+      </div>
+
+      <LocationPicker value={coordinates} onChange={setCoordinates} />
+
+      {attendedEvents.length > 0 && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            {t('submitWaste.event')}
+          </label>
+          <select
+            value={eventId}
+            onChange={(e) => handleEventChange(e.target.value)}
+            className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">{t('submitWaste.noEvent')}</option>
+            {attendedEvents.map((event) => (
+              <option key={event.id} value={event.id}>
+                {event.title} ({formatDate(event.date)})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {["before", "after"].map((stage) => (
+          <div key={stage}>
+            <label className="block text-sm font-medium text-gray-700">
+              {t(`submitWaste.photos.${stage}`)}
+            </label>
+            <input
+              key={fileInputKey}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              multiple
+              onChange={(e) => setPhotos({ ...photos, [stage]: Array.from(e.target.files).slice(0, 4) })}
+              className="w-full mt-1 text-xs text-gray-600 file:mr-2 file:px-2 file:py-1 file:border-0 file:rounded-full file:bg-blue-50 file:text-blue-700"
+            />
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="submit"
+        disabled={isSubmitting}
+        className="w-full px-6 py-2 font-medium text-white bg-blue-600 rounded-full shadow-lg hover:bg-blue-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+      >
+        {isSubmitting ? t('submitWaste.submitting') : t('submitWaste.submit')}
+      </button>
+    </form>
+  );
+}
+
+
+/**
+ * Location Picker (optional coordinates for waste entries and events)
+ */
+function MapClickHandler({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick({ latitude: e.latlng.lat, longitude: e.latlng.lng }),
+  });
+  return null;
+}
+
+function LocationPicker({ value, onChange }) {
+  const { t } = useI18n();
+  const [isLocating, setIsLocating] = useState(false);
+  const [showMap, setShowMap] = useState(false);
+  const hasPoint = value && value.latitude != null && value.longitude != null;
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error(t("locationPicker.unsupported"));
+      return;
+    }
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        onChange({ latitude: position.coords.latitude, longitude: position.coords.longitude });
+        setIsLocating(false);
+      },
+      (error) => {
+        toastError(t("locationPicker.errors.locate"), error);
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700">{t('locationPicker.label')}</label>
+      <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+        <button
+          type="button"
+          onClick={handleUseMyLocation}
+          disabled={isLocating}
+          className="px-3 py-1 text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200 disabled:text-gray-400"
+        >
+          {isLocating ? t('locationPicker.locating') : `📍 ${t('locationPicker.useMyLocation')}`}
+        </button>
+        <button
+          type="button"
+          onClick={() => setShowMap(!showMap)}
+          className="px-3 py-1 text-gray-700 bg-gray-100 rounded-full hover:bg-gray-200"
+        >
+          {showMap ? t('locationPicker.hideMap') : `🗺️ ${t('locationPicker.pickOnMap')}`}
+        </button>
+        {hasPoint && (
+          <>
+            <span className="font-mono text-gray-500">
+              {value.latitude.toFixed(5)}, {value.longitude.toFixed(5)}
+            </span>
+            <button
+              type="button"
+              onClick={() => onChange({ latitude: null, longitude: null })}
+              className="text-red-600 hover:underline"
+            >
+              {t('locationPicker.clear')}
+            </button>
+          </>
+        )}
+      </div>
+      {showMap && (
+        <div className="mt-2 overflow-hidden border border-gray-300 rounded-md">
+          <MapContainer
+            center={hasPoint ? [value.latitude, value.longitude] : LAS_PINAS_CENTER}
+            zoom={14}
+            style={{ height: 220 }}
+          >
+            <TileLayer url={MAP_TILE_URL} attribution={MAP_ATTRIBUTION} />
+            <MapClickHandler onPick={onChange} />
+            {hasPoint && <Marker position={[value.latitude, value.longitude]} />}
+          </MapContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Map Page (waste collection clusters, heat shading and events)
+ */
+const HEAT_CELL_DEGREES = 0.003; // roughly 300m
+
+// Sums estimated kg into a grid of cells so heavy-collection areas can be shaded
+function buildHeatCells(features) {
+  const cells = new Map();
+  features.forEach((f) => {
+    const [lng, lat] = f.geometry.coordinates;
+    const row = Math.floor(lat / HEAT_CELL_DEGREES);
+    const col = Math.floor(lng / HEAT_CELL_DEGREES);
+    const key = `${row}:${col}`;
+    const cell = cells.get(key) || { row, col, kg: 0 };
+    cell.kg += f.properties.estimatedKg || 0;
+    cells.set(key, cell);
+  });
+  return [...cells.values()];
+}
+
+function MapPage({ user }) {
+  const { t, formatDate, formatNumber } = useI18n();
+  const [waste, setWaste] = useState(null);
+  const [events, setEvents] = useState(null);
+  const [layers, setLayers] = useState({ clusters: true, heat: true, events: true });
+
+  useEffect(() => {
+    if (!user) return;
+    const load = async (path, setter) => {
+      try {
+        setter(await api.get(path));
+      } catch (error) {
+        console.error(`Error fetching ${path}:`, error);
+        setter({ type: 'FeatureCollection', features: [] });
+      }
+    };
+    load("/api/waste.geojson", setWaste);
+    load("/api/events.geojson", setEvents);
+  }, [user]);
+
+  const heatCells = waste ? buildHeatCells(waste.features) : [];
+  const maxCellKg = Math.max(1, ...heatCells.map((c) => c.kg));
+  const toggleLayer = (layer) => setLayers({ ...layers, [layer]: !layers[layer] });
+
+  return (
+    <div>
+      <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('map.title')}</h1>
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+        {['clusters', 'heat', 'events'].map((layer) => (
+          <label key={layer} className="flex items-center space-x-1">
+            <input type="checkbox" checked={layers[layer]} onChange={() => toggleLayer(layer)} />
+            <span>{t(`map.layers.${layer}`)}</span>
+          </label>
+        ))}
+        {waste && (
+          <span className="text-xs text-gray-500">
+            {t('map.counts', { entries: waste.features.length, events: events ? events.features.length : 0 })}
+          </span>
+        )}
+      </div>
+
+      <div className="overflow-hidden bg-white rounded-xl shadow-lg">
+        <MapContainer center={LAS_PINAS_CENTER} zoom={14} style={{ height: '70vh' }}>
+          <TileLayer url={MAP_TILE_URL} attribution={MAP_ATTRIBUTION} />
+
+          {layers.heat && heatCells.map((cell) => (
+            <Rectangle
+              key={`${cell.row}:${cell.col}`}
+              bounds={[
+                [cell.row * HEAT_CELL_DEGREES, cell.col * HEAT_CELL_DEGREES],
+                [(cell.row + 1) * HEAT_CELL_DEGREES, (cell.col + 1) * HEAT_CELL_DEGREES],
+              ]}
+              pathOptions={{ stroke: false, fillColor: '#dc2626', fillOpacity: 0.15 + 0.6 * (cell.kg / maxCellKg) }}
+            >
+              <Popup>{t('map.cellKg', { kg: formatNumber(cell.kg, { maximumFractionDigits: 2 }) })}</Popup>
+            </Rectangle>
+          ))}
+
+          {layers.clusters && waste && (
+            <MarkerClusterGroup chunkedLoading>
+              {waste.features.map((f) => (
+                <Marker key={f.id} position={[f.geometry.coordinates[1], f.geometry.coordinates[0]]}>
+                  <Popup>
+                    <strong>{wasteTypeLabel(t, f.properties.type)}</strong>
+                    {f.properties.unit && `: ${f.properties.quantity} ${wasteUnitLabel(t, f.properties.unit)}`}
+                    <br />
+                    ~{formatNumber(f.properties.estimatedKg)} kg, {f.properties.location}
+                    <br />
+                    {formatDate(f.properties.createdAt)}
+                  </Popup>
+                </Marker>
+              ))}
+            </MarkerClusterGroup>
+          )}
+
+          {layers.events && events && events.features.map((f) => (
+            <CircleMarker
+              key={f.id}
+              center={[f.geometry.coordinates[1], f.geometry.coordinates[0]]}
+              radius={9}
+              pathOptions={{ color: f.properties.status === 'cancelled' ? '#9ca3af' : '#059669', fillOpacity: 0.8 }}
+            >
+              <Popup>
+                <strong>{f.properties.title}</strong>
+                {f.properties.status === 'cancelled' && ` (${t('map.cancelled')})`}
+                <br />
+                {f.properties.date && formatDate(f.properties.date)}, {f.properties.location}
+                <br />
+                {t('map.going', { count: f.properties.attendeeCount })}
+              </Popup>
+            </CircleMarker>
+          ))}
+        </MapContainer>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Leaderboard Page (top volunteers and barangays for a period)
+ */
+// Mirrors the backend's LEADERBOARD_PERIODS
+const LEADERBOARD_PERIODS = ['week', 'month', 'year', 'all'];
+
+function LeaderboardPage() {
+  const { t, formatNumber } = useI18n();
+  const [period, setPeriod] = useState('month');
+  const [board, setBoard] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setBoard(null);
+    api.get(`/api/leaderboard?period=${period}`)
+      .then((data) => { if (!cancelled) setBoard(data); })
+      .catch((error) => toastError(t('leaderboard.errors.load'), error));
+    return () => { cancelled = true; };
+  }, [period, t]);
+
+  const volunteerName = (row) => <UserBadge profile={row.anonymous ? null : row} />;
+  const kg = (row) => t('leaderboard.kg', { kg: formatNumber(row.kg, { maximumFractionDigits: 2 }) });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">{t('leaderboard.title')}</h1>
+        <label className="text-sm text-gray-600">
+          {t('leaderboard.period')}
+          <select
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="block px-2 py-1 mt-1 border border-gray-300 rounded-md"
+          >
+            {LEADERBOARD_PERIODS.map((value) => (
+              <option key={value} value={value}>{t(`leaderboard.periods.${value}`)}</option>
+            ))}
+          </select>
+        </label>
       </div>
+
+      <p className="mb-6 text-sm text-gray-600">
+        {t('leaderboard.privacyHint')}{' '}
+        <Link to="/profile" className="font-medium text-emerald-700 hover:underline">{t('leaderboard.editProfile')}</Link>
+      </p>
+
+      {!board ? (
+        <p className="text-gray-600">{t('common.loading')}</p>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2">
+          <LeaderboardTable title={t('leaderboard.volunteersByKg')} rows={board.volunteers.byKg} name={volunteerName} value={kg} />
+          <LeaderboardTable
+            title={t('leaderboard.volunteersByEvents')}
+            rows={board.volunteers.byEvents}
+            name={volunteerName}
+            value={(row) => t('leaderboard.events', { count: row.events })}
+          />
+          <LeaderboardTable title={t('leaderboard.barangaysByKg')} rows={board.barangays.byKg} name={(row) => row.barangay} value={kg} />
+          <LeaderboardTable
+            title={t('leaderboard.barangaysByEvents')}
+            rows={board.barangays.byEvents}
+            name={(row) => row.barangay}
+            value={(row) => t('leaderboard.attendees', { count: row.attendees, events: row.events })}
+          />
+        </div>
+      )}
     </div>
   );
 }
 
-
+/**
+ * Leaderboard Table (one ranking, e.g. volunteers by kg)
+ */
+function LeaderboardTable({ title, rows, name, value }) {
+  const { t } = useI18n();
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-lg">
+      <h2 className="mb-4 text-lg font-semibold text-gray-700">{title}</h2>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('leaderboard.empty')}</p>
+      ) : (
+        <ol className="space-y-2">
+          {rows.map((row, i) => (
+            <li key={i} className="flex items-center justify-between gap-4 text-sm">
+              <span className="flex items-center gap-3">
+                <span className="w-6 font-bold text-right text-emerald-700">{row.rank}</span>
+                <span className="text-gray-800">{name(row)}</span>
+              </span>
+              <span className="text-gray-600">{value(row)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
 
 /**
- * Submit Waste Form
+ * Profile Page (the user's public name, avatar, barangay and visibility)
  */
-function SubmitWasteForm({ user }) {
-  const [type, setType] = useState("Mixed");
-  const [volume, setVolume] = useState("");
-  const [location, setLocation] = useState("");
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const wasteTypes = ["Mixed", "Plastic", "Paper", "Glass", "Organic", "Other"];
+// Mirrors the backend's VISIBILITIES
+const PROFILE_VISIBILITIES = ['public', 'private'];
+
+function ProfilePage({ user }) {
+  const { t } = useI18n();
+  const barangays = useBarangays();
+  const [profile, setProfile] = useState(null);
+  const [values, setValues] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+
+  useEffect(() => {
+    api.get('/api/me/profile')
+      .then((data) => {
+        setProfile(data);
+        setValues({
+          displayName: data.displayName || '',
+          homeBarangay: data.homeBarangay || '',
+          organization: data.organization || '',
+          visibility: data.visibility,
+        });
+      })
+      .catch((error) => toastError(t('profile.errors.load'), error));
+  }, [t]);
+
+  if (!values) return <p className="text-gray-600">{t('common.loading')}</p>;
+
+  // Others see the saved profile, so drop the cached copy of ours after changes
+  const saved = (data) => {
+    profileCache.delete(user.uid);
+    setProfile(data);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!user) return;
-    setIsSubmitting(true);
-
+    setIsSaving(true);
     try {
-      const res = await fetch("http://localhost:5000/api/waste", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type,
-          volume,
-          location,
-          user: {
-            uid: user.uid,
-            email: user.email,
-          },
-        }),
-      });
+      saved(await api.put('/api/me/profile', values));
+      toast.success(t('profile.saved'));
+    } catch (error) {
+      toastError(t('profile.errors.save'), error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
 
-      if (res.ok) {
-        alert("✅ Waste entry submitted!");
-        setType("Mixed");
-        setVolume("");
-        setLocation("");
+  const handleAvatarChange = async (file) => {
+    if (!file) return;
+    setIsUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('image', file);
+      const { avatar } = await api.put('/api/me/avatar', formData);
+      saved({ ...profile, avatar });
+    } catch (error) {
+      toastError(t('profile.errors.avatar'), error);
+    } finally {
+      setIsUploading(false);
+    }
+  };
 
-        // 🆕 Trigger dashboard refresh event
-        window.dispatchEvent(new Event("waste-updated"));
-      } else {
-        const errData = await res.json();
-        console.error("Error from backend:", errData);
-        alert("❌ Failed to submit waste entry");
-      }
+  const handleAvatarRemove = async () => {
+    setIsUploading(true);
+    try {
+      await api.delete('/api/me/avatar');
+      saved({ ...profile, avatar: null });
     } catch (error) {
-      console.error("Network error submitting waste data:", error);
-      alert("❌ Could not connect to backend");
+      toastError(t('profile.errors.avatar'), error);
     } finally {
-      setIsSubmitting(false);
+      setIsUploading(false);
     }
   };
 
+  const inputClass = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500";
+  const isPublic = profile.visibility === 'public' && profile.displayName;
+
   return (
-    <form
-      onSubmit={handleSubmit}
-      className="p-6 bg-white rounded-xl shadow-lg space-y-4"
-    >
-      <h2 className="text-xl font-semibold text-gray-800">
-        Log Collected Waste
-      </h2>
+    <div className="max-w-2xl mx-auto">
+      <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('profile.title')}</h1>
+      <div className="p-6 mb-6 bg-white rounded-xl shadow-lg">
+        <div className="flex flex-wrap items-center gap-4">
+          {profile.avatar ? (
+            <img src={apiUrl(profile.avatar.path)} alt="" className="object-cover w-20 h-20 rounded-full" />
+          ) : (
+            <div className="flex items-center justify-center w-20 h-20 text-3xl bg-gray-100 rounded-full">🙂</div>
+          )}
+          <div className="space-y-1 text-sm">
+            <input
+              type="file"
+              accept="image/*"
+              disabled={isUploading}
+              onChange={(e) => handleAvatarChange(e.target.files[0])}
+              className="text-xs text-gray-600 file:mr-2 file:px-2 file:py-1 file:border-0 file:rounded-full file:bg-emerald-50 file:text-emerald-700"
+            />
+            {profile.avatar && (
+              <button type="button" onClick={handleAvatarRemove} disabled={isUploading} className="block text-xs text-red-600 hover:underline">
+                {t('profile.removeAvatar')}
+              </button>
+            )}
+            {isUploading && <p className="text-xs text-gray-500">{t('profile.uploading')}</p>}
+          </div>
+        </div>
+        <p className="mt-4 text-sm text-gray-600">
+          {t('profile.shownAs')} <UserBadge profile={isPublic ? { displayName: profile.displayName, avatar: profile.avatar?.path } : null} />
+        </p>
+      </div>
 
-      <div>
-        <label className="block text-sm font-medium text-gray-700">
-          Waste Type
-        </label>
-        <select
-          value={type}
-          onChange={(e) => setType(e.target.value)}
-          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-        >
-          {wasteTypes.map((t) => (
-            <option key={t} value={t}>
-              {t}
-            </option>
+      <form onSubmit={handleSubmit} className="p-6 bg-white rounded-xl shadow-lg space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('profile.fields.displayName')}</label>
+          <input
+            type="text"
+            value={values.displayName}
+            onChange={(e) => setValues({ ...values, displayName: e.target.value })}
+            required={values.visibility === 'public'}
+            maxLength={40}
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">{t('profile.fields.homeBarangay')}</label>
+            <select
+              value={values.homeBarangay}
+              onChange={(e) => setValues({ ...values, homeBarangay: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">{t('common.selectBarangay')}</option>
+              {barangays.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">{t('profile.fields.organization')}</label>
+            <input
+              type="text"
+              value={values.organization}
+              onChange={(e) => setValues({ ...values, organization: e.target.value })}
+              maxLength={80}
+              placeholder={t('profile.organizationPlaceholder')}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <fieldset className="space-y-2">
+          <legend className="text-sm font-medium text-gray-700">{t('profile.fields.visibility')}</legend>
+          {PROFILE_VISIBILITIES.map((value) => (
+            <label key={value} className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="visibility"
+                value={value}
+                checked={values.visibility === value}
+                onChange={() => setValues({ ...values, visibility: value })}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium">{t(`profile.visibility.${value}`)}</span>
+                <span className="block text-xs text-gray-500">{t(`profile.visibility.${value}Hint`)}</span>
+              </span>
+            </label>
           ))}
-        </select>
-      </div>
+        </fieldset>
+        <p className="text-xs text-gray-500">{t('profile.emailHint')}</p>
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:bg-gray-400"
+          >
+            {isSaving ? t('common.saving') : t('common.saveChanges')}
+          </button>
+        </div>
+      </form>
 
-      <div>
-        <label className="block text-sm font-medium text-gray-700">
-          Volume (e.g., "10 bags" or "5 kg")
-        </label>
-        <input
-          type="text"
-          value={volume}
-          onChange={(e) => setVolume(e.target.value)}
-          required
-          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-        />
-      </div>
+      <NotificationSettings />
+    </div>
+  );
+}
 
-      <div>
-        <label className="block text-sm font-medium text-gray-700">
-          Location / Barangay
+/**
+ * Notification Settings (muted categories and email delivery)
+ */
+// Mirrors the backend's NOTIFICATION_CATEGORIES
+const NOTIFICATION_CATEGORIES = ['reminder', 'eventChanged', 'eventCancelled'];
+
+function NotificationSettings() {
+  const { t } = useI18n();
+  const [values, setValues] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/api/me/preferences')
+      .then(({ mutedNotifications, emailNotifications }) => setValues({ mutedNotifications, emailNotifications }))
+      .catch((error) => console.error("Error fetching preferences:", error));
+  }, []);
+
+  if (!values) return null;
+
+  const toggleCategory = (category) => {
+    const muted = values.mutedNotifications.includes(category)
+      ? values.mutedNotifications.filter((c) => c !== category)
+      : [...values.mutedNotifications, category];
+    setValues({ ...values, mutedNotifications: muted });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await api.put('/api/me/preferences', values);
+      toast.success(t('notifications.settings.saved'));
+    } catch (error) {
+      toastError(t('notifications.settings.error'), error);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 mt-6 bg-white rounded-xl shadow-lg space-y-3">
+      <h2 className="text-lg font-semibold text-gray-700">{t('notifications.settings.title')}</h2>
+      <p className="text-sm text-gray-500">{t('notifications.settings.hint')}</p>
+      {NOTIFICATION_CATEGORIES.map((category) => (
+        <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={!values.mutedNotifications.includes(category)}
+            onChange={() => toggleCategory(category)}
+          />
+          {t(`notifications.categories.${category}`)}
         </label>
+      ))}
+      <label className="flex items-center gap-2 pt-2 text-sm text-gray-700 border-t">
         <input
-          type="text"
-          value={location}
-          onChange={(e) => setLocation(e.target.value)}
-          required
-          placeholder="e.g., Zapote, Pulang Lupa"
-          className="w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          type="checkbox"
+          checked={values.emailNotifications}
+          onChange={(e) => setValues({ ...values, emailNotifications: e.target.checked })}
         />
+        {t('notifications.settings.email')}
+      </label>
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:bg-gray-400"
+        >
+          {isSaving ? t('common.saving') : t('common.saveChanges')}
+        </button>
       </div>
-
-      <button
-        type="submit"
-        disabled={isSubmitting}
-        className="w-full px-6 py-2 font-medium text-white bg-blue-600 rounded-full shadow-lg hover:bg-blue-700 disabled:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-      >
-        {isSubmitting ? "Submitting..." : "Submit Data"}
-      </button>
     </form>
   );
 }
 
-
 /**
  * Awareness Page
  */
+// Mirrors the backend's TIP_CATEGORIES
+const TIP_CATEGORIES = ['segregation', 'flooding', 'composting', 'mrf', 'general'];
+const tipCategoryLabel = (t, category) => t(`tips.categories.${category}`, { fallback: category });
+
+// A tip's title and content in the given language, or its own (English) text
+const tipText = (tip, language) => tip.translations?.[language] || tip;
+
+// Shown until an admin publishes tips (or when they can't be loaded)
+const DEFAULT_TIPS = [
+  {
+    id: '1', category: 'segregation', title: 'Segregate Your Waste', content: 'Properly separate biodegradables (nabubulok) from non-biodegradables (di-nabubulok) to help waste collection and recycling.',
+    translations: { fil: { title: 'Ihiwalay ang Inyong Basura', content: 'Paghiwalayin nang maayos ang nabubulok at di-nabubulok para mapadali ang pangongolekta at pag-recycle ng basura.' } },
+  },
+  {
+    id: '2', category: 'general', title: 'Reduce Single-Use Plastics', content: 'Bring your own eco-bag when shopping and use a reusable water bottle instead of buying bottled water.',
+    translations: { fil: { title: 'Bawasan ang Single-Use na Plastik', content: 'Magdala ng sariling eco-bag sa pamimili at gumamit ng reusable na lalagyan ng tubig sa halip na bumili ng bottled water.' } },
+  },
+  {
+    id: '3', category: 'general', title: 'Conserve Water', content: 'Simple acts like turning off the tap while brushing your teeth can save gallons of water every day.',
+    translations: { fil: { title: 'Magtipid sa Tubig', content: 'Ang simpleng pagsasara ng gripo habang nagsisipilyo ay nakakatipid ng maraming galon ng tubig araw-araw.' } },
+  },
+  {
+    id: '4_las_pinas', category: 'mrf', title: 'Know Your Local MRF', content: 'Find your local Materials Recovery Facility (MRF) in Las Piñas to dispose of recyclables properly.',
+    translations: { fil: { title: 'Alamin ang Inyong MRF', content: 'Hanapin ang Materials Recovery Facility (MRF) sa inyong lugar sa Las Piñas para maitapon nang tama ang mga recyclable.' } },
+  },
+];
+
+function TipCard({ tip }) {
+  const { t, language } = useI18n();
+  const { title, content } = tipText(tip, language);
+  return (
+    <div className="overflow-hidden bg-white rounded-xl shadow-lg transition-all hover:scale-105">
+      {tip.image && <img src={apiUrl(tip.image.path)} alt="" className="object-cover w-full h-40" />}
+      <div className="p-6">
+        <span className="text-xs font-medium tracking-wide text-emerald-700 uppercase">
+          {tipCategoryLabel(t, tip.category)}
+        </span>
+        <h3 className="text-lg font-semibold text-yellow-800">{title}</h3>
+        <div className="mt-2 text-gray-600 tip-content">
+          <ReactMarkdown>{content}</ReactMarkdown>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 function AwarenessPage({ user }) {
+  const { t } = useI18n();
   const [tips, setTips] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [category, setCategory] = useState('');
 
   useEffect(() => {
     if (!user) {
@@ -859,44 +4372,46 @@ function AwarenessPage({ user }) {
       return;
     }
     setLoading(true); // Set loading to true when we start fetching
-    const defaultTips = [
-      { id: '1', title: 'Segregate Your Waste', content: 'Properly separate biodegradables (nabubulok) from non-biodegradables (di-nabubulok) to help waste collection and recycling.' },
-      { id: '2', title: 'Reduce Single-Use Plastics', content: 'Bring your own eco-bag when shopping and use a reusable water bottle instead of buying bottled water.' },
-      { id: '3', title: 'Conserve Water', content: 'Simple acts like turning off the tap while brushing your teeth can save gallons of water every day.' },
-      { id: '4_las_pinas', title: 'Know Your Local MRF', content: 'Find your local Materials Recovery Facility (MRF) in Las Piñas to dispose of recyclables properly.' },
-    ];
-
-    const q = query(tipsColRef);
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      let tipsData = snapshot.docs.map(doc => ({ ...doc.data(), id: doc.id })); // <-- BUG FIX: Removed extra dot from snapshot.docs..map
-      if (tipsData.length === 0) {
-        tipsData = defaultTips;
-      }
-      setTips(tipsData);
-      setLoading(false);
-    }, (error) => {
-      console.error("Error fetching tips:", error);
-      setTips(defaultTips);
-      setLoading(false);
-    });
-    return unsubscribe;
+    api.get('/api/tips')
+      .then((data) => setTips(data.tips.length > 0 ? data.tips : DEFAULT_TIPS))
+      .catch((error) => {
+        console.error("Error fetching tips:", error);
+        setTips(DEFAULT_TIPS);
+      })
+      .finally(() => setLoading(false));
   }, [user]);
 
+  const categories = TIP_CATEGORIES.filter((c) => tips.some((tip) => tip.category === c));
+  const visibleTips = category ? tips.filter((tip) => tip.category === category) : tips;
+
   return (
     <div>
-      <h1 className="mb-6 text-3xl font-bold text-gray-900">Environmental Awareness</h1>
+      <h1 className="mb-6 text-3xl font-bold text-gray-900">{t('awareness.title')}</h1>
       <p className="mb-8 text-lg text-gray-600">
-        Small changes in our daily habits can make a big difference. Here are some tips for a more sustainable community.
+        {t('awareness.intro')}
       </p>
 
-      {loading && <p>Loading tips...</p>}
+      {categories.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          {['', ...categories].map((c) => (
+            <button
+              key={c || 'all'}
+              onClick={() => setCategory(c)}
+              className={`px-4 py-1 text-sm font-medium rounded-full ${
+                category === c ? 'text-white bg-emerald-600' : 'text-emerald-700 bg-emerald-50 hover:bg-emerald-100'
+              }`}
+            >
+              {c ? tipCategoryLabel(t, c) : t('common.all')}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {loading && <p>{t('tips.loading')}</p>}
 
       <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
-        {tips.map(tip => (
-          <div key={tip.id} className="p-6 bg-white rounded-xl shadow-lg transition-all hover:scale-105">
-            <h3 className="text-lg font-semibold text-yellow-800">{tip.title}</h3>
-            <p className="mt-2 text-gray-600">{tip.content}</p>
-          </div>
+        {visibleTips.map(tip => (
+          <TipCard key={tip.id} tip={tip} />
         ))}
       </div>
 
@@ -904,13 +4419,318 @@ function AwarenessPage({ user }) {
   );
 }
 
+/**
+ * Tips Admin Page (create, edit, publish and order awareness tips)
+ */
+const emptyTipValues = { title: '', category: 'segregation', content: '', filTitle: '', filContent: '', published: false };
+
+function TipsAdminPage() {
+  const { t } = useI18n();
+  const [tips, setTips] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null, 'new' or the tip being edited
+
+  const loadTips = useCallback(async () => {
+    try {
+      setTips((await api.get('/api/admin/tips')).tips);
+    } catch (error) {
+      toastError(t("tips.errors.load"), error);
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadTips();
+  }, [loadTips]);
+
+  const handleTogglePublished = async (tip) => {
+    try {
+      await api.patch(`/api/tips/${tip.id}`, { published: !tip.published });
+      toast.success(t(tip.published ? "tips.unpublished" : "tips.published", { title: tip.title }));
+      loadTips();
+    } catch (error) {
+      toastError(t("tips.errors.update"), error);
+    }
+  };
+
+  // Swaps a tip with its neighbour and saves the whole order
+  const handleMove = async (index, direction) => {
+    const reordered = [...tips];
+    [reordered[index], reordered[index + direction]] = [reordered[index + direction], reordered[index]];
+    setTips(reordered);
+    try {
+      await api.put('/api/tips/order', { ids: reordered.map((tip) => tip.id) });
+    } catch (error) {
+      toastError(t("tips.errors.reorder"), error);
+      loadTips();
+    }
+  };
+
+  const handleDelete = async (tip) => {
+    if (!window.confirm(t("tips.deleteConfirm", { title: tip.title }))) return;
+    try {
+      await api.delete(`/api/tips/${tip.id}`);
+      toast.success(t("tips.deleted"));
+      loadTips();
+    } catch (error) {
+      toastError(t("tips.errors.delete"), error);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">{t('tips.title')}</h1>
+        <button
+          onClick={() => setEditing('new')}
+          className="px-4 py-2 text-sm font-medium text-white bg-emerald-600 rounded-full hover:bg-emerald-700"
+        >
+          {t('tips.newTip')}
+        </button>
+      </div>
+
+      {editing && (
+        <TipEditor
+          tip={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            loadTips();
+          }}
+        />
+      )}
+
+      {loading && <p>{t('tips.loading')}</p>}
+      {!loading && tips.length === 0 && (
+        <div className="p-6 text-center bg-gray-100 rounded-lg">
+          <p className="text-gray-600">{t('tips.empty')}</p>
+        </div>
+      )}
+      <ul className="space-y-3">
+        {tips.map((tip, index) => (
+          <li key={tip.id} className="flex flex-wrap items-center justify-between gap-3 p-4 bg-white rounded-xl shadow">
+            <div className="flex items-center gap-3">
+              <div className="flex flex-col">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="px-2 text-gray-500 hover:text-gray-800 disabled:text-gray-200"
+                  title={t('tips.moveUp')}
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === tips.length - 1}
+                  className="px-2 text-gray-500 hover:text-gray-800 disabled:text-gray-200"
+                  title={t('tips.moveDown')}
+                >
+                  ▼
+                </button>
+              </div>
+              <div>
+                <p className="font-semibold text-gray-800">{tip.title}</p>
+                <p className="text-xs text-gray-500">
+                  {tipCategoryLabel(t, tip.category)}
+                  {tip.image && ` · ${t('tips.withImage')}`}
+                  {tip.translations?.fil && ` · ${t('tips.translated')}`}
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => handleTogglePublished(tip)}
+                className={`px-3 py-1 text-sm font-medium rounded-full ${
+                  tip.published ? 'text-emerald-800 bg-emerald-100 hover:bg-emerald-200' : 'text-gray-700 bg-gray-100 hover:bg-gray-200'
+                }`}
+              >
+                {tip.published ? t('tips.publishedStatus') : t('tips.draft')}
+              </button>
+              <button
+                onClick={() => setEditing(tip)}
+                className="px-3 py-1 text-sm font-medium text-blue-700 bg-blue-50 rounded-full hover:bg-blue-100"
+              >
+                {t('common.edit')}
+              </button>
+              <button
+                onClick={() => handleDelete(tip)}
+                className="px-3 py-1 text-sm font-medium text-red-600 bg-red-100 rounded-full hover:bg-red-200"
+              >
+                {t('common.delete')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function TipEditor({ tip, onClose, onSaved }) {
+  const { t } = useI18n();
+  const [values, setValues] = useState(tip
+    ? {
+      title: tip.title,
+      category: tip.category,
+      content: tip.content,
+      filTitle: tip.translations?.fil?.title || '',
+      filContent: tip.translations?.fil?.content || '',
+      published: Boolean(tip.published),
+    }
+    : emptyTipValues);
+  const [imageFile, setImageFile] = useState(null);
+  const [removeImage, setRemoveImage] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    // A blank Filipino version is dropped, so the tip falls back to English
+    const { filTitle, filContent, ...fields } = values;
+    const body = { ...fields, translations: { fil: { title: filTitle, content: filContent } } };
+    try {
+      const saved = tip
+        ? await api.patch(`/api/tips/${tip.id}`, body)
+        : await api.post('/api/tips', body);
+
+      if (imageFile) {
+        const formData = new FormData();
+        formData.append('image', imageFile);
+        await api.put(`/api/tips/${saved.id}/image`, formData);
+      } else if (removeImage && tip?.image) {
+        await api.delete(`/api/tips/${saved.id}/image`);
+      }
+      toast.success(tip ? t('tips.updated') : t('tips.created'));
+      onSaved();
+    } catch (error) {
+      toastError(t("tips.errors.save"), error);
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass = "w-full px-3 py-2 mt-1 border border-gray-300 rounded-md shadow-sm focus:ring-emerald-500 focus:border-emerald-500";
+
+  return (
+    <form onSubmit={handleSubmit} className="p-6 mb-6 bg-white rounded-xl shadow-lg space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">{tip ? t('tips.editTitle') : t('tips.newTitle')}</h2>
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.title')}</label>
+          <input
+            type="text"
+            value={values.title}
+            onChange={(e) => setValues({ ...values, title: e.target.value })}
+            required
+            maxLength={120}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.category')}</label>
+          <select
+            value={values.category}
+            onChange={(e) => setValues({ ...values, category: e.target.value })}
+            className={inputClass}
+          >
+            {TIP_CATEGORIES.map((value) => (
+              <option key={value} value={value}>{tipCategoryLabel(t, value)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.content')}</label>
+          <textarea
+            value={values.content}
+            onChange={(e) => setValues({ ...values, content: e.target.value })}
+            required
+            rows="8"
+            className={`font-mono text-sm ${inputClass}`}
+          />
+        </div>
+        <div>
+          <p className="block text-sm font-medium text-gray-700">{t('tips.fields.preview')}</p>
+          <div className="h-full p-3 mt-1 overflow-auto text-gray-600 border border-gray-200 rounded-md tip-content max-h-52">
+            <ReactMarkdown>{values.content || `*${t('tips.nothingToPreview')}*`}</ReactMarkdown>
+          </div>
+        </div>
+      </div>
+      <fieldset className="p-4 space-y-3 border border-gray-200 rounded-md">
+        <legend className="px-1 text-sm font-medium text-gray-700">{t('tips.fields.filipino')}</legend>
+        <p className="text-xs text-gray-500">{t('tips.filipinoHint')}</p>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.title')}</label>
+          <input
+            type="text"
+            value={values.filTitle}
+            onChange={(e) => setValues({ ...values, filTitle: e.target.value })}
+            required={Boolean(values.filContent.trim())}
+            maxLength={120}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.content')}</label>
+          <textarea
+            value={values.filContent}
+            onChange={(e) => setValues({ ...values, filContent: e.target.value })}
+            required={Boolean(values.filTitle.trim())}
+            rows="5"
+            className={`font-mono text-sm ${inputClass}`}
+          />
+        </div>
+      </fieldset>
+      <div className="flex flex-wrap items-center gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">{t('tips.fields.image')}</label>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={(e) => setImageFile(e.target.files[0] || null)}
+            className="mt-1 text-xs text-gray-600 file:mr-2 file:px-2 file:py-1 file:border-0 file:rounded-full file:bg-emerald-50 file:text-emerald-700"
+          />
+          {tip?.image && !imageFile && (
+            <label className="flex items-center gap-1 mt-1 text-xs text-gray-600">
+              <input type="checkbox" checked={removeImage} onChange={(e) => setRemoveImage(e.target.checked)} />
+              {t('tips.removeImage')}
+            </label>
+          )}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={values.published}
+            onChange={(e) => setValues({ ...values, published: e.target.checked })}
+          />
+          {t('tips.publishedStatus')}
+        </label>
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onClose} className="px-4 py-2 text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200">
+          {t('common.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="px-4 py-2 text-white bg-emerald-600 rounded-md hover:bg-emerald-700 disabled:bg-gray-400"
+        >
+          {isSaving ? t('common.saving') : t('tips.save')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
 /**
  * Footer Component
  */
 function Footer() {
+  const { t } = useI18n();
   return (
     <footer className="py-6 mt-12 text-center text-gray-500 bg-gray-100 border-t">
-      <p>&copy; {new Date().getFullYear()} Clean-Up Tracker. For a cleaner Las Piñas.</p>
+      <p>&copy; {new Date().getFullYear()} {t('app.name')}. {t('footer.tagline')}</p>
     </footer>
   );
 }
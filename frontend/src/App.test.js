@@ -1,8 +1,152 @@
 import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
 import App from './App';
+import { api, ApiError } from './api.js';
+import { I18nProvider } from './i18n';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// A signed-in volunteer, and the Firestore documents the app listens to
+const mockUser = {
+  uid: 'volunteer-1',
+  email: 'volunteer@example.com',
+  isAnonymous: false,
+  getIdToken: () => Promise.resolve('token'),
+  getIdTokenResult: () => Promise.resolve({ claims: {} }),
+};
+const mockDocs = {};
+
+jest.mock('firebase/app', () => ({ initializeApp: () => ({}) }));
+jest.mock('firebase/auth', () => ({
+  getAuth: () => ({ currentUser: null }),
+  onAuthStateChanged: (auth, callback) => {
+    callback(mockUser);
+    return () => {};
+  },
+  createUserWithEmailAndPassword: jest.fn(),
+  signInWithEmailAndPassword: jest.fn(),
+  signOut: jest.fn(),
+  signInAnonymously: jest.fn(),
+  connectAuthEmulator: jest.fn(),
+}));
+jest.mock('firebase/firestore', () => ({
+  getFirestore: () => ({}),
+  collection: (...path) => ({ path: path.slice(1).join('/') }),
+  doc: (col, id) => ({ id }),
+  query: (col) => col,
+  where: jest.fn(),
+  orderBy: jest.fn(),
+  setDoc: jest.fn(),
+  setLogLevel: jest.fn(),
+  onSnapshot: (ref, next) => {
+    const data = mockDocs[ref.id];
+    if (ref.path === undefined) {
+      next({ id: ref.id, exists: () => Boolean(data), data: () => data });
+    } else {
+      next({ docs: [] });
+    }
+    return () => {};
+  },
+}));
+// Map, chart and Markdown components aren't under test (and ship as ES modules)
+jest.mock('react-leaflet', () => ({
+  MapContainer: () => null,
+  TileLayer: () => null,
+  Marker: () => null,
+  CircleMarker: () => null,
+  Rectangle: () => null,
+  Popup: () => null,
+  useMapEvents: () => null,
+}));
+jest.mock('react-leaflet-cluster', () => () => null);
+jest.mock('react-markdown', () => ({ children }) => children);
+jest.mock('./offlineQueue.js', () => ({
+  PENDING_WASTE_EVENT: 'pending-waste-updated',
+  createPendingEntry: jest.fn(),
+  savePendingEntry: jest.fn(),
+  removePendingEntry: jest.fn(),
+  listPendingEntries: () => Promise.resolve([]),
+}));
+jest.mock('./api.js', () => ({
+  ...jest.requireActual('./api.js'),
+  api: { get: jest.fn(), post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+}));
+
+const notFound = () => new ApiError('Not found', { status: 404, kind: 'notFound' });
+
+// Known API paths answer with `responses`; anything else is a 404
+function mockApi(responses = {}) {
+  api.get.mockImplementation((path) =>
+    path in responses ? Promise.resolve(responses[path]) : Promise.reject(notFound())
+  );
+}
+
+function renderAt(path) {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <I18nProvider>
+        <App />
+      </I18nProvider>
+    </MemoryRouter>
+  );
+}
+
+beforeEach(() => {
+  Object.keys(mockDocs).forEach((id) => delete mockDocs[id]);
+  mockApi();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('shows an event at /events/:eventId', async () => {
+  mockDocs['event-1'] = {
+    title: 'Zapote River Clean-up',
+    date: '2099-03-07',
+    location: 'Zapote',
+    capacity: 20,
+    attendeeCount: 20,
+    waitlistCount: 3,
+  };
+  renderAt('/events/event-1');
+  expect(await screen.findByText('Zapote River Clean-up')).toBeInTheDocument();
+  expect(screen.getByText(/Share/)).toBeInTheDocument();
+  expect(
+    screen.getByText((content, element) => element.tagName === 'P' && element.textContent === 'Going: 20 / 20 (3 on waitlist)')
+  ).toBeInTheDocument();
+});
+
+test('shows Not Found for an event that does not exist', async () => {
+  renderAt('/events/missing');
+  expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+});
+
+test('shows a waste entry at /entries/:entryId', async () => {
+  mockApi({
+    '/api/waste/entry-1': {
+      id: 'entry-1',
+      type: 'Plastic',
+      quantity: 3,
+      unit: 'bags',
+      estimatedKg: 15,
+      location: 'Talon Uno',
+      createdAt: '2026-03-07T01:00:00.000Z',
+      submitterId: 'volunteer-2',
+      status: 'approved',
+    },
+  });
+  renderAt('/entries/entry-1');
+  expect(await screen.findByRole('heading', { name: /Plastic: 3 bags/ })).toBeInTheDocument();
+  expect(screen.getByText('Talon Uno')).toBeInTheDocument();
+  expect(api.get).toHaveBeenCalledWith('/api/waste/entry-1');
+});
+
+test('shows Not Found for an entry that does not exist', async () => {
+  renderAt('/entries/missing');
+  expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+});
+
+test('shows Not Found for unknown URLs', async () => {
+  renderAt('/no-such-page');
+  expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
 });
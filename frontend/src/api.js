@@ -0,0 +1,123 @@
+// Single client for the backend API. The base URL comes from REACT_APP_API_URL
+// (see .env.example); every request carries the signed-in user's ID token,
+// and failures are thrown as ApiError with a `kind` callers can switch on.
+import { getAuth } from 'firebase/auth';
+
+export const API_BASE_URL = (process.env.REACT_APP_API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+// Statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const KIND_BY_STATUS = {
+  400: 'validation',
+  401: 'auth',
+  403: 'forbidden',
+  404: 'notFound',
+  409: 'conflict',
+  413: 'validation',
+  422: 'validation',
+};
+
+/**
+ * A failed API call. `kind` is one of "network", "validation", "auth",
+ * "forbidden", "notFound", "conflict" or "server"; `status` is the HTTP
+ * status (0 for network failures) and `details` the parsed error body.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, kind = 'server', details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.kind = kind;
+    this.details = details;
+  }
+}
+
+// Absolute URL of a backend path, e.g. for <img src> of stored photos
+export const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function toApiError(res) {
+  let details = null;
+  try {
+    details = await res.json();
+  } catch {
+    // Not JSON (e.g. a proxy error page)
+  }
+  return new ApiError(details?.error || `Request failed (${res.status})`, {
+    status: res.status,
+    kind: KIND_BY_STATUS[res.status] || 'server',
+    details,
+  });
+}
+
+/**
+ * Calls the backend and resolves with the parsed JSON body (or the Response
+ * itself with `raw: true`, for downloads). Objects are sent as JSON, FormData
+ * as multipart. Idempotent requests (GET/PUT/DELETE, or any request with an
+ * Idempotency-Key header) are retried with exponential backoff on network
+ * errors and transient statuses; pass `retries: 0` to handle that yourself.
+ */
+export async function request(path, { method = 'GET', body, headers = {}, raw = false, retries } = {}) {
+  const isJson = body !== undefined && !(body instanceof FormData);
+  const idempotent = ['GET', 'HEAD', 'PUT', 'DELETE'].includes(method) || Boolean(headers['Idempotency-Key']);
+  const maxRetries = retries ?? (idempotent ? MAX_RETRIES : 0);
+
+  for (let attempt = 0; ; attempt += 1) {
+    let res;
+    try {
+      const user = getAuth().currentUser;
+      const idToken = user ? await user.getIdToken() : null;
+      res = await fetch(apiUrl(path), {
+        method,
+        headers: {
+          ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+          ...(idToken ? { Authorization: `Bearer ${idToken}` } : {}),
+        },
+        body: isJson ? JSON.stringify(body) : body,
+      });
+    } catch (error) {
+      // fetch rejects only when the server couldn't be reached (or no token could be fetched offline)
+      if (attempt < maxRetries) {
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+        continue;
+      }
+      throw new ApiError('Could not connect to the server', { kind: 'network', details: { cause: error.message } });
+    }
+
+    if (res.ok) return raw ? res : res.json();
+    if (attempt < maxRetries && RETRYABLE_STATUSES.includes(res.status)) {
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+      continue;
+    }
+    throw await toApiError(res);
+  }
+}
+
+export const api = {
+  get: (path, options) => request(path, options),
+  post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+  put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+  patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+  delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+};
+
+// Downloads a file from an authenticated endpoint (e.g. the CSV/XLSX exports)
+export async function downloadFile(path) {
+  const res = await request(path, { raw: true });
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,96 @@
+import { request, api, ApiError } from './api';
+
+jest.mock('firebase/auth', () => ({
+  getAuth: () => ({ currentUser: { getIdToken: () => Promise.resolve('token') } }),
+}));
+
+// Just enough of a fetch Response
+const response = (status, body = {}) => ({ ok: status >= 200 && status < 300, status, json: () => Promise.resolve(body) });
+const networkError = () => Promise.reject(new TypeError('Failed to fetch'));
+
+let delays;
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  // Backoff waits run at once; their lengths are kept in `delays`
+  delays = [];
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+    delays.push(ms);
+    callback();
+    return 0;
+  });
+});
+
+afterEach(() => {
+  global.setTimeout.mockRestore();
+  delete global.fetch;
+});
+
+test('resolves with the JSON body and sends the ID token', async () => {
+  fetch.mockResolvedValue(response(200, { items: [] }));
+  await expect(api.get('/api/waste')).resolves.toEqual({ items: [] });
+  expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token');
+});
+
+test.each([
+  [400, 'validation'],
+  [401, 'auth'],
+  [403, 'forbidden'],
+  [404, 'notFound'],
+  [409, 'conflict'],
+  [500, 'server'],
+  [503, 'server'],
+])('a %i response is an ApiError of kind %s', async (status, kind) => {
+  fetch.mockResolvedValue(response(status, { error: 'Nope', field: 'quantity' }));
+  const error = await request('/api/waste', { retries: 0 }).catch((e) => e);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ status, kind, message: 'Nope', details: { error: 'Nope', field: 'quantity' } });
+});
+
+test('an unreachable server is an ApiError of kind network', async () => {
+  fetch.mockImplementation(networkError);
+  const error = await request('/api/waste', { retries: 0 }).catch((e) => e);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({ status: 0, kind: 'network' });
+});
+
+test('GET is retried with backoff after network errors and transient statuses', async () => {
+  fetch
+    .mockImplementationOnce(networkError)
+    .mockResolvedValueOnce(response(503))
+    .mockResolvedValueOnce(response(200, { ok: true }));
+  await expect(api.get('/api/stats')).resolves.toEqual({ ok: true });
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect(delays).toEqual([500, 1000]);
+});
+
+test('client errors are not retried', async () => {
+  fetch.mockResolvedValue(response(404));
+  await expect(api.get('/api/waste/missing')).rejects.toMatchObject({ kind: 'notFound' });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('POST without an Idempotency-Key is not retried', async () => {
+  fetch.mockResolvedValue(response(503));
+  await expect(api.post('/api/events', { title: 'Clean-up' })).rejects.toMatchObject({ kind: 'server', status: 503 });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('POST with an Idempotency-Key is retried', async () => {
+  fetch.mockResolvedValueOnce(response(503)).mockResolvedValueOnce(response(201, { id: 'entry-1' }));
+  const options = { headers: { 'Idempotency-Key': 'entry-key-123' } };
+  await expect(api.post('/api/waste', { type: 'Plastic' }, options)).resolves.toEqual({ id: 'entry-1' });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
+
+test('gives up after the retry limit', async () => {
+  fetch.mockImplementation(networkError);
+  await expect(api.get('/api/stats')).rejects.toMatchObject({ kind: 'network' });
+  // The first attempt and 3 retries
+  expect(fetch).toHaveBeenCalledTimes(4);
+  expect(delays).toEqual([500, 1000, 2000]);
+
+  fetch.mockClear();
+  await expect(request('/api/stats', { retries: 1 })).rejects.toMatchObject({ kind: 'network' });
+  expect(fetch).toHaveBeenCalledTimes(2);
+});
@@ -0,0 +1,83 @@
+// Localization: English and Filipino catalogs (src/locales/*.json), the
+// current language, and locale-aware date/number formatting. Components use
+// the useI18n() hook; plain modules (toasts, helpers) use translate().
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import en from './locales/en.json';
+import fil from './locales/fil.json';
+
+export const LANGUAGES = { en: 'English', fil: 'Filipino' };
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, fil };
+// Intl locales used for dates and numbers
+const LOCALES = { en: 'en-PH', fil: 'fil-PH' };
+// Everything is shown in Las Piñas time, wherever the browser is
+const TIME_ZONE = 'Asia/Manila';
+const STORAGE_KEY = 'clean-up-tracker.language';
+
+// Saved choice on this device, else the browser's language
+function initialLanguage() {
+  const saved = window.localStorage.getItem(STORAGE_KEY);
+  if (CATALOGS[saved]) return saved;
+  return /^(fil|tl)\b/i.test(navigator.language || '') ? 'fil' : DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = initialLanguage();
+document.documentElement.lang = currentLanguage;
+
+/**
+ * The message for `key` in `language` (the current one by default), falling
+ * back to English, then `params.fallback`, then the key itself. `{name}`
+ * placeholders are filled from `params`; with a numeric `params.count`, a
+ * "<key>_one"/"<key>_other" plural form is used when the catalog has one.
+ */
+export function translate(key, params = {}, language = currentLanguage) {
+  const lookup = (k) => CATALOGS[language]?.[k] ?? CATALOGS[DEFAULT_LANGUAGE][k];
+  let message;
+  if (typeof params.count === 'number') {
+    const plural = new Intl.PluralRules(LOCALES[language]).select(params.count);
+    message = lookup(`${key}_${plural === 'one' ? 'one' : 'other'}`);
+  }
+  message = message ?? lookup(key) ?? params.fallback ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+  const [language, setLanguageState] = useState(currentLanguage);
+
+  const setLanguage = useCallback((next) => {
+    if (!CATALOGS[next]) return;
+    currentLanguage = next;
+    window.localStorage.setItem(STORAGE_KEY, next);
+    document.documentElement.lang = next;
+    setLanguageState(next);
+  }, []);
+
+  const value = useMemo(() => {
+    const locale = LOCALES[language];
+    return {
+      language,
+      setLanguage,
+      t: (key, params) => translate(key, params, language),
+      // Dates without a time (e.g. an event's "YYYY-MM-DD") are read as Manila dates
+      formatDate: (value, options = { dateStyle: 'medium' }) =>
+        new Intl.DateTimeFormat(locale, { timeZone: TIME_ZONE, ...options }).format(toDate(value)),
+      formatDateTime: (value) =>
+        new Intl.DateTimeFormat(locale, { timeZone: TIME_ZONE, dateStyle: 'medium', timeStyle: 'short' }).format(toDate(value)),
+      formatNumber: (value, options) => new Intl.NumberFormat(locale, options).format(value),
+    };
+  }, [language, setLanguage]);
+
+  return React.createElement(I18nContext.Provider, { value }, children);
+}
+
+function toDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(`${value}T00:00:00+08:00`);
+  return new Date(value);
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,74 @@
+// Offline queue for waste entries, persisted in IndexedDB so nothing logged
+// along a riverbank without signal is lost. Each queued entry keeps the
+// idempotency key it is (re)sent with, so retries never create duplicates.
+
+const DB_NAME = 'clean-up-tracker';
+const DB_VERSION = 1;
+const STORE = 'pendingWaste';
+
+// Fired on window whenever the queue changes, so lists can re-read it
+export const PENDING_WASTE_EVENT = 'pending-waste-updated';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('uid', 'uid');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `work(store)` in a transaction and resolves with the request's result
+async function withStore(mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = work(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const notify = () => window.dispatchEvent(new Event(PENDING_WASTE_EVENT));
+
+/**
+ * Builds a queue item for a waste entry: the JSON payload for POST /api/waste,
+ * the photo files (Blobs survive in IndexedDB) and a fresh idempotency key.
+ */
+export function createPendingEntry(uid, payload, photos) {
+  return {
+    id: crypto.randomUUID(),
+    uid,
+    payload,
+    photos,
+    entryId: null, // set once the entry exists on the server but photos are still pending
+    status: 'pending', // or 'rejected' when the server refused it (shown for the user to discard)
+    error: null,
+    queuedAt: new Date().toISOString(), // sent as recordedAt, so late syncs keep the real date
+  };
+}
+
+export async function savePendingEntry(item) {
+  await withStore('readwrite', (store) => store.put(item));
+  notify();
+}
+
+export async function removePendingEntry(id) {
+  await withStore('readwrite', (store) => store.delete(id));
+  notify();
+}
+
+// The user's queued entries, oldest first
+export async function listPendingEntries(uid) {
+  const items = await withStore('readonly', (store) => store.index('uid').getAll(uid));
+  return (items || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
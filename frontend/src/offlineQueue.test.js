@@ -0,0 +1,106 @@
+import {
+  PENDING_WASTE_EVENT,
+  createPendingEntry,
+  savePendingEntry,
+  removePendingEntry,
+  listPendingEntries,
+} from './offlineQueue';
+
+// Just enough of IndexedDB for the queue: one object store with a keyPath
+// and single-field indexes; requests and transactions complete asynchronously.
+function fakeIndexedDB() {
+  const stores = {};
+  const later = (fn) => setTimeout(fn, 0);
+  const db = {
+    createObjectStore(name, { keyPath }) {
+      const store = { keyPath, indexes: {}, rows: new Map() };
+      stores[name] = store;
+      return { createIndex: (index, field) => { store.indexes[index] = field; } };
+    },
+    transaction(name) {
+      const store = stores[name];
+      const tx = {};
+      const request = (run) => {
+        const req = {};
+        later(() => {
+          req.result = run();
+          later(() => tx.oncomplete());
+        });
+        return req;
+      };
+      tx.objectStore = () => ({
+        put: (item) => request(() => store.rows.set(item[store.keyPath], item)),
+        delete: (key) => request(() => store.rows.delete(key)),
+        index: (index) => ({
+          getAll: (value) => request(() => [...store.rows.values()].filter((row) => row[store.indexes[index]] === value)),
+        }),
+      });
+      return tx;
+    },
+  };
+  return {
+    open() {
+      const req = { result: db };
+      later(() => {
+        req.onupgradeneeded();
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+let uuid = 0;
+
+beforeAll(() => {
+  window.indexedDB = fakeIndexedDB();
+  if (!window.crypto) window.crypto = {};
+  window.crypto.randomUUID = () => `uuid-${++uuid}`;
+});
+
+test('createPendingEntry builds a pending queue item with its own key', () => {
+  const photo = new Blob(['x']);
+  const item = createPendingEntry('u1', { type: 'Plastic' }, [photo]);
+  expect(item).toMatchObject({
+    uid: 'u1',
+    payload: { type: 'Plastic' },
+    photos: [photo],
+    entryId: null,
+    status: 'pending',
+    error: null,
+  });
+  expect(item.id).toMatch(/^uuid-/);
+  expect(Number.isNaN(Date.parse(item.queuedAt))).toBe(false);
+  expect(createPendingEntry('u1', {}, []).id).not.toBe(item.id);
+});
+
+test("lists only the user's queued entries, oldest first", async () => {
+  const entry = (id, uid, queuedAt) => ({ ...createPendingEntry(uid, {}, []), id, queuedAt });
+  await savePendingEntry(entry('b', 'u1', '2026-03-02T00:00:00.000Z'));
+  await savePendingEntry(entry('a', 'u1', '2026-03-01T00:00:00.000Z'));
+  await savePendingEntry(entry('c', 'u2', '2026-03-01T00:00:00.000Z'));
+
+  expect((await listPendingEntries('u1')).map((i) => i.id)).toEqual(['a', 'b']);
+  expect((await listPendingEntries('u2')).map((i) => i.id)).toEqual(['c']);
+  expect(await listPendingEntries('u3')).toEqual([]);
+});
+
+test('saving over an entry updates it and removing it drops it', async () => {
+  const item = { ...createPendingEntry('u4', {}, []), queuedAt: '2026-03-01T00:00:00.000Z' };
+  await savePendingEntry(item);
+  await savePendingEntry({ ...item, status: 'rejected', error: 'Invalid type' });
+  expect(await listPendingEntries('u4')).toEqual([{ ...item, status: 'rejected', error: 'Invalid type' }]);
+
+  await removePendingEntry(item.id);
+  expect(await listPendingEntries('u4')).toEqual([]);
+});
+
+test('announces every change to the queue', async () => {
+  const listener = jest.fn();
+  window.addEventListener(PENDING_WASTE_EVENT, listener);
+  const item = createPendingEntry('u5', {}, []);
+  await savePendingEntry(item);
+  await removePendingEntry(item.id);
+  window.removeEventListener(PENDING_WASTE_EVENT, listener);
+  expect(listener).toHaveBeenCalledTimes(2);
+});
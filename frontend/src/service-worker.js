@@ -0,0 +1,59 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for the installable app. Create React App's build picks up
+// this file and injects the list of build assets into self.__WB_MANIFEST.
+// It caches the app shell so the app opens offline; API requests are never
+// cached (offline submissions are queued in IndexedDB by the app instead).
+
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+// Precache all of the assets generated by the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for navigations so every in-app URL works offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same-origin images and icons that aren't part of the precache
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Map tiles, so recently viewed areas still render without signal. Tiles from
+// another origin are opaque responses (status 0), which must be allowed explicitly.
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && /\/\d+\/\d+\/\d+\.png$/.test(url.pathname),
+  new CacheFirst({
+    cacheName: 'map-tiles',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 500, maxAgeSeconds: 7 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Lets the page activate a waiting update immediately
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,80 @@
+// Registers the service worker (src/service-worker.js) in production builds,
+// which caches the app shell so the app is installable and opens offline.
+// It is skipped in development so the dev server's hot reload isn't cached.
+import { toast } from './toast';
+import { translate } from './i18n';
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address.
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4.
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The service worker won't work if PUBLIC_URL is on a different origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    if (isLocalhost) {
+      // On localhost, make sure a service worker still exists (e.g. after switching projects)
+      checkValidServiceWorker(swUrl);
+    } else {
+      registerValidSW(swUrl);
+    }
+  });
+}
+
+function registerValidSW(swUrl) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+          if (navigator.serviceWorker.controller) {
+            // The new version takes over once all tabs of the app are closed
+            toast.info(translate('serviceWorker.updateReady'));
+          } else {
+            toast.success(translate('serviceWorker.offlineReady'));
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error('Error during service worker registration:', error);
+    });
+}
+
+function checkValidServiceWorker(swUrl) {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType != null && contentType.indexOf('javascript') === -1)) {
+        // No service worker found; unregister and reload the page
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl);
+      }
+    })
+    // Offline: keep running from the cache; the current worker stays registered
+    .catch(() => {});
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
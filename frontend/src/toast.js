@@ -0,0 +1,38 @@
+// Toast notifications: short messages shown in a corner of the screen by the
+// <Toaster /> in App.jsx. Anything can raise one, inside React or not.
+import { translate } from './i18n';
+
+const TOAST_DURATION_MS = 5000;
+
+let nextId = 1;
+const listeners = new Set();
+
+// Registers a callback receiving each new toast; returns the unsubscribe function
+export function subscribeToasts(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function show(type, message) {
+  const toast = { id: nextId++, type, message, duration: TOAST_DURATION_MS };
+  listeners.forEach((listener) => listener(toast));
+}
+
+export const toast = {
+  success: (message) => show('success', message),
+  info: (message) => show('info', message),
+  warning: (message) => show('warning', message),
+  error: (message) => show('error', message),
+};
+
+// Error toast for a failed action, e.g. "Could not join this event: Event is full"
+export function toastError(action, error) {
+  console.error(`${action}:`, error);
+  if (error?.kind === 'network') {
+    toast.error(translate('errors.network', { action }));
+  } else if (error?.kind === 'auth') {
+    toast.error(translate('errors.sessionExpired', { action }));
+  } else {
+    toast.error(error?.message ? `${action}: ${error.message}` : action);
+  }
+}